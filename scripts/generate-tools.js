@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+// Regenerate server/dictionary.json and the manifest's `tools` array from a
+// scripting definition file.
+//
+//   node scripts/generate-tools.js [path/to/Terminal.sdef] [--check]
+//
+// Without a path the checked-in sdef/Terminal.sdef is used. To pick up a new
+// Terminal release, export its dictionary with
+// `sdef /System/Applications/Utilities/Terminal.app > sdef/Terminal.sdef`
+// (inlining the Standard Suite) and rerun. `--check` writes nothing and exits
+// non-zero when the checked-in files are out of date.
+
+const fs = require('fs');
+const path = require('path');
+const { parseSdef } = require('./sdef');
+const { buildPropertyTools, getPropertyTools } = require('../server/properties');
+const { buildCommandTools, getCommandTools } = require('../server/commands');
+
+const ROOT = path.join(__dirname, '..');
+const DICTIONARY_FILE = path.join(ROOT, 'server', 'dictionary.json');
+const MANIFEST_FILE = path.join(ROOT, 'manifest.json');
+
+function generate(sdefFile) {
+  const { warnings, ...dictionary } = parseSdef(fs.readFileSync(sdefFile, 'utf8'));
+  warnings.forEach(warning => console.error(`warning: ${warning}`));
+
+  // Property and command tools are replaced wholesale; hand-written tools
+  // keep their place after them
+  const previousTools = new Set([...getPropertyTools(), ...getCommandTools()].map(tool => tool.name));
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  const generatedTools = [...buildPropertyTools(dictionary).values(), ...buildCommandTools(dictionary).values()]
+    .map(entry => ({
+      name: entry.tool.name,
+      description: entry.tool.description
+    }));
+  manifest.tools = [
+    ...generatedTools,
+    ...manifest.tools.filter(tool => !previousTools.has(tool.name) && !generatedTools.some(generated => generated.name === tool.name))
+  ];
+
+  return {
+    [DICTIONARY_FILE]: JSON.stringify(dictionary, null, 2) + '\n',
+    [MANIFEST_FILE]: JSON.stringify(manifest, null, 2) + '\n'
+  };
+}
+
+function main(argv) {
+  const check = argv.includes('--check');
+  const sdefFile = argv.find(arg => !arg.startsWith('--')) || path.join(ROOT, 'sdef', 'Terminal.sdef');
+  const outputs = generate(sdefFile);
+
+  let stale = false;
+  for (const [file, contents] of Object.entries(outputs)) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    if (current === contents) continue;
+    if (check) {
+      console.error(`${path.relative(ROOT, file)} is out of date; run scripts/generate-tools.js`);
+      stale = true;
+    } else {
+      fs.writeFileSync(file, contents);
+      console.error(`Wrote ${path.relative(ROOT, file)}`);
+    }
+  }
+  process.exit(stale ? 1 : 0);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,214 @@
+// Reader for AppleScript scripting definition (.sdef) files.
+//
+// parseXml is a small non-validating XML reader, enough for sdef files;
+// buildDictionary turns the parsed document into the classes, properties,
+// enumerations, record types and commands that the server's tool table and
+// value encoders are built from.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    if (entity.startsWith('#')) return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+// Parse XML into { name, attributes, children } nodes; text content is dropped
+// because sdef files keep everything in attributes
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  while (pos < xml.length) {
+    const open = xml.indexOf('<', pos);
+    if (open === -1) break;
+
+    if (xml.startsWith('<!--', open)) {
+      pos = xml.indexOf('-->', open) + 3;
+    } else if (xml.startsWith('<![CDATA[', open)) {
+      pos = xml.indexOf(']]>', open) + 3;
+    } else if (xml.startsWith('<?', open)) {
+      pos = xml.indexOf('?>', open) + 2;
+    } else if (xml.startsWith('<!', open)) {
+      pos = xml.indexOf('>', open) + 1;
+    } else if (xml.startsWith('</', open)) {
+      const close = xml.indexOf('>', open);
+      const name = xml.slice(open + 2, close).trim();
+      const node = stack.pop();
+      if (!node || node.name !== name) {
+        throw new Error(`Mismatched closing tag </${name}> at offset ${open}`);
+      }
+      pos = close + 1;
+    } else {
+      const tag = /^<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.slice(open));
+      if (!tag) {
+        throw new Error(`Malformed tag at offset ${open}`);
+      }
+      const attributes = {};
+      const attrPattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attr;
+      while ((attr = attrPattern.exec(tag[2])) !== null) {
+        attributes[attr[1]] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+      }
+      const node = { name: tag[1], attributes, children: [] };
+      stack[stack.length - 1].children.push(node);
+      if (!tag[3]) {
+        stack.push(node);
+      }
+      pos = open + tag[0].length;
+    }
+
+    if (pos <= open) {
+      throw new Error(`Unterminated markup at offset ${open}`);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+function childrenNamed(node, name) {
+  return node.children.filter(child => child.name === name);
+}
+
+function isHidden(node) {
+  return node.attributes.hidden === 'yes';
+}
+
+// Resolve a type from a `type` attribute or nested <type> elements
+function readType(node) {
+  let type = node.attributes.type;
+  let list = false;
+  const nested = childrenNamed(node, 'type');
+  if (!type && nested.length > 0) {
+    type = nested[0].attributes.type;
+    list = nested[0].attributes.list === 'yes';
+  }
+  if (type === 'RGB color') type = 'color';
+  return list ? `list of ${type}` : (type || 'any');
+}
+
+function snakeCase(words) {
+  return words.replace(/ /g, '_');
+}
+
+function readParameter(node) {
+  return {
+    name: node.attributes.name,
+    type: readType(node),
+    optional: node.attributes.optional === 'yes',
+    description: node.attributes.description || '',
+    ...(isHidden(node) ? { hidden: true } : {})
+  };
+}
+
+function buildDictionary(document) {
+  const dictionary = childrenNamed(document, 'dictionary')[0];
+  if (!dictionary) {
+    throw new Error("Not an sdef file: missing <dictionary> element");
+  }
+
+  const classes = new Map();
+  const enumerations = [];
+  const records = [];
+  const commands = [];
+  const warnings = [];
+
+  for (const suite of childrenNamed(dictionary, 'suite')) {
+    for (const node of suite.children) {
+      if (isHidden(node)) continue;
+
+      if (node.name === 'class' || node.name === 'class-extension') {
+        const name = node.name === 'class' ? node.attributes.name : node.attributes.extends;
+        if (!classes.has(name)) {
+          classes.set(name, { name, elements: [], properties: [] });
+        }
+        const cls = classes.get(name);
+        for (const element of childrenNamed(node, 'element')) {
+          cls.elements.push(element.attributes.type);
+        }
+        for (const property of childrenNamed(node, 'property')) {
+          if (isHidden(property)) continue;
+          cls.properties.push({
+            property: property.attributes.name,
+            type: readType(property),
+            access: property.attributes.access || 'rw',
+            description: property.attributes.description || ''
+          });
+        }
+      } else if (node.name === 'enumeration') {
+        enumerations.push({
+          name: node.attributes.name,
+          enumerators: childrenNamed(node, 'enumerator').map(enumerator => ({
+            name: enumerator.attributes.name,
+            description: enumerator.attributes.description || ''
+          }))
+        });
+      } else if (node.name === 'record-type') {
+        records.push({
+          name: node.attributes.name,
+          properties: childrenNamed(node, 'property').filter(p => !isHidden(p)).map(property => ({
+            property: property.attributes.name,
+            type: readType(property),
+            description: property.attributes.description || ''
+          }))
+        });
+      } else if (node.name === 'command') {
+        const direct = childrenNamed(node, 'direct-parameter')[0];
+        const result = childrenNamed(node, 'result')[0];
+        commands.push({
+          name: node.attributes.name,
+          suite: suite.attributes.name,
+          description: node.attributes.description || '',
+          direct_parameter: direct ? readParameter(direct) : null,
+          // Hidden parameters are kept and flagged: some name the class a
+          // command works on (count's `each`), some are still accepted
+          parameters: childrenNamed(node, 'parameter').map(readParameter),
+          result: result ? readType(result) : null
+        });
+      } else if (node.name === 'xi:include') {
+        warnings.push(`Skipping xi:include of ${node.attributes.href}; inline that suite instead`);
+      }
+    }
+  }
+
+  // A class is addressed through the chain of elements that contain it:
+  // elements of the application are top-level, a tab lives in a window
+  const application = classes.get('application');
+  function containersOf(name, seen = new Set()) {
+    if (name === 'application' || (application && application.elements.includes(name))) {
+      return [];
+    }
+    seen.add(name);
+    for (const cls of classes.values()) {
+      if (cls.elements.includes(name) && !seen.has(cls.name)) {
+        return [cls.name, ...containersOf(cls.name, seen)];
+      }
+    }
+    return [];
+  }
+
+  const classList = [];
+  const properties = [];
+  for (const cls of classes.values()) {
+    const containers = containersOf(cls.name);
+    const key = [cls.name, ...containers].map(snakeCase).join('_of_');
+    classList.push({ key, name: cls.name, containers });
+    for (const property of cls.properties) {
+      properties.push({ class: key, ...property });
+    }
+  }
+
+  return { classes: classList, properties, enumerations, records, commands, warnings };
+}
+
+function parseSdef(xml) {
+  return buildDictionary(parseXml(xml));
+}
+
+module.exports = { parseXml, parseSdef, buildDictionary };
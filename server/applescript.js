@@ -0,0 +1,464 @@
+// AppleScript literal encoding and object specifiers.
+//
+// Nothing a client sends is interpolated into a script as-is: strings become
+// quoted literals, typed values are validated and rendered by encodeValue, and
+// object references must parse as one of the specifier shapes below, e.g.
+// `window id 1234`, `tab 2 of window 1`, `selected tab of front window` or
+// `settings set "Homebrew"`.
+
+const dictionary = require('./dictionary.json');
+const { ScriptValueError } = require('./errors');
+const { encodeColor, formatColor } = require('./colors');
+
+// Quote a string as an AppleScript string literal
+function asString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
+}
+
+// Element classes a specifier may name, with their plural forms
+const ELEMENT_CLASSES = {
+  'window': { plural: 'windows', container: null },
+  'document': { plural: 'documents', container: null },
+  'settings set': { plural: 'settings sets', container: null },
+  'tab': { plural: 'tabs', container: 'window' }
+};
+const ORDINALS = ['front', 'first', 'middle', 'last', 'back'];
+
+// Split specifier text into words, integers and quoted strings
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|(-?\d+)|([A-Za-z]+))/y;
+  let pos = 0;
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (!match) {
+      throw new ScriptValueError(`Unexpected character in specifier at "${text.slice(pos).trim()}"`);
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ kind: 'string', value: match[1].replace(/\\(.)/g, '$1') });
+    } else if (match[2] !== undefined) {
+      tokens.push({ kind: 'integer', value: Number(match[2]) });
+    } else {
+      tokens.push({ kind: 'word', value: match[3].toLowerCase() });
+    }
+    pos = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+// A parsed object reference: a path of elements from innermost to outermost,
+// e.g. [{ class: 'tab', form: 'index', value: 2 }, { class: 'window', ... }]
+class Specifier {
+  constructor(path) {
+    this.path = path;
+  }
+
+  get className() {
+    return this.path[0].class;
+  }
+
+  get container() {
+    return this.path.length > 1 ? new Specifier(this.path.slice(1)) : null;
+  }
+
+  // Nest this specifier inside another, e.g. a tab inside a window
+  of(container) {
+    return new Specifier([...this.path, ...container.path]);
+  }
+
+  toString() {
+    return this.path.map(renderElement).join(' of ');
+  }
+}
+
+function renderElement(element) {
+  switch (element.form) {
+    case 'application':
+      return 'application "Terminal"';
+    case 'property':
+      return element.value;
+    case 'ordinal':
+      return `${element.value} ${element.class}`;
+    case 'selected':
+      return `selected ${element.class}`;
+    case 'id':
+      return `${element.class} id ${element.value}`;
+    case 'name':
+      return `${element.class} ${asString(element.value)}`;
+    default:
+      return `${element.class} ${element.value}`;
+  }
+}
+
+// Read a class name (`settings set` is two words) from the token stream
+function readClass(tokens, i) {
+  const word = tokens[i] && tokens[i].kind === 'word' ? tokens[i].value : null;
+  if (word === 'settings' && tokens[i + 1] && tokens[i + 1].value === 'set') {
+    return { className: 'settings set', next: i + 2 };
+  }
+  if (word && ELEMENT_CLASSES[word]) {
+    return { className: word, next: i + 1 };
+  }
+  return null;
+}
+
+function readElement(tokens, i) {
+  const token = tokens[i];
+  if (!token || token.kind !== 'word') {
+    throw new ScriptValueError("Expected an element such as window, tab, document or settings set");
+  }
+
+  if (token.value === 'application' || token.value === 'app') {
+    const name = tokens[i + 1];
+    if (name && name.kind === 'string') {
+      if (name.value !== 'Terminal') {
+        throw new ScriptValueError(`Only application "Terminal" can be targeted, not "${name.value}"`);
+      }
+      return { element: { class: 'application', form: 'application' }, next: i + 2 };
+    }
+    return { element: { class: 'application', form: 'application' }, next: i + 1 };
+  }
+
+  if ((token.value === 'default' || token.value === 'startup') && tokens[i + 1] && tokens[i + 1].value === 'settings') {
+    return { element: { class: 'settings set', form: 'property', value: `${token.value} settings` }, next: i + 2 };
+  }
+
+  if (ORDINALS.includes(token.value) || token.value === 'selected') {
+    const cls = readClass(tokens, i + 1);
+    if (!cls) {
+      throw new ScriptValueError(`Expected a class after "${token.value}"`);
+    }
+    if (token.value === 'selected' && cls.className !== 'tab') {
+      throw new ScriptValueError("Only tabs can be referred to as selected");
+    }
+    const form = token.value === 'selected' ? 'selected' : 'ordinal';
+    return { element: { class: cls.className, form, value: token.value }, next: cls.next };
+  }
+
+  const cls = readClass(tokens, i);
+  if (!cls) {
+    throw new ScriptValueError(`Unknown class "${token.value}"`);
+  }
+  const form = tokens[cls.next];
+  if (form && form.kind === 'integer') {
+    if (form.value === 0) {
+      throw new ScriptValueError("Element indexes start at 1");
+    }
+    return { element: { class: cls.className, form: 'index', value: form.value }, next: cls.next + 1 };
+  }
+  if (form && form.kind === 'word' && form.value === 'id') {
+    const id = tokens[cls.next + 1];
+    if (!id || id.kind !== 'integer') {
+      throw new ScriptValueError(`Expected a numeric id after "${cls.className} id"`);
+    }
+    return { element: { class: cls.className, form: 'id', value: id.value }, next: cls.next + 2 };
+  }
+  if (form && form.kind === 'string') {
+    return { element: { class: cls.className, form: 'name', value: form.value }, next: cls.next + 1 };
+  }
+  throw new ScriptValueError(`Expected an index, id or name after "${cls.className}"`);
+}
+
+// Check that every element sits in a container that can hold it
+function checkContainment(path) {
+  for (let i = 0; i < path.length; i++) {
+    const element = path[i];
+    const parent = path[i + 1];
+    if (element.class === 'application') {
+      if (parent) throw new ScriptValueError("application must be the outermost element");
+      continue;
+    }
+    if (element.form === 'property' && parent && parent.class !== 'application') {
+      throw new ScriptValueError(`${element.value} belongs to the application`);
+    }
+    const expected = ELEMENT_CLASSES[element.class].container;
+    if (parent && parent.class !== (expected || 'application')) {
+      throw new ScriptValueError(`A ${element.class} cannot be inside a ${parent.class}`);
+    }
+  }
+}
+
+// Parse an object reference.
+//
+// `expect` names the class the reference must resolve to; `standalone`
+// rejects references that name their container (used where the container is
+// passed as a separate argument); `contained` requires the full path for
+// classes that live inside another element, such as tabs.
+function parseSpecifier(text, { expect = null, standalone = false, contained = false } = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ScriptValueError("Object specifier must be a non-empty string");
+  }
+  const tokens = tokenize(text);
+  const path = [];
+  let i = 0;
+  while (i < tokens.length) {
+    const { element, next } = readElement(tokens, i);
+    path.push(element);
+    i = next;
+    if (i < tokens.length) {
+      if (tokens[i].kind !== 'word' || tokens[i].value !== 'of') {
+        throw new ScriptValueError(`Expected "of" in specifier "${text}"`);
+      }
+      i++;
+      if (i === tokens.length) {
+        throw new ScriptValueError(`Specifier "${text}" ends with "of"`);
+      }
+    }
+  }
+
+  // The application is implied by the surrounding `tell`; drop it unless it
+  // is the whole reference
+  if (path.length > 1 && path[path.length - 1].class === 'application') {
+    path.pop();
+  }
+  checkContainment(path);
+
+  const specifier = new Specifier(path);
+  if (expect && specifier.className !== expect) {
+    throw new ScriptValueError(`Expected a ${expect} specifier but got a ${specifier.className}: "${text}"`);
+  }
+  if (standalone && path.length > 1) {
+    throw new ScriptValueError(`"${text}" must not include its container; pass the ${path[1].class} separately`);
+  }
+  const container = ELEMENT_CLASSES[specifier.className] && ELEMENT_CLASSES[specifier.className].container;
+  if (contained && container && path.length === 1) {
+    throw new ScriptValueError(`A ${specifier.className} must be given with its ${container}, e.g. "${specifier} of front ${container}"`);
+  }
+  return specifier;
+}
+
+// Parse an insertion location: `beginning of windows`, `end of tabs of
+// window 1`, `before window 2`, `after tab 1 of window 1`. A plain element
+// specifier is also accepted and used as-is.
+function parseLocation(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ScriptValueError("Location must be a non-empty string");
+  }
+  const trimmed = text.trim();
+  const relative = /^(before|after)\s+(.+)$/i.exec(trimmed);
+  if (relative) {
+    return `${relative[1].toLowerCase()} ${parseSpecifier(relative[2])}`;
+  }
+  const absolute = /^(beginning|end)\s+of\s+(.+)$/i.exec(trimmed);
+  if (absolute) {
+    const position = absolute[1].toLowerCase();
+    const rest = absolute[2];
+    for (const [className, info] of Object.entries(ELEMENT_CLASSES)) {
+      const plural = new RegExp(`^${info.plural}(?:\\s+of\\s+(.+))?$`, 'i').exec(rest);
+      if (!plural) continue;
+      if (plural[1]) {
+        const container = parseSpecifier(plural[1]);
+        if (container.className !== info.container) {
+          throw new ScriptValueError(`${info.plural} cannot be inside a ${container.className}`);
+        }
+        return `${position} of ${info.plural} of ${container}`;
+      }
+      if (info.container) {
+        throw new ScriptValueError(`${info.plural} must be given with their ${info.container}`);
+      }
+      return `${position} of ${info.plural}`;
+    }
+    return `${position} of ${parseSpecifier(rest)}`;
+  }
+  return String(parseSpecifier(trimmed));
+}
+
+// Split "1, 2, 3", "{1, 2, 3}" or [1, 2, 3] into a list of numbers
+function numberList(value, count, label) {
+  let items;
+  if (Array.isArray(value)) {
+    items = value;
+  } else if (typeof value === 'string') {
+    items = value.trim().replace(/^\{|\}$/g, '').split(',').map(item => item.trim());
+  } else {
+    throw new ScriptValueError(`${label} must be a list of ${count} numbers`);
+  }
+  const numbers = items.map(Number);
+  if (numbers.length !== count || numbers.some(n => !Number.isFinite(n)) || items.some(item => item === '')) {
+    throw new ScriptValueError(`${label} must be a list of ${count} numbers`);
+  }
+  return numbers;
+}
+
+function encodeInteger(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number)) {
+    throw new ScriptValueError(`Expected an integer, got ${JSON.stringify(value)}`);
+  }
+  return String(number);
+}
+
+function encodeBoolean(value) {
+  if (value === true || value === 'true') return 'true';
+  if (value === false || value === 'false') return 'false';
+  throw new ScriptValueError(`Expected a boolean, got ${JSON.stringify(value)}`);
+}
+
+function encodeFile(value) {
+  if (typeof value !== 'string' || !value.startsWith('/')) {
+    throw new ScriptValueError(`Expected an absolute POSIX path, got ${JSON.stringify(value)}`);
+  }
+  return `POSIX file ${asString(value)}`;
+}
+
+function encodeRecord(fields, value, label) {
+  let record = value;
+  if (typeof record === 'string') {
+    try {
+      record = JSON.parse(record);
+    } catch (error) {
+      throw new ScriptValueError(`${label} must be a JSON object`);
+    }
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new ScriptValueError(`${label} must be an object`);
+  }
+  const entries = Object.entries(record).map(([key, fieldValue]) => {
+    const name = key.replace(/_/g, ' ');
+    const field = fields.find(f => f.property === name);
+    if (!field) {
+      throw new ScriptValueError(`${label} has no property "${key}"`);
+    }
+    return `${name}:${encodeValue(field.type, fieldValue)}`;
+  });
+  return `{${entries.join(', ')}}`;
+}
+
+// Render a value of an sdef type as AppleScript source
+function encodeValue(type, value) {
+  if (value === undefined || value === null) {
+    throw new ScriptValueError(`A ${type} value is required`);
+  }
+
+  if (type.startsWith('list of ')) {
+    const itemType = type.slice('list of '.length);
+    let items = value;
+    if (typeof value === 'string') {
+      items = itemType === 'text' ? value.split(',').map(item => item.trim()).filter(item => item !== '') : [value];
+    }
+    if (!Array.isArray(items)) {
+      throw new ScriptValueError(`Expected a list of ${itemType}`);
+    }
+    return `{${items.map(item => encodeValue(itemType, item)).join(', ')}}`;
+  }
+
+  switch (type) {
+    case 'text':
+    case 'any':
+      return asString(value);
+    case 'integer':
+      return encodeInteger(value);
+    case 'real': {
+      const number = Number(value);
+      if (!Number.isFinite(number) || value === '') {
+        throw new ScriptValueError(`Expected a number, got ${JSON.stringify(value)}`);
+      }
+      return String(number);
+    }
+    case 'boolean':
+      return encodeBoolean(value);
+    case 'point':
+      return `{${numberList(value, 2, 'Point').join(', ')}}`;
+    case 'rectangle':
+      return `{${numberList(value, 4, 'Rectangle').join(', ')}}`;
+    case 'color':
+      return encodeColor(value);
+    case 'date':
+      return `date ${asString(value)}`;
+    case 'file':
+      return encodeFile(value);
+    case 'specifier':
+      return String(parseSpecifier(value));
+    case 'location specifier':
+      return parseLocation(value);
+  }
+
+  const enumeration = dictionary.enumerations.find(e => e.name === type);
+  if (enumeration) {
+    const enumerator = enumeration.enumerators.find(e => e.name === String(value).toLowerCase());
+    if (!enumerator) {
+      const names = enumeration.enumerators.map(e => e.name).join(', ');
+      throw new ScriptValueError(`Expected one of ${names} for ${type}, got ${JSON.stringify(value)}`);
+    }
+    return enumerator.name;
+  }
+
+  const record = dictionary.records.find(r => r.name === type);
+  if (record) {
+    return encodeRecord(record.properties, value, type);
+  }
+
+  if (ELEMENT_CLASSES[type]) {
+    return String(parseSpecifier(value, { expect: type, contained: true }));
+  }
+
+  throw new ScriptValueError(`Values of type ${type} are not supported`);
+}
+
+// Turn osascript's text rendering of a value of an sdef type back into JSON:
+// numbers, booleans, {x, y} points, {left, top, right, bottom} rectangles,
+// colors ({r, g, b} plus hex, rgb(), hsl() and name) and string arrays.
+// `missing value` becomes null; types without a structured form (text,
+// dates, files, references) stay strings.
+function decodeValue(type, text) {
+  const value = String(text);
+  if (value === 'missing value') return null;
+
+  if (type.startsWith('list of ')) {
+    const itemType = type.slice('list of '.length);
+    return value === '' ? [] : value.split(', ').map(item => decodeValue(itemType, item));
+  }
+
+  switch (type) {
+    case 'integer':
+    case 'real': {
+      const number = Number(value);
+      return value.trim() === '' || Number.isNaN(number) ? value : number;
+    }
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'point':
+      return decodeFields(value, ['x', 'y']);
+    case 'rectangle':
+      return decodeFields(value, ['left', 'top', 'right', 'bottom']);
+    case 'color': {
+      const color = decodeFields(value, ['r', 'g', 'b']);
+      return typeof color === 'string' ? color : formatColor(color);
+    }
+    default:
+      return value;
+  }
+}
+
+// Map "0, 22, 800, 600" onto named numeric fields, leaving text that does not
+// fit the shape untouched
+function decodeFields(text, names) {
+  const parts = text.replace(/^\{|\}$/g, '').split(',').map(part => Number(part.trim()));
+  if (parts.length !== names.length || parts.some(Number.isNaN)) {
+    return text;
+  }
+  const result = {};
+  names.forEach((name, i) => {
+    result[name] = parts[i];
+  });
+  return result;
+}
+
+module.exports = {
+  ScriptValueError,
+  Specifier,
+  asString,
+  encodeValue,
+  encodeRecord,
+  decodeValue,
+  parseSpecifier,
+  parseLocation,
+};
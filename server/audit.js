@@ -0,0 +1,103 @@
+// Append-only audit log of the AppleScripts the server runs.
+//
+// Each script run for a client request is one JSON line: when it ran, the
+// request id and method, the tool and its arguments, the script, how long it
+// took, its outcome and the AppleScript error code. Calls the policy stops
+// are logged too, with no script. A tool that polls (run_command,
+// wait_for_output, expect_script) gets one line for its polling, listing the
+// distinct `scripts` and the number of `polls`. Health probes and resource
+// polls, which no request asked for, are logged with their `origin`. When the file would grow past `maxBytes`
+// it is renamed to `<file>.1` (shifting older files up to `<file>.<maxFiles>`,
+// the oldest being dropped) and a new file is started.
+//
+// Secrets are redacted before anything is written: each entry goes through
+// `redact`, which the server sets up with the same detectors as tool results.
+
+const fs = require('fs');
+const path = require('path');
+
+function createAuditLog({ file, maxBytes, maxFiles, redact = entry => entry }) {
+  // Writes are chained so lines land in the order they were logged
+  let pending = Promise.resolve();
+  let size = null;
+
+  const rotate = async () => {
+    for (let n = maxFiles - 1; n >= 1; n--) {
+      await fs.promises.rename(`${file}.${n}`, `${file}.${n + 1}`).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    if (maxFiles > 0) {
+      await fs.promises.rename(file, `${file}.1`);
+    } else {
+      await fs.promises.unlink(file);
+    }
+    size = 0;
+  };
+
+  const write = async line => {
+    if (size === null) {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      try {
+        size = (await fs.promises.stat(file)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        size = 0;
+      }
+    }
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxBytes) {
+      await rotate();
+    }
+    await fs.promises.appendFile(file, line, { mode: 0o600 });
+    size += bytes;
+  };
+
+  // The log files, newest first
+  const files = () => [file, ...Array.from({ length: maxFiles }, (unused, i) => `${file}.${i + 1}`)];
+
+  return {
+    file,
+
+    // Queue an entry; failures are reported but never fail the tool call
+    append(entry) {
+      const line = JSON.stringify(redact({ time: new Date().toISOString(), ...entry })) + '\n';
+      pending = pending.then(() => write(line)).catch(error => {
+        size = null;
+        console.error(`Cannot write audit log ${file}:`, error.message);
+      });
+      return pending;
+    },
+
+    // The newest `limit` entries that pass `filter`, oldest first
+    async query(filter, limit) {
+      await pending;
+      const found = [];
+      for (const name of files()) {
+        let text;
+        try {
+          text = await fs.promises.readFile(name, 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT') continue;
+          throw error;
+        }
+        const lines = text.split('\n').filter(Boolean);
+        for (let i = lines.length - 1; i >= 0 && found.length < limit; i--) {
+          let entry;
+          try {
+            entry = JSON.parse(lines[i]);
+          } catch (error) {
+            continue;
+          }
+          if (filter(entry)) found.push(entry);
+        }
+        if (found.length >= limit) break;
+      }
+      return found.reverse();
+    }
+  };
+}
+
+module.exports = {
+  createAuditLog,
+};
@@ -0,0 +1,209 @@
+// Color parsing and formatting.
+//
+// Terminal stores colors as {r, g, b} lists of 16-bit components. Clients may
+// give a color as `#1e1e1e`, `#123`, `rgb(30, 30, 30)`, `rgb(12%, 12%, 12%)`,
+// `hsl(0, 0%, 12%)`, a CSS color name, or AppleScript's own 16-bit list
+// (`7710, 7710, 7710`, `{7710, 7710, 7710}`, an array or an {r, g, b}
+// object). Colors read back are reported in all of these notations.
+
+const { ScriptValueError } = require('./errors');
+
+// CSS named colors as 8-bit hex
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+  azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+  blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+  burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+  coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+  darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+  darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+  fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+  goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+  grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+  lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+  lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+  linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+  midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+  olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+  palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+  papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+  plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+  salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+  sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+  slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+  steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+  white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+const FORMATS = 'a hex color (#1e1e1e), rgb(), hsl(), a CSS color name or a list of three 16-bit components';
+
+// 8-bit and 16-bit components: 0xff maps to 0xffff exactly
+function to16(value) {
+  return Math.round(value) * 257;
+}
+
+function to8(value) {
+  return Math.round(value / 257);
+}
+
+function fromHex(hex) {
+  const digits = hex.length === 3 ? hex.split('').map(d => d + d).join('') : hex;
+  return {
+    r: to16(parseInt(digits.slice(0, 2), 16)),
+    g: to16(parseInt(digits.slice(2, 4), 16)),
+    b: to16(parseInt(digits.slice(4, 6), 16))
+  };
+}
+
+// An rgb() component: 0-255 or a percentage
+function rgbComponent(text) {
+  const percent = /^(-?[\d.]+)%$/.exec(text);
+  const value = percent ? Number(percent[1]) * 2.55 : Number(text);
+  if (!Number.isFinite(value) || value < 0 || value > 255) {
+    throw new ScriptValueError(`rgb() components must be 0-255 or 0%-100%, got "${text}"`);
+  }
+  return value;
+}
+
+// Functional notation arguments, separated by commas or spaces, with any
+// `/ alpha` dropped since Terminal colors are opaque
+function functionArgs(text) {
+  return text.split('/')[0].trim().split(/\s*,\s*|\s+/).filter(part => part !== '');
+}
+
+function fromHsl(h, s, l) {
+  const hue = ((h % 360) + 360) % 360 / 360;
+  const sat = s / 100;
+  const light = l / 100;
+  if (sat === 0) {
+    return { r: light * 255, g: light * 255, b: light * 255 };
+  }
+  const q = light < 0.5 ? light * (1 + sat) : light + sat - light * sat;
+  const p = 2 * light - q;
+  const channel = t => {
+    const k = (t % 1 + 1) % 1;
+    if (k < 1 / 6) return p + (q - p) * 6 * k;
+    if (k < 1 / 2) return q;
+    if (k < 2 / 3) return p + (q - p) * (2 / 3 - k) * 6;
+    return p;
+  };
+  return { r: channel(hue + 1 / 3) * 255, g: channel(hue) * 255, b: channel(hue - 1 / 3) * 255 };
+}
+
+function toHsl({ r, g, b }) {
+  const [rn, gn, bn] = [r, g, b].map(c => c / 65535);
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const light = (max + min) / 2;
+  let hue = 0;
+  let sat = 0;
+  if (max !== min) {
+    const d = max - min;
+    sat = light > 0.5 ? d / (2 - max - min) : d / (max + min);
+    if (max === rn) hue = (gn - bn) / d + (gn < bn ? 6 : 0);
+    else if (max === gn) hue = (bn - rn) / d + 2;
+    else hue = (rn - gn) / d + 4;
+    hue *= 60;
+  }
+  return `hsl(${Math.round(hue)}, ${Math.round(sat * 100)}%, ${Math.round(light * 100)}%)`;
+}
+
+// 16-bit components given as a list, array or {r, g, b} object
+function fromComponents(components) {
+  if (components.length !== 3 || components.some(c => !Number.isInteger(c) || c < 0 || c > 65535)) {
+    throw new ScriptValueError("Color components must be three integers from 0 to 65535");
+  }
+  const [r, g, b] = components;
+  return { r, g, b };
+}
+
+// Parse any supported notation into 16-bit {r, g, b}
+function parseColor(value) {
+  if (Array.isArray(value)) {
+    return fromComponents(value.map(Number));
+  }
+  if (value && typeof value === 'object') {
+    return fromComponents([value.r, value.g, value.b].map(Number));
+  }
+  if (typeof value !== 'string') {
+    throw new ScriptValueError(`Expected a color as ${FORMATS}`);
+  }
+
+  const text = value.trim().toLowerCase();
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+  if (hex) {
+    return fromHex(hex[1]);
+  }
+  if (NAMED_COLORS[text]) {
+    return fromHex(NAMED_COLORS[text]);
+  }
+
+  const rgb = /^rgba?\((.*)\)$/.exec(text);
+  if (rgb) {
+    const parts = functionArgs(rgb[1]);
+    if (parts.length !== 3) {
+      throw new ScriptValueError(`rgb() takes three components, got "${value}"`);
+    }
+    const [r, g, b] = parts.map(rgbComponent);
+    return { r: to16(r), g: to16(g), b: to16(b) };
+  }
+
+  const hsl = /^hsla?\((.*)\)$/.exec(text);
+  if (hsl) {
+    const parts = functionArgs(hsl[1]);
+    const numbers = parts.map(part => Number(part.replace(/deg$|%$/, '')));
+    if (parts.length !== 3 || numbers.some(n => !Number.isFinite(n)) || numbers[1] < 0 || numbers[1] > 100 || numbers[2] < 0 || numbers[2] > 100) {
+      throw new ScriptValueError(`hsl() takes a hue and two percentages, got "${value}"`);
+    }
+    const { r, g, b } = fromHsl(...numbers);
+    return { r: to16(r), g: to16(g), b: to16(b) };
+  }
+
+  const list = /^\{?\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\}?$/.exec(text);
+  if (list) {
+    return fromComponents(list.slice(1).map(Number));
+  }
+
+  throw new ScriptValueError(`Expected a color as ${FORMATS}, got "${value}"`);
+}
+
+// Render 16-bit {r, g, b} as an AppleScript color literal
+function encodeColor(value) {
+  const { r, g, b } = parseColor(value);
+  return `{${r}, ${g}, ${b}}`;
+}
+
+// Report a 16-bit color in every notation
+function formatColor({ r, g, b }) {
+  const bytes = [r, g, b].map(to8);
+  const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+  const name = Object.keys(NAMED_COLORS).find(key => NAMED_COLORS[key] === hex) || null;
+  return {
+    r, g, b,
+    hex: `#${hex}`,
+    rgb: `rgb(${bytes.join(', ')})`,
+    hsl: toHsl({ r, g, b }),
+    name
+  };
+}
+
+module.exports = {
+  FORMATS,
+  parseColor,
+  encodeColor,
+  formatColor,
+};
@@ -0,0 +1,241 @@
+// Command tools for Terminal's scripting dictionary.
+//
+// Every tool that sends one of the dictionary's commands (open, close, make,
+// do script, ...) is derived from the `commands` table in dictionary.json,
+// like the property tools: its name, inputSchema and the plan index.js turns
+// into a script. A command is one tool named after it that takes its direct
+// parameter and parameters as arguments, such as `move` with
+// `direct_parameter_required_specifier` and `to_required_location_specifier`.
+// Two kinds of command are split into one tool per class instead:
+//
+//   - a command with a class-typed parameter (make's `new`, count's hidden
+//     `each`) gets a tool per class, such as `make_window` and
+//     `count_tab_of_window`. make takes the class's writable properties as
+//     `with_properties_optional_<type>_<property>` arguments; a tab's window
+//     is make's `at` argument and count's target.
+//   - a command with `targets` in COMMAND_OVERRIDES gets a tool per class it
+//     acts on, such as `close_for_window`, that tells the instance to run it
+//
+// Hidden parameters are left out unless COMMAND_OVERRIDES offers them.
+
+const dictionary = require('./dictionary.json');
+const { buildClasses, snakeCase, typeInfo, selectorProperty } = require('./properties');
+
+// What the dictionary does not say: the classes a command acts on (and the
+// name of its tool for files, if it has one), tighter types, parameters the
+// published tools require, and hidden parameters that are still offered
+const COMMAND_OVERRIDES = {
+  'close': { targets: ['document', 'window'] },
+  'save': { targets: ['document', 'window'] },
+  'print': { targets: ['document', 'window'], fileTool: 'print_file' },
+  'exists': { types: { 'direct parameter': 'specifier' } },
+  'duplicate': { required: ['to'] },
+  'do script': { types: { 'in': 'tab' }, hidden: ['with command'] }
+};
+
+const REFERENCE_HINT = ' (a specifier string or a selector object)';
+
+// Argument name for a parameter, e.g. `saving_in_optional_file`. `in` is
+// published as `inParam`.
+function argName(name, optional, type) {
+  const base = name === 'in' ? 'inParam' : snakeCase(name);
+  return `${base}_${optional ? 'optional' : 'required'}_${snakeCase(type)}`;
+}
+
+// Argument name of a property of a new object. List properties were
+// published with a `missing_value` suffix.
+function propertyArgName(descriptor, classes) {
+  const suffix = descriptor.type.startsWith('list of ') ? 'missing_value' : typeInfo(descriptor.type, classes).arg;
+  return `with_properties_optional_${suffix}_${snakeCase(descriptor.property)}`;
+}
+
+// A command parameter: its argument, JSON schema and how index.js encodes it.
+// References (specifiers and class-typed values) accept a selector object.
+function buildParameter(parameter, overrides, dict, classes) {
+  const type = (overrides.types || {})[parameter.name] || parameter.type;
+  const optional = parameter.optional && !(overrides.required || []).includes(parameter.name);
+  const cls = Object.values(classes).find(entry => entry.name === type);
+  const enumeration = dict.enumerations.find(entry => entry.name === type);
+  const isRecord = type === 'record' || dict.records.some(entry => entry.name === type);
+
+  let schema = typeInfo(type, classes).schema;
+  if (type === 'specifier' || cls || isRecord) {
+    schema = ['string', 'object'];
+  } else if (type.startsWith('list of ')) {
+    schema = ['string', 'array'];
+  }
+  let description = parameter.description;
+  if (enumeration) {
+    description += ` One of: ${enumeration.enumerators.map(entry => entry.name).join(', ')}.`;
+  }
+  if (type === 'specifier' || cls) {
+    description += REFERENCE_HINT;
+  }
+
+  return {
+    name: parameter.name,
+    arg: argName(parameter.name, optional, type),
+    key: snakeCase(parameter.name),
+    type,
+    optional,
+    reference: type === 'specifier' || Boolean(cls),
+    className: cls ? cls.name : null,
+    schema: { type: schema, description }
+  };
+}
+
+// Arguments of the `target` selector and target strings for a class
+function targetSchema(cls) {
+  const properties = {};
+  const selector = selectorProperty(cls.name);
+  if (selector) properties.target = selector;
+  for (const target of cls.targets) {
+    properties[target.arg] = { type: 'string', description: target.description };
+  }
+  return { properties, required: selector ? [] : cls.targets.map(target => target.arg) };
+}
+
+function commandTool(name, description, entry, extra = { properties: {}, required: [] }) {
+  const properties = { ...extra.properties };
+  const required = [...extra.required];
+  for (const parameter of [entry.direct, ...entry.parameters].filter(Boolean)) {
+    properties[parameter.arg] = parameter.schema;
+    if (!parameter.optional) required.push(parameter.arg);
+  }
+  for (const property of entry.properties ? entry.properties.args : []) {
+    properties[property.arg] = property.schema;
+  }
+  return {
+    ...entry,
+    tool: {
+      name,
+      description,
+      inputSchema: {
+        type: 'object',
+        properties,
+        required,
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+// The tools for one command
+function buildCommand(command, dict, classes) {
+  const overrides = COMMAND_OVERRIDES[command.name] || {};
+  const name = snakeCase(command.name).toLowerCase();
+  const direct = command.direct_parameter
+    ? buildParameter({ ...command.direct_parameter, name: 'direct parameter' }, overrides, dict, classes)
+    : null;
+  const parameters = command.parameters
+    .filter(parameter => !parameter.hidden || (overrides.hidden || []).includes(parameter.name))
+    .map(parameter => buildParameter(parameter, overrides, dict, classes));
+
+  // One tool per class, the class filling the class-typed parameter
+  const classParameter = command.parameters.find(parameter => parameter.type === 'type');
+  if (classParameter) {
+    const tools = [];
+    for (const [key, cls] of Object.entries(classes)) {
+      if (cls.name === 'application') continue;
+      const [, container] = cls.targets;
+      const at = parameters.find(parameter => parameter.name === 'at');
+      const entry = {
+        command: command.name,
+        head: `${command.name} ${classParameter.name} ${cls.name}`,
+        target: null,
+        direct: null,
+        parameters: parameters.filter(parameter => parameter.name !== classParameter.name),
+        properties: null
+      };
+      let extra;
+      if (container) {
+        // The window of a tab: make's `at`, otherwise the tool's target
+        const containerKey = container.key;
+        if (at) {
+          const arg = `at_required_location_specifier_${containerKey}`;
+          entry.head += ' at it';
+          entry.target = { key: containerKey, arg, echo: 'at' };
+          entry.parameters = entry.parameters.filter(parameter => parameter !== at);
+          extra = {
+            properties: { [arg]: { type: ['string', 'object'], description: `The ${containerKey} in which to make the ${cls.name}${REFERENCE_HINT}` } },
+            required: [arg]
+          };
+        } else {
+          entry.head += ' of it';
+          entry.target = { key: containerKey };
+          extra = targetSchema(classes[containerKey]);
+        }
+      }
+      const record = entry.parameters.find(parameter => parameter.name === 'with properties');
+      if (record) {
+        entry.parameters = entry.parameters.filter(parameter => parameter !== record);
+        const writable = dict.properties.filter(descriptor => descriptor.class === key && descriptor.access === 'rw');
+        if (writable.length > 0) {
+          entry.properties = {
+            key,
+            args: writable.map(descriptor => {
+              const info = typeInfo(descriptor.type, classes);
+              return {
+                property: descriptor.property,
+                arg: propertyArgName(descriptor, classes),
+                schema: {
+                  type: info.schema,
+                  description: `Optional ${descriptor.property} property: ${descriptor.description}${info.hint ? ` Accepts ${info.hint}.` : ''}`
+                }
+              };
+            })
+          };
+        }
+      }
+      const where = container ? ` of a ${container.key}` : '';
+      tools.push(commandTool(`${name}_${key}`, `${command.description} (${classParameter.name} ${cls.name}${where})`, entry, extra));
+    }
+    return tools;
+  }
+
+  // One tool per class the command acts on, plus one for files
+  if (overrides.targets) {
+    const tools = [];
+    if (overrides.fileTool) {
+      tools.push(commandTool(overrides.fileTool, `${command.description} (file input)`,
+        { command: command.name, head: command.name, target: null, direct, parameters, properties: null }));
+    }
+    for (const key of overrides.targets) {
+      tools.push(commandTool(`${name}_for_${key}`, `${command.description} Acts on a ${classes[key].name}.`,
+        { command: command.name, head: `${command.name} it`, target: { key }, direct: null, parameters, properties: null },
+        targetSchema(classes[key])));
+    }
+    return tools;
+  }
+
+  return [commandTool(name, command.description,
+    { command: command.name, head: command.name, target: null, direct, parameters, properties: null })];
+}
+
+// Tool definitions and dispatch entries for every command, in dictionary order
+function buildCommandTools(dict) {
+  const classes = buildClasses(dict.classes);
+  const tools = new Map();
+  for (const command of dict.commands) {
+    for (const entry of buildCommand(command, dict, classes)) {
+      tools.set(entry.tool.name, entry);
+    }
+  }
+  return tools;
+}
+
+const COMMAND_TOOLS = buildCommandTools(dictionary);
+
+function getCommandTools() {
+  return Array.from(COMMAND_TOOLS.values(), entry => entry.tool);
+}
+
+function findCommandTool(name) {
+  return COMMAND_TOOLS.get(name) || null;
+}
+
+module.exports = {
+  buildCommandTools,
+  getCommandTools,
+  findCommandTool,
+};
@@ -0,0 +1,85 @@
+// Server configuration from CLI flags and environment variables.
+// Flags take precedence over the environment; both fall back to defaults.
+
+const os = require('os');
+const path = require('path');
+
+// Where saved state such as layouts lives
+const CONFIG_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'terminal-mcp');
+
+const OPTIONS = {
+  executor: { flag: 'executor', env: 'TERMINAL_MCP_EXECUTOR', default: 'worker' },
+  fixtures: { flag: 'fixtures', env: 'TERMINAL_MCP_FIXTURES', default: null },
+  config_dir: { flag: 'config-dir', env: 'TERMINAL_MCP_CONFIG_DIR', default: CONFIG_DIR },
+  // Defaults to policy.json in the config directory, when it exists
+  policy_file: { flag: 'policy', env: 'TERMINAL_MCP_POLICY', default: null },
+  // Defaults to audit.jsonl in the config directory; "off" disables it
+  audit_log: { flag: 'audit-log', env: 'TERMINAL_MCP_AUDIT_LOG', default: null },
+  audit_max_bytes: { flag: 'audit-max-bytes', env: 'TERMINAL_MCP_AUDIT_MAX_BYTES', default: 10 * 1024 * 1024, type: 'integer' },
+  audit_max_files: { flag: 'audit-max-files', env: 'TERMINAL_MCP_AUDIT_MAX_FILES', default: 5, type: 'integer' },
+  verbosity: { flag: 'verbosity', env: 'TERMINAL_MCP_VERBOSITY', default: 'normal' },
+  redact: { flag: 'redact', env: 'TERMINAL_MCP_REDACT', default: true, type: 'boolean' },
+  // Defaults to redaction.json in the config directory, when it exists
+  redaction_file: { flag: 'redaction', env: 'TERMINAL_MCP_REDACTION', default: null },
+  read_only: { flag: 'read-only', env: 'TERMINAL_MCP_READ_ONLY', default: false, type: 'boolean' },
+  auto_launch: { flag: 'auto-launch', env: 'TERMINAL_MCP_AUTO_LAUNCH', default: false, type: 'boolean' },
+  health_ttl: { flag: 'health-ttl', env: 'TERMINAL_MCP_HEALTH_TTL', default: 5000, type: 'integer' },
+  resource_poll_interval: { flag: 'resource-poll-interval', env: 'TERMINAL_MCP_RESOURCE_POLL_INTERVAL', default: 2000, type: 'integer' },
+  transport: { flag: 'transport', env: 'TERMINAL_MCP_TRANSPORT', default: 'stdio' },
+  http_host: { flag: 'host', env: 'TERMINAL_MCP_HTTP_HOST', default: '127.0.0.1' },
+  http_port: { flag: 'port', env: 'TERMINAL_MCP_HTTP_PORT', default: 3333, type: 'integer' },
+  http_token: { flag: 'token', env: 'TERMINAL_MCP_HTTP_TOKEN', default: null },
+};
+
+// Convert a flag or environment string to the option's type
+function coerce(key, value, type) {
+  if (type === 'boolean') {
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+    if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+    throw new Error(`Option ${key} must be true or false, got '${value}'`);
+  }
+  if (type === 'integer') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`Option ${key} must be a non-negative integer, got '${value}'`);
+    }
+    return number;
+  }
+  return value;
+}
+
+// Parse `--name=value` and `--name value` flags into an object
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      flags[arg.slice(2)] = 'true';
+    }
+  }
+  return flags;
+}
+
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const flags = parseFlags(argv);
+  const config = {};
+  for (const [key, option] of Object.entries(OPTIONS)) {
+    if (flags[option.flag] !== undefined) {
+      config[key] = coerce(key, flags[option.flag], option.type);
+    } else if (env[option.env] !== undefined && env[option.env] !== '') {
+      config[key] = coerce(key, env[option.env], option.type);
+    } else {
+      config[key] = option.default;
+    }
+  }
+  return config;
+}
+
+module.exports = { loadConfig, parseFlags };
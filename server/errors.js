@@ -0,0 +1,99 @@
+// Errors shared by the AppleScript modules
+
+// Raised for arguments that cannot be safely turned into AppleScript
+class ScriptValueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScriptValueError';
+  }
+}
+
+// AppleScript error numbers: a short kind for callers, and whether the same
+// script may succeed if run again
+const ERROR_CODES = {
+  '-128': { kind: 'user_canceled', transient: false },
+  '-600': { kind: 'application_not_running', transient: false },
+  '-609': { kind: 'connection_invalid', transient: true },
+  '-1700': { kind: 'coercion_failed', transient: false },
+  '-1708': { kind: 'not_understood', transient: false },
+  '-1712': { kind: 'timeout', transient: true },
+  '-1719': { kind: 'invalid_index', transient: false },
+  '-1728': { kind: 'no_such_object', transient: false },
+  '-1743': { kind: 'not_authorized', transient: false },
+  '-2740': { kind: 'syntax', transient: false },
+  '-2741': { kind: 'syntax', transient: false },
+  '-2750': { kind: 'syntax', transient: false },
+  '-2753': { kind: 'syntax', transient: false },
+  '-10000': { kind: 'handler_failed', transient: false },
+  '-10004': { kind: 'privilege_violation', transient: false }
+};
+
+// A failed script run, with the AppleScript error number when osascript
+// reported one and the line of the script it points at
+class AppleScriptError extends Error {
+  constructor(message, { code = null, kind = 'execution', transient = false, line = null } = {}) {
+    super(message);
+    this.name = 'AppleScriptError';
+    this.code = code;
+    this.kind = kind;
+    this.transient = transient;
+    this.line = line;
+  }
+
+  // Classify an executor failure. osascript reports script errors on stderr
+  // as `<start>:<end>: execution error: <message> (<number>)`, where the
+  // offsets locate the failing source in the script.
+  static from(error, script) {
+    if (error instanceof AppleScriptError) return error;
+
+    if (error.name === 'AbortError') {
+      return new AppleScriptError("Request cancelled", { kind: 'canceled' });
+    }
+
+    // Killed for running past the call's time limit; running it again would
+    // only spend the same budget twice
+    if (error.killed) {
+      return new AppleScriptError("AppleScript timed out", { code: -1712, kind: 'timeout', transient: false });
+    }
+
+    const text = String(error.stderr || error.message || '');
+    const match = /(?:(\d+):(\d+): )?(execution|syntax) error: ([\s\S]*?) \((-?\d+)\)\s*$/.exec(text);
+    if (!match) {
+      // The process itself failed. A crash or kill (exit status or signal)
+      // may not recur; a missing binary or other system error will.
+      const detail = text.replace(/^Command failed: osascript\s*/, '').trim() || error.message;
+      const transient = typeof error.code === 'number' || Boolean(error.signal);
+      return new AppleScriptError(`AppleScript failed: ${detail}`, { kind: 'process', transient });
+    }
+
+    const code = Number(match[5]);
+    const known = ERROR_CODES[code] || (match[3] === 'syntax' ? ERROR_CODES['-2741'] : { kind: 'execution', transient: false });
+    const line = match[1] !== undefined ? scriptLine(script, Number(match[1])) : null;
+    return new AppleScriptError(match[4].trim(), { code, kind: known.kind, transient: known.transient, line });
+  }
+}
+
+// Error numbers that mean Terminal itself went away: it is not running, the
+// connection to it broke, or permission to script it was withdrawn
+const AVAILABILITY_CODES = [-600, -609, -1743];
+
+// Whether a failure says something about Terminal or osascript rather than
+// about the one script, so the cached availability should be checked again
+function affectsAvailability(error) {
+  return error instanceof AppleScriptError && (AVAILABILITY_CODES.includes(error.code) || error.kind === 'process');
+}
+
+// The trimmed source line containing a character offset
+function scriptLine(script, offset) {
+  if (typeof script !== 'string' || offset > script.length) return null;
+  const start = script.lastIndexOf('\n', offset - 1) + 1;
+  const end = script.indexOf('\n', offset);
+  return script.slice(start, end === -1 ? undefined : end).trim() || null;
+}
+
+module.exports = {
+  ScriptValueError,
+  AppleScriptError,
+  ERROR_CODES,
+  affectsAvailability,
+};
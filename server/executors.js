@@ -0,0 +1,450 @@
+// Execution backends for AppleScript.
+//
+// An executor exposes `run(script, { timeout, signal })` and resolves with
+// `{ stdout, stderr }` or rejects with an error shaped like the ones
+// `child_process.execFile` produces (`message`, `code`, `killed`, `stderr`).
+// Aborting `signal` stops the script and rejects with an AbortError.
+// `executeAppleScript` in index.js owns retries; executors run a script once.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const MAX_BUFFER = 1024 * 1024; // 1MB buffer
+const WORKER_SCRIPT = path.join(__dirname, 'osascript-worker.js');
+const WORKER_MAX_REQUESTS = 500; // Recycle the worker to bound its memory use
+const WORKER_MAX_CRASHES = 3; // Crashes within the window before falling back
+const WORKER_CRASH_WINDOW = 60000; // 1 minute
+
+// Collapse indentation and blank lines so fixtures do not depend on how the
+// server happens to format its template literals
+function normalizeScript(script) {
+  return String(script)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .join('\n');
+}
+
+// Runs each script in a fresh `osascript` process
+function createOsascriptExecutor() {
+  return {
+    name: 'osascript',
+    async run(script, { timeout, signal } = {}) {
+      return execFileAsync("osascript", ["-e", script], {
+        timeout: timeout,
+        signal: signal,
+        maxBuffer: MAX_BUFFER,
+      });
+    }
+  };
+}
+
+// Escape non-ASCII characters so a request line is plain ASCII; the worker
+// decodes its input in chunks and must never see a split character
+function asciiJson(value) {
+  return JSON.stringify(value).replace(/[\u007f-\uffff]/g, char => '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0'));
+}
+
+// The error execFile rejects with when its signal is aborted
+function abortError() {
+  const error = new Error("The operation was aborted");
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+// The error a timed-out osascript run produces
+function timeoutError(timeout) {
+  const error = new Error(`Command failed: osascript (timed out after ${timeout}ms)`);
+  error.killed = true;
+  error.signal = 'SIGTERM';
+  error.code = null;
+  error.stderr = '';
+  return error;
+}
+
+// The error osascript reports for a script that failed to compile or run,
+// prefixed with the character range of the failing source when known
+function scriptError(message, number, range) {
+  const kind = number <= -2700 && number > -2800 ? 'syntax error' : 'execution error';
+  const location = Array.isArray(range) ? `${range[0]}:${range[1]}: ` : '';
+  const stderr = `${location}${kind}: ${message} (${number})`;
+  const error = new Error(`Command failed: osascript\n${stderr}`);
+  error.code = 1;
+  error.stderr = stderr;
+  return error;
+}
+
+function spawnWorker() {
+  return spawn("osascript", ["-l", "JavaScript", WORKER_SCRIPT], {
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+}
+
+// Runs scripts in one long-lived `osascript` process (osascript-worker.js)
+// instead of forking per call.
+//
+// Requests are written to the worker's stdin as JSON lines tagged with an id
+// and answered in order, so only the request at the head of the queue is
+// running and its timeout starts when it reaches the head. A request that
+// times out kills the worker; a worker that exits (crash, kill or recycle
+// after WORKER_MAX_REQUESTS) is replaced on demand and the requests queued
+// behind the one that was running are resent. If the worker cannot start, or
+// crashes WORKER_MAX_CRASHES times within WORKER_CRASH_WINDOW, every call
+// falls back to `fallback` (one-shot osascript).
+function createWorkerExecutor({ spawn: spawnProcess = spawnWorker, fallback = createOsascriptExecutor() } = {}) {
+  let worker = null;
+  let nextId = 1;
+  let crashes = [];
+  let disabled = false;
+
+  // Only keep the server alive for the worker while it has work
+  function setRef(state, busy) {
+    for (const handle of [state.child, state.child.stdin, state.child.stdout, state.child.stderr]) {
+      if (handle && typeof handle.ref === 'function') {
+        if (busy) handle.ref();
+        else handle.unref();
+      }
+    }
+  }
+
+  function start() {
+    const child = spawnProcess();
+    const state = { child, queue: [], served: 0, buffer: '', timer: null, exited: false };
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      state.buffer += chunk;
+      const lines = state.buffer.split('\n');
+      state.buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) handleResponse(state, line);
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      console.error("osascript worker:", chunk.toString().trim());
+    });
+    // Write errors after a crash are reported through 'exit'
+    child.stdin.on('error', () => {});
+    child.on('error', (error) => handleExit(state, error));
+    child.on('exit', (code, signal) => handleExit(state, null, code, signal));
+    setRef(state, false);
+    return state;
+  }
+
+  function handleResponse(state, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.error("osascript worker: ignoring malformed response:", line);
+      return;
+    }
+    const request = state.queue[0];
+    if (!request || request.id !== message.id) {
+      console.error(`osascript worker: ignoring response for unknown request ${message.id}`);
+      return;
+    }
+    state.queue.shift();
+    clearTimeout(state.timer);
+    if (message.error !== undefined) {
+      request.reject(scriptError(message.error, message.number, message.range));
+    } else {
+      request.resolve({ stdout: `${message.stdout}\n`, stderr: '' });
+    }
+    armTimer(state);
+    if (state.queue.length === 0) setRef(state, false);
+  }
+
+  // Time the request that is running now, i.e. the head of the queue
+  function armTimer(state) {
+    const request = state.queue[0];
+    if (!request || !request.timeout) return;
+    state.timer = setTimeout(() => {
+      state.queue.shift();
+      request.reject(timeoutError(request.timeout));
+      // The worker is stuck in the script; replace it
+      state.killed = true;
+      state.child.kill();
+    }, request.timeout);
+  }
+
+  function handleExit(state, error, code, signal) {
+    if (state.exited) return;
+    state.exited = true;
+    clearTimeout(state.timer);
+    if (worker === state) worker = null;
+
+    if (error || (!state.retiring && !state.killed)) {
+      const now = Date.now();
+      crashes = crashes.filter(time => now - time < WORKER_CRASH_WINDOW).concat(now);
+      console.error(`osascript worker exited (${error ? error.message : signal || `code ${code}`})`);
+      if (error || crashes.length >= WORKER_MAX_CRASHES) {
+        disabled = true;
+        console.error("osascript worker disabled; falling back to one osascript process per script");
+      }
+    }
+
+    // The head request was running when the worker crashed; the rest never
+    // started and are safe to send again. After a timeout the running request
+    // has already been answered.
+    const waiting = state.queue;
+    const running = state.killed ? null : waiting.shift();
+    state.queue = [];
+    if (running && !error) {
+      const exitError = new Error(`Command failed: osascript worker exited (${signal || `code ${code}`}) while running the script`);
+      exitError.code = code;
+      exitError.signal = signal;
+      exitError.stderr = '';
+      running.reject(exitError);
+    } else if (running) {
+      waiting.unshift(running);
+    }
+    for (const request of waiting) {
+      dispatch(request);
+    }
+  }
+
+  // Drop an aborted request: a queued one never runs, a running one takes
+  // the worker down with it
+  function abort(request) {
+    const state = request.state;
+    if (!state || state.exited) return;
+    const index = state.queue.indexOf(request);
+    if (index === -1) return;
+    state.queue.splice(index, 1);
+    request.reject(abortError());
+    if (index === 0) {
+      clearTimeout(state.timer);
+      state.killed = true;
+      state.child.kill();
+    }
+  }
+
+  function dispatch(request) {
+    if (disabled) {
+      fallback.run(request.script, { timeout: request.timeout, signal: request.signal }).then(request.resolve, request.reject);
+      return;
+    }
+    if (worker && worker.served >= WORKER_MAX_REQUESTS) {
+      // Let the old worker finish its queue and exit on end of input
+      worker.retiring = true;
+      worker.child.stdin.end();
+      worker = null;
+    }
+    if (!worker) {
+      worker = start();
+    }
+    const state = worker;
+    request.state = state;
+    state.served++;
+    state.queue.push(request);
+    setRef(state, true);
+    state.child.stdin.write(asciiJson({ id: request.id, script: request.script }) + '\n');
+    if (state.queue.length === 1) armTimer(state);
+  }
+
+  return {
+    name: 'worker',
+    run(script, { timeout, signal } = {}) {
+      if (signal && signal.aborted) {
+        return Promise.reject(abortError());
+      }
+      return new Promise((resolve, reject) => {
+        const request = { id: nextId++, script: String(script), timeout, signal };
+        const onAbort = () => abort(request);
+        const settle = (callback) => (value) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          callback(value);
+        };
+        request.resolve = settle(resolve);
+        request.reject = settle(reject);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        dispatch(request);
+      });
+    },
+    // Stop the worker, e.g. on shutdown
+    close() {
+      if (worker) {
+        worker.killed = true;
+        worker.child.kill();
+        worker = null;
+      }
+    }
+  };
+}
+
+function loadFixtures(file) {
+  if (!file) {
+    throw new Error("Replay executor requires a fixtures file (--fixtures or TERMINAL_MCP_FIXTURES)");
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const fixtures = Array.isArray(data) ? data : data.fixtures;
+  if (!Array.isArray(fixtures)) {
+    throw new Error(`Fixtures file ${file} must contain an array or a { fixtures: [] } object`);
+  }
+  return fixtures;
+}
+
+// The match of a fixture against a normalized script: the regular
+// expression match for a `pattern`, true for a `match`, or null
+function fixtureMatches(fixture, normalized) {
+  if (fixture.pattern) {
+    return new RegExp(fixture.pattern, 'm').exec(normalized);
+  }
+  if (fixture.match !== undefined) {
+    return normalized.includes(normalizeScript(fixture.match)) || null;
+  }
+  return null;
+}
+
+// Replace `{{name}}` with the value last captured under that name
+function fillCaptures(text, captures) {
+  return String(text).replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    captures.has(name) ? captures.get(name) : placeholder);
+}
+
+// Build the error a failed osascript run would have produced
+function replayError(response, timeout) {
+  if (response.timeout || (timeout && response.delay_ms > timeout)) {
+    const error = new Error(`Command failed: osascript (timed out after ${timeout}ms)`);
+    error.killed = true;
+    error.signal = 'SIGTERM';
+    error.code = null;
+    error.stderr = '';
+    return error;
+  }
+  const stderr = String(response.error);
+  const error = new Error(`Command failed: osascript\n${stderr}`);
+  error.code = response.exit_code !== undefined ? response.exit_code : 1;
+  error.stderr = stderr;
+  return error;
+}
+
+// Answers scripts from canned fixtures instead of talking to Terminal.
+//
+// Each fixture matches by `match` (substring of the normalized script) or
+// `pattern` (regular expression) and answers with `stdout`, `error` (the
+// osascript stderr text), `timeout: true` or a `delay_ms`. A fixture with a
+// `responses` array answers with each entry in turn and repeats the last one,
+// which makes retry paths testable. The first matching fixture wins. Named
+// groups in a `pattern` are kept, and `{{name}}` in a later `stdout` or
+// `error` is replaced with the value, so a fixture can answer with text
+// that another script generated (such as run_command's markers).
+function createReplayExecutor(fixtures) {
+  const calls = new Map();
+  const captures = new Map();
+
+  return {
+    name: 'replay',
+    fixtures: fixtures,
+    async run(script, { timeout, signal } = {}) {
+      if (signal && signal.aborted) {
+        throw abortError();
+      }
+      const normalized = normalizeScript(script);
+      let index = -1;
+      let match = null;
+      for (let i = 0; i < fixtures.length && index === -1; i++) {
+        match = fixtureMatches(fixtures[i], normalized);
+        if (match) index = i;
+      }
+      if (index === -1) {
+        const error = new Error(`Command failed: osascript\nNo replay fixture matches script:\n${normalized}`);
+        error.code = 'ENOFIXTURE';
+        error.stderr = `No replay fixture matches script:\n${normalized}`;
+        throw error;
+      }
+
+      const fixture = fixtures[index];
+      for (const [name, value] of Object.entries((match && match.groups) || {})) {
+        if (value !== undefined) captures.set(name, value);
+      }
+      let response = fixture;
+      if (Array.isArray(fixture.responses)) {
+        const count = calls.get(index) || 0;
+        calls.set(index, count + 1);
+        response = fixture.responses[Math.min(count, fixture.responses.length - 1)];
+      }
+
+      if (response.delay_ms) {
+        const wait = timeout ? Math.min(response.delay_ms, timeout) : response.delay_ms;
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, wait);
+          if (signal) {
+            signal.addEventListener('abort', () => {
+              clearTimeout(timer);
+              reject(abortError());
+            }, { once: true });
+          }
+        });
+      }
+      if (response.error !== undefined || response.timeout || (timeout && response.delay_ms > timeout)) {
+        throw replayError(response.error === undefined ? response : { ...response, error: fillCaptures(response.error, captures) }, timeout);
+      }
+      return { stdout: `${response.stdout !== undefined ? fillCaptures(response.stdout, captures) : ''}\n`, stderr: '' };
+    }
+  };
+}
+
+// Runs scripts through another executor and appends every exchange to a
+// fixtures file that the replay executor can load later
+function createRecordingExecutor(inner, file) {
+  if (!file) {
+    throw new Error("Recording executor requires a fixtures file (--fixtures or TERMINAL_MCP_FIXTURES)");
+  }
+  const fixtures = fs.existsSync(file) ? loadFixtures(file) : [];
+
+  function save(entry) {
+    fixtures.push(entry);
+    fs.writeFileSync(file, JSON.stringify({ fixtures }, null, 2) + '\n');
+  }
+
+  return {
+    name: 'record',
+    async run(script, options = {}) {
+      const match = normalizeScript(script);
+      try {
+        const result = await inner.run(script, options);
+        save({ match, stdout: result.stdout.trim() });
+        return result;
+      } catch (error) {
+        if (error.killed) {
+          save({ match, timeout: true });
+        } else {
+          save({ match, error: (error.stderr || error.message).trim(), exit_code: error.code });
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+function createExecutor(config) {
+  switch (config.executor) {
+    case 'worker':
+      return createWorkerExecutor();
+    case 'osascript':
+      return createOsascriptExecutor();
+    case 'replay':
+      return createReplayExecutor(loadFixtures(config.fixtures));
+    case 'record':
+      return createRecordingExecutor(createOsascriptExecutor(), config.fixtures);
+    default:
+      throw new Error(`Unknown executor '${config.executor}' (expected worker, osascript, replay or record)`);
+  }
+}
+
+module.exports = {
+  createExecutor,
+  createOsascriptExecutor,
+  createWorkerExecutor,
+  createReplayExecutor,
+  createRecordingExecutor,
+  loadFixtures,
+  normalizeScript,
+};
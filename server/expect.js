@@ -0,0 +1,96 @@
+// Output matching for wait_for_output and expect_script.
+//
+// A pattern is a literal string or, when `regex` is set, a JavaScript
+// regular expression. Matches are reported with their line number and the
+// lines around them, so a caller can see what the program printed.
+
+const { ScriptValueError } = require('./errors');
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A RegExp for a literal or regex pattern. Regexes are multiline so ^ and $
+// match at each line of the tab. Script output loses its trailing
+// whitespace, so a prompt such as "$ " is read as "$"; literal patterns drop
+// theirs to still match it.
+function createMatcher(pattern, regex = false, argName = 'pattern') {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new ScriptValueError(`${argName} must be a non-empty string`);
+  }
+  if (!regex) {
+    return new RegExp(escapeRegExp(pattern.replace(/\s+$/, '') || pattern));
+  }
+  try {
+    return new RegExp(pattern, 'm');
+  } catch (error) {
+    throw new ScriptValueError(`${argName} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+// The last match of `matcher` in `text`, or null. The last one is what a
+// caller waiting for a prompt means when the prompt has appeared before.
+function findLastMatch(text, matcher) {
+  const global = new RegExp(matcher.source, matcher.flags.includes('g') ? matcher.flags : matcher.flags + 'g');
+  let last = null;
+  let match;
+  while ((match = global.exec(text)) !== null) {
+    last = match;
+    if (match[0] === '') global.lastIndex++;
+  }
+  return last;
+}
+
+// Describe a match with its 1-based line number and `contextLines` lines on
+// either side
+function describeMatch(text, match, contextLines = 2) {
+  const lines = text.split('\n');
+  const line = text.slice(0, match.index).split('\n').length;
+  const lastLine = text.slice(0, match.index + match[0].length).split('\n').length;
+  const from = Math.max(0, line - 1 - contextLines);
+  const to = Math.min(lines.length, lastLine + contextLines);
+  return {
+    text: match[0],
+    groups: match.slice(1),
+    line: line,
+    context: lines.slice(from, to).join('\n')
+  };
+}
+
+// Check expect_script steps: each is {expect, regex?, timeout?} or
+// {send, secret?}
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new ScriptValueError("steps_required_array must be a non-empty array of expect and send steps");
+  }
+  return steps.map((step, i) => {
+    const where = `steps_required_array[${i}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new ScriptValueError(`${where} must be an object with "expect" or "send"`);
+    }
+    if ((step.expect === undefined) === (step.send === undefined)) {
+      throw new ScriptValueError(`${where} must have exactly one of "expect" or "send"`);
+    }
+    if (step.send !== undefined) {
+      if (typeof step.send !== 'string') {
+        throw new ScriptValueError(`${where}.send must be a string`);
+      }
+      return { send: step.send, secret: step.secret === true };
+    }
+    if (step.timeout !== undefined && !(Number.isInteger(step.timeout) && step.timeout > 0)) {
+      throw new ScriptValueError(`${where}.timeout must be a positive integer`);
+    }
+    return {
+      expect: step.expect,
+      matcher: createMatcher(step.expect, step.regex === true, `${where}.expect`),
+      timeout: step.timeout
+    };
+  });
+}
+
+module.exports = {
+  createMatcher,
+  findLastMatch,
+  describeMatch,
+  normalizeSteps,
+};
@@ -0,0 +1,112 @@
+// Terminal availability.
+//
+// Tool calls need Terminal to be installed, running and scriptable by this
+// process. Probing that takes an AppleScript round trip, so the result is
+// cached for `ttl` milliseconds; anything that learns the state may have
+// changed (a script failing because Terminal quit or refused Apple events,
+// osascript failing to run, a launch) calls invalidate().
+
+const TERMINAL_ID = 'com.apple.Terminal';
+
+// Probe statuses and what they mean for a caller
+const STATUSES = {
+  available: 'Terminal is running and accepts Apple events',
+  not_installed: 'Terminal is not installed',
+  not_running: 'Terminal is not running',
+  permission_denied: 'This process is not allowed to control Terminal; grant it in System Settings > Privacy & Security > Automation',
+  error: 'Terminal could not be reached'
+};
+
+// One script that tells the statuses apart without launching Terminal:
+// `path to application id` fails when it is not installed, `running` does
+// not launch it, and the first Apple event raises -1743 when automation is
+// not permitted
+const PROBE_SCRIPT = `
+      try
+        path to application id "${TERMINAL_ID}"
+      on error
+        return "not_installed"
+      end try
+      if application id "${TERMINAL_ID}" is not running then return "not_running"
+      try
+        tell application id "${TERMINAL_ID}" to count windows
+        return "available"
+      on error errorMessage number errorNumber
+        if errorNumber is -1743 then return "permission_denied"
+        return "error:" & errorNumber & ":" & errorMessage
+      end try
+    `;
+
+const LAUNCH_SCRIPT = `
+      tell application id "${TERMINAL_ID}" to launch
+    `;
+
+function parseProbe(output) {
+  if (STATUSES[output] && output !== 'error') {
+    return { status: output, message: STATUSES[output] };
+  }
+  const failure = /^error:(-?\d+):([\s\S]*)$/.exec(output);
+  if (failure) {
+    return { status: 'error', message: `${STATUSES.error}: ${failure[2]} (${failure[1]})`, error_number: Number(failure[1]) };
+  }
+  return { status: 'error', message: `${STATUSES.error}: unexpected probe result "${output}"` };
+}
+
+// `run(script)` executes a script once (no retries) and resolves with its
+// output. With `autoLaunch`, a probe that finds Terminal not running
+// launches it and probes again.
+function createHealthMonitor({ run, ttl = 5000, autoLaunch = false }) {
+  let cached = null;
+  let inFlight = null;
+
+  async function probe() {
+    let result;
+    try {
+      result = parseProbe(await run(PROBE_SCRIPT));
+    } catch (error) {
+      result = { status: 'error', message: `${STATUSES.error}: ${error.message}` };
+    }
+
+    if (result.status === 'not_running' && autoLaunch) {
+      try {
+        await run(LAUNCH_SCRIPT);
+        result = { ...parseProbe(await run(PROBE_SCRIPT)), launched: true };
+      } catch (error) {
+        result = { status: 'error', message: `Could not launch Terminal: ${error.message}`, launched: false };
+      }
+    }
+
+    return { ...result, available: result.status === 'available', checked_at: Date.now() };
+  }
+
+  return {
+    // The cached status, probing when it is missing, stale or `refresh` is
+    // set. Concurrent callers share one probe.
+    async check({ refresh = false } = {}) {
+      if (!refresh && cached && Date.now() - cached.checked_at < ttl) {
+        return cached;
+      }
+      if (!inFlight) {
+        inFlight = probe().then((result) => {
+          cached = result;
+          inFlight = null;
+          return result;
+        });
+      }
+      return inFlight;
+    },
+
+    // Drop the cached status so the next check probes again
+    invalidate() {
+      cached = null;
+    },
+
+    ttl,
+    autoLaunch
+  };
+}
+
+module.exports = {
+  STATUSES,
+  createHealthMonitor,
+};
@@ -0,0 +1,283 @@
+// MCP Streamable HTTP transport.
+//
+// One endpoint (`/mcp` by default) takes JSON-RPC messages by POST and
+// answers requests with a JSON body; GET opens a Server-Sent Events stream
+// for messages the server sends on its own, and DELETE ends a session. An
+// `initialize` request starts a session whose id comes back in the
+// Mcp-Session-Id header and must accompany every later request. Each session
+// gets its own TerminalMCPServer, so messages go through the same
+// handleMessage as on stdio.
+//
+// Every request must carry `Authorization: Bearer <token>`. Browsers are
+// kept out by rejecting cross-origin requests while bound to loopback.
+//
+// Sessions left idle (no request in flight and no open event stream) for
+// `sessionTtl` are closed, and at most `maxSessions` are kept: starting one
+// more closes the session that was used longest ago.
+
+const http = require('http');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const MAX_BODY = 4 * 1024 * 1024; // 4MB
+const KEEPALIVE_INTERVAL = 25000; // 25 seconds
+const SESSION_TTL = 30 * 60 * 1000; // 30 minutes
+const MAX_SESSIONS = 100;
+const SWEEP_INTERVAL = 60000; // 1 minute
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+// The POST a message is being handled for, so the server's replies go back
+// on that HTTP response rather than the session's event stream
+const currentPost = new AsyncLocalStorage();
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// Transport-level failures are reported as JSON-RPC errors without an id
+function sendTransportError(res, status, message) {
+  sendJson(res, status, { jsonrpc: '2.0', id: null, error: { code: -32000, message } });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new Error(`Request body exceeds ${MAX_BODY} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function tokenMatches(header, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isLoopbackOrigin(origin) {
+  try {
+    return LOOPBACK_HOSTS.includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Start the HTTP transport. `createServer(write)` builds a TerminalMCPServer
+// that sends its messages through `write`. Resolves with the listening
+// `http.Server` once bound.
+function startHttpTransport({ createServer, host = '127.0.0.1', port = 3333, path = '/mcp', token, sessionTtl = SESSION_TTL, maxSessions = MAX_SESSIONS }) {
+  if (!token) {
+    throw new Error("The HTTP transport requires a bearer token");
+  }
+  const loopback = LOOPBACK_HOSTS.includes(host);
+  const sessions = new Map();
+
+  function createSession() {
+    if (sessions.size >= maxSessions) {
+      const oldest = [...sessions.values()].reduce((a, b) => (b.lastUsed < a.lastUsed ? b : a));
+      console.error(`HTTP session limit of ${maxSessions} reached`);
+      closeSession(oldest);
+    }
+    const session = { id: crypto.randomUUID(), stream: null, keepalive: null, lastUsed: Date.now(), active: 0 };
+    session.server = createServer((line) => {
+      const post = currentPost.getStore();
+      if (post && post.open) {
+        post.replies.push(line);
+      } else if (session.stream) {
+        session.stream.write(`event: message\ndata: ${line}\n\n`);
+      } else {
+        console.error(`Dropping message for session ${session.id} with no open event stream`);
+      }
+    });
+    sessions.set(session.id, session);
+    console.error(`HTTP session ${session.id} started`);
+    return session;
+  }
+
+  function closeSession(session) {
+    session.server.close();
+    clearInterval(session.keepalive);
+    if (session.stream) session.stream.end();
+    sessions.delete(session.id);
+    console.error(`HTTP session ${session.id} closed`);
+  }
+
+  // The session named by Mcp-Session-Id, or null after answering with the
+  // error the spec calls for
+  function requireSession(req, res) {
+    const id = req.headers['mcp-session-id'];
+    if (!id) {
+      sendTransportError(res, 400, 'Missing Mcp-Session-Id header');
+      return null;
+    }
+    const session = sessions.get(id);
+    if (!session) {
+      sendTransportError(res, 404, 'Unknown or expired session');
+      return null;
+    }
+    session.lastUsed = Date.now();
+    return session;
+  }
+
+  async function handlePost(req, res) {
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      sendTransportError(res, 413, error.message);
+      return;
+    }
+
+    // Peek at the message to route it; malformed JSON is left for
+    // handleMessage to report
+    let message = null;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      // Reported by handleMessage
+    }
+
+    let session;
+    if (message && message.method === 'initialize' && !req.headers['mcp-session-id']) {
+      session = createSession();
+    } else {
+      session = requireSession(req, res);
+      if (!session) return;
+    }
+
+    // Timers started while handling the message inherit this context, so it
+    // is closed once the reply is sent and later messages go to the stream
+    const post = { replies: [], open: true };
+    session.active++;
+    try {
+      await currentPost.run(post, () => session.server.handleMessage(body));
+    } finally {
+      post.open = false;
+      session.active--;
+      session.lastUsed = Date.now();
+    }
+    const { replies } = post;
+
+    const headers = { 'Mcp-Session-Id': session.id };
+    if (replies.length === 0) {
+      // Notifications, responses and cancelled requests get no body
+      res.writeHead(202, headers);
+      res.end();
+      return;
+    }
+    const reply = replies[replies.length - 1];
+    const status = message === null ? 400 : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(reply);
+  }
+
+  function handleGet(req, res) {
+    if (!String(req.headers.accept || '').includes('text/event-stream')) {
+      sendTransportError(res, 405, 'GET requires Accept: text/event-stream');
+      return;
+    }
+    const session = requireSession(req, res);
+    if (!session) return;
+    if (session.stream) {
+      sendTransportError(res, 409, 'This session already has an open event stream');
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Mcp-Session-Id': session.id
+    });
+    res.write(': connected\n\n');
+    session.stream = res;
+    session.keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+    session.keepalive.unref();
+    req.on('close', () => {
+      clearInterval(session.keepalive);
+      if (session.stream === res) session.stream = null;
+    });
+  }
+
+  function handleDelete(req, res) {
+    const session = requireSession(req, res);
+    if (!session) return;
+    closeSession(session);
+    res.writeHead(204);
+    res.end();
+  }
+
+  // Close sessions nobody has used for sessionTtl
+  const sweeper = setInterval(() => {
+    for (const session of sessions.values()) {
+      if (session.active === 0 && !session.stream && Date.now() - session.lastUsed > sessionTtl) {
+        console.error(`HTTP session ${session.id} expired`);
+        closeSession(session);
+      }
+    }
+  }, Math.min(sessionTtl, SWEEP_INTERVAL));
+  sweeper.unref();
+
+  const httpServer = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      sendTransportError(res, 404, `Not found; the MCP endpoint is ${path}`);
+      return;
+    }
+    if (loopback && req.headers.origin && !isLoopbackOrigin(req.headers.origin)) {
+      sendTransportError(res, 403, 'Cross-origin requests are not allowed');
+      return;
+    }
+    if (!tokenMatches(req.headers.authorization, token)) {
+      sendTransportError(res, 401, 'Missing or invalid bearer token');
+      return;
+    }
+
+    switch (req.method) {
+      case 'POST':
+        handlePost(req, res).catch((error) => {
+          console.error("Error handling HTTP request:", error);
+          if (!res.headersSent) sendTransportError(res, 500, error.message);
+        });
+        break;
+      case 'GET':
+        handleGet(req, res);
+        break;
+      case 'DELETE':
+        handleDelete(req, res);
+        break;
+      default:
+        res.setHeader('Allow', 'GET, POST, DELETE');
+        sendTransportError(res, 405, `Method ${req.method} not allowed`);
+    }
+  });
+
+  httpServer.on('close', () => clearInterval(sweeper));
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      if (!loopback) {
+        console.error(`Warning: HTTP transport bound to ${host}, reachable from other machines`);
+      }
+      resolve(httpServer);
+    });
+  });
+}
+
+module.exports = {
+  startHttpTransport,
+};
@@ -1,123 +1,269 @@
 #!/usr/bin/env node
 
-const { execFile } = require('child_process');
-const { promisify } = require('util');
-
-const execFileAsync = promisify(execFile);
+const crypto = require('crypto');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { loadConfig } = require('./config');
+const { createExecutor } = require('./executors');
+const { CLASSES, PROPERTIES, getPropertyTools, findPropertyTool, findProperty, valueArgName, selectorProperty } = require('./properties');
+const { getCommandTools, findCommandTool } = require('./commands');
+const { ScriptValueError, Specifier, encodeValue, encodeRecord, decodeValue, parseSpecifier } = require('./applescript');
+const { SelectorError, isSelector, resolveSelector } = require('./selectors');
+const { createHealthMonitor } = require('./health');
+const { AppleScriptError, affectsAvailability } = require('./errors');
+const { startHttpTransport } = require('./http');
+const { TEMPLATES, INVENTORY_SCRIPT, parseInventory, listResources, parseResourceUri, resourceReader } = require('./resources');
+const { findPrompt, listPrompts, validatePromptArguments } = require('./prompts');
+const { buildSnapshotScript, parseSnapshot } = require('./snapshot');
+const { createLayoutStore, layoutFromSnapshot, planRestore, fillPlaceholders } = require('./layouts');
+const { createMatcher, findLastMatch, describeMatch, normalizeSteps } = require('./expect');
+const { encodeCursor, decodeCursor, anchorHash, buildTailScript, parseTail } = require('./tail');
+const { PolicyError, loadPolicy, evaluate, createConfirmations, describeRule } = require('./policy');
+const { createAuditLog } = require('./audit');
+const { loadRedaction, createRedactor, maskTexts } = require('./redaction');
+const { VERBOSITY_LEVELS, isVerbosity, shapeResult, resultText } = require('./shaping');
 
 console.error("Terminal AppleScript MCP server starting...");
 
+const config = loadConfig();
+let executor = createExecutor(config);
+// The tool call a script runs on behalf of: its timeout and the signal that
+// cancels it. Set per request by TerminalMCPServer and read by
+// executeAppleScript, so tool methods need not pass it along.
+const callContext = new AsyncLocalStorage();
+// Probes run once; a failed probe is itself the answer. A probe is shared by
+// every waiting call, so it runs outside any one call's timeout and signal.
+const health = createHealthMonitor({
+  run: (script) => callContext.run({ origin: 'health_probe' }, () => executeAppleScript(script, { retries: 0 })),
+  ttl: config.health_ttl,
+  autoLaunch: config.auto_launch,
+});
+const layouts = createLayoutStore(config.config_dir);
+// Rules for the text tools send to a shell or open as a URL; null allows all
+const policy = config.policy_file
+  ? loadPolicy(config.policy_file)
+  : loadPolicy(path.join(config.config_dir, 'policy.json'), { optional: true });
+const confirmations = createConfirmations();
+if (!isVerbosity(config.verbosity)) {
+  throw new Error(`Unknown verbosity '${config.verbosity}'; use ${VERBOSITY_LEVELS.join(', ')}`);
+}
+// Secrets are masked in everything tools, resources and prompts return
+const redactor = config.redact
+  ? createRedactor(config.redaction_file
+    ? loadRedaction(config.redaction_file)
+    : loadRedaction(path.join(config.config_dir, 'redaction.json'), { optional: true }))
+  : null;
+// The audit log is redacted even when results are not
+const auditRedactor = redactor || createRedactor(null);
+const audit = config.audit_log === 'off' ? null : createAuditLog({
+  file: config.audit_log || path.join(config.config_dir, 'audit.jsonl'),
+  maxBytes: config.audit_max_bytes,
+  maxFiles: config.audit_max_files,
+  redact: entry => auditRedactor.redact(null, entry).value,
+});
+
+// MCP protocol versions the server speaks, latest first. The Streamable
+// HTTP transport is defined by 2025-03-26.
+const PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
 // Constants
 const APPLESCRIPT_TIMEOUT = 10000; // 10 seconds
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
+const RUN_COMMAND_TIMEOUT = 60000; // 60 seconds
+const RUN_COMMAND_POLL_INTERVAL = 250;
+const GETTER_TIMEOUT = 5000; // 5 seconds
+const WAIT_FOR_OUTPUT_TIMEOUT = 30000; // 30 seconds
+const TAIL_HISTORY_LINES = 500;
+const AUDIT_LOG_LIMIT = 50;
+const AUDIT_LOG_MAX_LIMIT = 1000;
+// Default script timeouts for tools that need more or less than the
+// APPLESCRIPT_TIMEOUT (commands) or GETTER_TIMEOUT (property getters)
+const TOOL_TIMEOUTS = {
+  get_history_of_tab_of_window: 60000,
+  get_contents_of_tab_of_window: 30000,
+  open: 30000,
+  print_file: 30000,
+  print_for_document: 30000,
+  print_for_window: 30000,
+  terminal_health: APPLESCRIPT_TIMEOUT,
+  terminal_snapshot: 30000,
+  save_layout: 30000,
+  wait_for_output: 60000,
+  expect_script: 60000,
+  tail_history: 60000
+};
+
+// How run_command wraps a command for the shell reading the tab's input:
+// a begin marker, the command on lines of its own in a group (so a trailing
+// `&` or comment cannot swallow the end marker), then the end marker with
+// the exit status on a new line even when the output does not end with one.
+// Shells listed as null have no such group and are refused.
+const COMMAND_WRAPPERS = {
+  sh: 'posix', bash: 'posix', zsh: 'posix', dash: 'posix', ksh: 'posix', mksh: 'posix', yash: 'posix',
+  fish: 'fish',
+  csh: null, tcsh: null, nu: null, pwsh: null, xonsh: null, elvish: null
+};
+const WRAP_COMMAND = {
+  posix: (command, begin, end) => `printf '%s\\n' ${begin}; {\n${command}\n}; printf '\\n%s:%s\\n' ${end} $?`,
+  fish: (command, begin, end) => `printf '%s\\n' ${begin}; begin\n${command}\nend; printf '\\n%s:%s\\n' ${end} $status`
+};
+
+// The shell reading a tab's input: the last shell among its processes
+// (login shells show up as `-zsh`). A tab without one is taken to run sh.
+function tabShell(processes) {
+  const shells = (processes || [])
+    .map(name => path.basename(String(name)).replace(/^-/, ''))
+    .filter(name => name in COMMAND_WRAPPERS);
+  return shells.length > 0 ? shells[shells.length - 1] : 'sh';
+}
 
-// Universal type caster for AppleScript values
-function universalCast(value) {
-  if (value === null || value === undefined) return null;
-  
-  const str = String(value).trim();
-  if (str === '') return '';
-  
-  // Boolean
-  const lower = str.toLowerCase();
-  if (['true', 'yes'].includes(lower)) return true;
-  if (['false', 'no'].includes(lower)) return false;
-  
-  // Number
-  if (/^-?\d+(\.\d+)?$/.test(str)) {
-    const num = Number(str);
-    return Number.isInteger(num) ? num : num;
+// Tools that work without Terminal: the health report, and tools that only
+// touch the server's own files
+const HEALTH_EXEMPT_TOOLS = ['terminal_health', 'list_layouts', 'delete_layout', 'get_audit_log'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+// Error that is reported to the client as a JSON-RPC error object rather than
+// as a failed tool result
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
   }
-  
-  // List/Record - anything in braces, return as-is for AppleScript
-  if (str.startsWith('{') && str.endsWith('}')) {
-    return str; // AppleScript will handle the parsing
+}
+
+// Class key (e.g. `tab_of_window`) for an element class name such as `tab`
+function classKey(className) {
+  return Object.keys(CLASSES).find(key => CLASSES[key].name === className);
+}
+
+// Property fields of a class, used to type the entries of a properties record
+function classFields(className) {
+  const key = classKey(className);
+  return PROPERTIES.filter(descriptor => descriptor.class === key);
+}
+
+// Parse an object specifier argument, naming the argument in any error
+function requireSpecifier(argName, value, className = null) {
+  if (value === undefined || value === null || value === '') {
+    throw new ScriptValueError(`${argName} is required`);
   }
-  
-  // Auto-detect comma-separated values that should be lists/rectangles
-  if (str.includes(',') && !str.startsWith('{')) {
-    const parts = str.split(',').map(p => p.trim());
-    
-    // Rectangle pattern: 4 numbers (x, y, width, height)
-    if (parts.length === 4 && parts.every(p => /^-?\d+(\.\d+)?$/.test(p))) {
-      return `{${str}}`; // Add brackets for rectangle
-    }
-    
-    // Generic list: 2+ comma-separated values
-    if (parts.length >= 2) {
-      return `{${str}}`; // Add brackets for list
+  try {
+    return parseSpecifier(value, { expect: className, contained: true });
+  } catch (error) {
+    if (error instanceof ScriptValueError) {
+      throw new ScriptValueError(`${argName}: ${error.message}`);
     }
+    throw error;
   }
-  
-  // Date patterns
-  if (str.startsWith('date "') || /^\d{4}-\d{2}-\d{2}/.test(str)) {
-    return `date "${str}"`;
-  }
-  
-  // String - remove quotes if present
-  if ((str.startsWith('"') && str.endsWith('"')) || 
-      (str.startsWith("'") && str.endsWith("'"))) {
-    return str.slice(1, -1);
-  }
-  
-  return str;
 }
 
-// Cast and escape for AppleScript injection
-function castAndEscape(value) {
-  const casted = universalCast(value);
-  
-  // If it's a string that doesn't start with {, escape it
-  if (typeof casted === 'string' && !casted.startsWith('{') && !casted.startsWith('date')) {
-    return escapeForAppleScript(casted);
+// Encode a typed argument as AppleScript source, naming the argument in any
+// error. `fields` types the entries of a generic `record` argument.
+function encodeArgument(argName, type, value, fields = null) {
+  try {
+    return type === 'record' ? encodeRecord(fields || [], value, 'record') : encodeValue(type, value);
+  } catch (error) {
+    if (error instanceof ScriptValueError) {
+      throw new ScriptValueError(`${argName}: ${error.message}`);
+    }
+    throw error;
   }
-  
-  // Numbers, booleans, and AppleScript literals go as-is
-  return casted;
 }
 
-// Helper function to escape strings for AppleScript
-function escapeForAppleScript(str) {
-  if (typeof str !== "string") return str;
-  return str
-    .replace(/\\/g, "\\\\") // Escape backslashes first
-    .replace(/"/g, '\"') // Then escape double quotes
-    .replace(/\n/g, "\\n") // Escape newlines
-    .replace(/\r/g, "\\r"); // Escape carriage returns
+// Build the ` with properties {...}` clause of a make command from
+// [property, value] pairs, skipping values that were not given
+function buildPropertiesRecord(key, pairs) {
+  const entries = pairs
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([property, value]) => {
+      const descriptor = findProperty(key, property);
+      return `${property}:${encodeArgument(property.replace(/ /g, '_'), descriptor.type, value)}`;
+    });
+  return entries.length > 0 ? ` with properties {${entries.join(', ')}}` : '';
 }
 
-// Test if Terminal is available
-async function checkTerminalAvailable() {
-  try {
-    const script = 'tell application "Terminal" to return "available"';
-    const result = await executeAppleScript(script);
-    return result === "available";
-  } catch (error) {
-    return false;
+// Check tool arguments against a tool's inputSchema, returning a list of problems
+function validateArguments(schema, args) {
+  const problems = [];
+  const properties = schema.properties || {};
+
+  for (const key of schema.required || []) {
+    if (args[key] === undefined || args[key] === null) {
+      problems.push(`${key} is required`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(args)) {
+    const property = properties[key];
+    if (!property) {
+      if (schema.additionalProperties === false) {
+        problems.push(`${key} is not a known argument`);
+      }
+      continue;
+    }
+    if (value === undefined || value === null) continue;
+
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    const allowed = Array.isArray(property.type) ? property.type : [property.type];
+    if (property.type && !allowed.includes(actual) && !(actual === 'number' && allowed.includes('integer'))) {
+      problems.push(`${key} must be of type ${allowed.join(' or ')}`);
+    }
   }
+
+  return problems;
 }
 
-// Execute AppleScript with retry logic
-async function executeAppleScript(script, retries = MAX_RETRIES) {
-  for (let attempt = 0; attempt <= retries; attempt++) {
+// Execute AppleScript, retrying failures that may succeed on a second run
+// (timeouts, a dropped connection). Scripts that change Terminal's state are
+// never retried: the failure may come after the change took effect.
+async function executeAppleScript(script, { retries = MAX_RETRIES, mutating = false } = {}) {
+  const call = callContext.getStore() || {};
+  // Tool calls are stopped earlier; this catches any path that slips by
+  if (mutating && config.read_only) {
+    throw new Error("The server is in read-only mode and does not change Terminal");
+  }
+  const started = Date.now();
+  for (let attempt = 0; ; attempt++) {
     try {
-      const { stdout, stderr } = await execFileAsync(
-        "osascript",
-        ["-e", script],
-        {
-          timeout: APPLESCRIPT_TIMEOUT,
-          maxBuffer: 1024 * 1024, // 1MB buffer
-        },
-      );
+      const { stdout, stderr } = await executor.run(script, {
+        timeout: call.timeout || APPLESCRIPT_TIMEOUT,
+        signal: call.signal,
+      });
       if (stderr) {
         console.error("AppleScript stderr:", stderr);
       }
+      if (call.trace) {
+        call.trace.push({ script, duration_ms: Date.now() - started, attempts: attempt + 1, stdout, stderr: stderr || null });
+      }
+      logScript(call, { script, duration_ms: Date.now() - started, attempts: attempt + 1, outcome: 'success' });
       return stdout.trim();
     } catch (error) {
-      if (attempt === retries) {
-        console.error("AppleScript execution error after retries:", error);
-        throw new Error(`AppleScript error: ${error.message}`);
+      const failure = AppleScriptError.from(error, script);
+      if (mutating || !failure.transient || attempt >= retries || (call.signal && call.signal.aborted)) {
+        console.error(`AppleScript execution error after ${attempt + 1} attempt(s):`, failure.message);
+        if (call.trace) {
+          call.trace.push({ script, duration_ms: Date.now() - started, attempts: attempt + 1, error: failure.message });
+        }
+        logScript(call, {
+          script,
+          duration_ms: Date.now() - started,
+          attempts: attempt + 1,
+          outcome: 'error',
+          error: failure.message,
+          error_code: failure.code,
+          error_kind: failure.kind
+        });
+        throw failure;
       }
       await new Promise((resolve) =>
         setTimeout(resolve, RETRY_DELAY * Math.pow(2, attempt)),
@@ -126,11 +272,259 @@ async function executeAppleScript(script, retries = MAX_RETRIES) {
   }
 }
 
+// What each hand-written tool does to Terminal (or the server's saved
+// state): 'read' only observes, 'write' changes something, 'destructive'
+// closes or deletes something. Read-only mode offers only 'read' tools.
+// `idempotent` tools have no further effect when repeated with the same
+// arguments.
+const TOOL_ACCESS = {
+  open: { access: 'write', idempotent: false },
+  close_for_document: { access: 'destructive', idempotent: true },
+  close_for_window: { access: 'destructive', idempotent: true },
+  save_for_document: { access: 'write', idempotent: true },
+  save_for_window: { access: 'write', idempotent: true },
+  print_file: { access: 'write', idempotent: false },
+  print_for_document: { access: 'write', idempotent: false },
+  print_for_window: { access: 'write', idempotent: false },
+  quit: { access: 'destructive', idempotent: true },
+  count_document: { access: 'read', idempotent: true },
+  count_tab_of_window: { access: 'read', idempotent: true },
+  count_settings_set: { access: 'read', idempotent: true },
+  count_window: { access: 'read', idempotent: true },
+  delete: { access: 'destructive', idempotent: true },
+  duplicate: { access: 'write', idempotent: false },
+  exists: { access: 'read', idempotent: true },
+  make_document: { access: 'write', idempotent: false },
+  make_tab_of_window: { access: 'write', idempotent: false },
+  make_settings_set: { access: 'write', idempotent: false },
+  make_window: { access: 'write', idempotent: false },
+  move: { access: 'write', idempotent: true },
+  do_script: { access: 'write', idempotent: false },
+  run_command: { access: 'write', idempotent: false },
+  get_url: { access: 'write', idempotent: false },
+  terminal_health: { access: 'read', idempotent: true },
+  terminal_snapshot: { access: 'read', idempotent: true },
+  save_layout: { access: 'write', idempotent: false },
+  restore_layout: { access: 'write', idempotent: false },
+  list_layouts: { access: 'read', idempotent: true },
+  delete_layout: { access: 'destructive', idempotent: true },
+  wait_for_output: { access: 'read', idempotent: true },
+  expect_script: { access: 'write', idempotent: false },
+  tail_history: { access: 'read', idempotent: true },
+  get_audit_log: { access: 'read', idempotent: true }
+};
+
+// The result field that repeats each argument of a hand-written tool; a
+// `target` selector is echoed where the tab strings would be
+const ECHOED_ARGUMENTS = {
+  run_command: { command_required_text: 'command', target: 'tab', target_tab_required_string: 'tab', target_window_required_string: 'window' },
+  wait_for_output: {
+    pattern_required_text: 'pattern',
+    regex_optional_boolean: 'regex',
+    source_optional_text: 'source',
+    target: 'tab',
+    target_tab_required_string: 'tab',
+    target_window_required_string: 'window'
+  },
+  expect_script: { target: 'tab', target_tab_required_string: 'tab', target_window_required_string: 'window' },
+  delete_layout: { name_required_text: 'name' }
+};
+
+// The result fields of a tool call that only repeat the arguments it was
+// given, which minimal verbosity leaves out
+function echoedFields(name, args) {
+  let fields = ECHOED_ARGUMENTS[name];
+  if (!fields) {
+    const commandTool = findCommandTool(name);
+    const propertyTool = commandTool ? null : findPropertyTool(name);
+    const classKey = commandTool
+      ? commandTool.target && !commandTool.target.arg && commandTool.target.key
+      : propertyTool && propertyTool.descriptor.class;
+    fields = { target: 'target' };
+    for (const target of classKey ? CLASSES[classKey].targets : []) {
+      fields[target.arg] = target.key;
+    }
+    if (commandTool) {
+      if (commandTool.target && commandTool.target.arg) {
+        fields[commandTool.target.arg] = commandTool.target.echo;
+      }
+      for (const parameter of [commandTool.direct, ...commandTool.parameters].filter(Boolean)) {
+        fields[parameter.arg] = parameter.key;
+      }
+      for (const { property, arg } of commandTool.properties ? commandTool.properties.args : []) {
+        fields[arg] = property.replace(/ /g, '_');
+      }
+    }
+  }
+  return Object.keys(args).filter(arg => fields[arg]).map(arg => fields[arg]);
+}
+
+// Access of any tool; property getters read and setters write. A tool
+// missing from TOOL_ACCESS counts as writing so read-only mode never offers it
+function toolAccess(name) {
+  if (TOOL_ACCESS[name]) return TOOL_ACCESS[name];
+  const propertyTool = findPropertyTool(name);
+  if (propertyTool && propertyTool.access === 'get') return { access: 'read', idempotent: true };
+  return { access: 'write', idempotent: Boolean(propertyTool) };
+}
+
+// Add MCP annotations describing the tool's access
+function withAnnotations(tool) {
+  const { access, idempotent } = toolAccess(tool.name);
+  return {
+    ...tool,
+    annotations: {
+      readOnlyHint: access === 'read',
+      destructiveHint: access === 'destructive',
+      idempotentHint: idempotent
+    }
+  };
+}
+
+// The texts a request's caller marked secret (expect_script sends). They are
+// masked wherever they show up: results, error payloads, debug scripts and
+// the audit log.
+function callSecrets(request) {
+  const params = request.params || {};
+  if (request.method !== 'tools/call' || params.name !== 'expect_script') return [];
+  const steps = (params.arguments || {}).steps_required_array;
+  return Array.isArray(steps)
+    ? steps.filter(step => step && step.secret === true && typeof step.send === 'string').map(step => step.send)
+    : [];
+}
+
+// Log a script run (or a refused call) for a client request, or for work the
+// server does on its own (health probes, resource polls) under its `origin`
+function auditScript(request, details, origin = null) {
+  if (!audit || (!request && !origin)) return;
+  if (!request) {
+    audit.append({ origin, ...details });
+    return;
+  }
+  const params = request.params || {};
+  const isToolCall = request.method === 'tools/call';
+  audit.append(maskTexts({
+    request_id: request.id,
+    method: request.method,
+    tool: isToolCall ? params.name : null,
+    arguments: isToolCall ? (params.arguments || {}) : params,
+    ...details
+  }, callSecrets(request)));
+}
+
+// Log a script run in `call`. Scripts a polling loop repeats are collected in
+// `call.polls` and logged once the loop ends (see `collectPolls`).
+function logScript(call, details) {
+  if (call.polls) {
+    call.polls.push(details);
+  } else {
+    auditScript(call.request, details, call.origin);
+  }
+}
+
+// Redact secrets from what a tool (or resources/read, prompts/get) returns
+function redactOutput(name, value) {
+  if (!redactor) return { value, count: 0, counts: {} };
+  const redaction = redactor.redact(name, value);
+  if (redaction.count > 0) {
+    console.error(`Redacted ${redaction.count} secret(s) from ${name}`);
+  }
+  return redaction;
+}
+
+// Default script timeout for a tool
+function toolTimeout(name) {
+  if (TOOL_TIMEOUTS[name]) return TOOL_TIMEOUTS[name];
+  const propertyTool = findPropertyTool(name);
+  return propertyTool && propertyTool.access === 'get' ? GETTER_TIMEOUT : APPLESCRIPT_TIMEOUT;
+}
+
+// Add the `timeout_ms` override every tool accepts to its input schema
+function withTimeoutArgument(tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        timeout_ms: {
+          type: 'integer',
+          description: `Time limit for each AppleScript the tool runs, in milliseconds (default ${toolTimeout(tool.name)}).`
+        }
+      }
+    }
+  };
+}
+
+// Tools whose arguments the policy checks, and the text each sends: shell
+// input ('command'), a URL ('url') or a path to open ('file'). `shown` is how
+// the text appears in errors, so secret expect_script sends stay hidden.
+const POLICY_TOOLS = {
+  do_script: args => ({
+    kind: 'command',
+    texts: [args.direct_parameter_optional_text, args.with_command_optional_text].filter(Boolean).map(text => ({ text, shown: text }))
+  }),
+  run_command: args => ({ kind: 'command', texts: [{ text: args.command_required_text, shown: args.command_required_text }] }),
+  expect_script: args => ({
+    kind: 'command',
+    texts: normalizeSteps(args.steps_required_array)
+      .filter(step => step.send !== undefined)
+      .map(step => ({ text: step.send, shown: step.secret ? '********' : step.send }))
+  }),
+  get_url: args => ({ kind: 'url', texts: [{ text: args.direct_parameter_required_text, shown: args.direct_parameter_required_text }] }),
+  open: args => ({
+    kind: 'file',
+    texts: [].concat(args.direct_parameter_required_list_of_file).filter(file => typeof file === 'string').map(text => ({ text, shown: text }))
+  })
+};
+
+// Add the `confirm_token` argument to tools the policy can ask to confirm
+function withConfirmArgument(tool) {
+  if (!POLICY_TOOLS[tool.name] && tool.name !== 'restore_layout') return tool;
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        confirm_token: {
+          type: 'string',
+          description: 'Token from an earlier call that a policy rule stopped for confirmation; repeating the same call with it runs it.'
+        }
+      }
+    }
+  };
+}
+
+// Fingerprint of a resource read, to tell whether it changed between polls
+function resourceDigest(contents) {
+  return crypto.createHash('sha256').update(contents.text).digest('hex');
+}
+
+// Swap the backend that executeAppleScript runs scripts through
+function setExecutor(newExecutor) {
+  executor = newExecutor;
+  health.invalidate();
+}
+
 // MCP server implementation
 class TerminalMCPServer {
-  constructor() {
+  // `options.write` receives each outgoing JSON-RPC message as one line of
+  // JSON (stdout by default); `options.stdio: false` skips reading stdin,
+  // for servers driven by another transport
+  constructor(options = {}) {
     this.initialized = false;
-    this.setupStdio();
+    this.write = options.write || ((line) => process.stdout.write(line + '\n'));
+    // In-flight requests by id, so notifications/cancelled can abort them
+    this.requests = new Map();
+    // Subscribed resource URIs and a digest of what each last read returned;
+    // polled while any are subscribed
+    this.subscriptions = new Map();
+    this.subscriptionTimer = null;
+    this.polling = false;
+    if (options.stdio !== false) {
+      this.setupStdio();
+    }
   }
 
   setupStdio() {
@@ -151,35 +545,96 @@ class TerminalMCPServer {
   }
 
   async handleMessage(data) {
+    let request;
     try {
-      const request = JSON.parse(data);
-      console.error("Received request:", request.method, request.id);
-      
-      if (request.method === 'initialize') {
-        await this.handleInitialize(request);
-      } else if (request.method === 'initialized') {
+      request = JSON.parse(data);
+    } catch (error) {
+      console.error("Error parsing message:", error.message);
+      this.sendError(null, PARSE_ERROR, 'Parse error');
+      return;
+    }
+
+    if (!request || typeof request !== 'object' || Array.isArray(request) ||
+        request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+      const id = request && (typeof request.id === 'string' || typeof request.id === 'number') ? request.id : null;
+      this.sendError(id, INVALID_REQUEST, 'Invalid Request');
+      return;
+    }
+
+    console.error("Received request:", request.method, request.id);
+
+    // Notifications carry no id and never get a response
+    if (request.id === undefined) {
+      if (request.method === 'initialized' || request.method === 'notifications/initialized') {
         await this.handleInitialized(request);
-      } else if (request.method === 'tools/list') {
-        await this.handleToolsList(request);
-      } else if (request.method === 'tools/call') {
-        await this.handleToolsCall(request);
+      } else if (request.method === 'notifications/cancelled') {
+        this.handleCancelled(request);
       } else {
-        console.error("Unknown method:", request.method);
+        console.error("Ignoring notification:", request.method);
       }
-    } catch (error) {
-      console.error("Error processing message:", error);
+      return;
+    }
+
+    // Track the request so notifications/cancelled can abort it; scripts it
+    // runs pick up its signal through callContext
+    const controller = new AbortController();
+    this.requests.set(request.id, { method: request.method, controller });
+    try {
+      await callContext.run({ signal: controller.signal, timeout: null, request }, async () => {
+        try {
+          if (request.method === 'initialize') {
+            await this.handleInitialize(request);
+          } else if (request.method === 'ping') {
+            this.sendResponse({ jsonrpc: '2.0', id: request.id, result: {} });
+          } else if (request.method === 'tools/list') {
+            await this.handleToolsList(request);
+          } else if (request.method === 'tools/call') {
+            await this.handleToolsCall(request);
+          } else if (request.method === 'resources/list') {
+            await this.handleResourcesList(request);
+          } else if (request.method === 'resources/templates/list') {
+            this.sendResponse({ jsonrpc: '2.0', id: request.id, result: { resourceTemplates: TEMPLATES } });
+          } else if (request.method === 'resources/read') {
+            await this.handleResourcesRead(request);
+          } else if (request.method === 'resources/subscribe') {
+            await this.handleResourcesSubscribe(request);
+          } else if (request.method === 'resources/unsubscribe') {
+            this.handleResourcesUnsubscribe(request);
+          } else if (request.method === 'prompts/list') {
+            this.sendResponse({ jsonrpc: '2.0', id: request.id, result: { prompts: listPrompts() } });
+          } else if (request.method === 'prompts/get') {
+            await this.handlePromptsGet(request);
+          } else {
+            throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+          }
+        } catch (error) {
+          if (error instanceof JsonRpcError) {
+            this.sendError(request.id, error.code, error.message, error.data);
+          } else {
+            console.error("Error processing message:", error);
+            this.sendError(request.id, INTERNAL_ERROR, error.message);
+          }
+        }
+      });
+    } finally {
+      this.requests.delete(request.id);
     }
   }
 
   async handleInitialize(request) {
     console.error("Handling initialize request");
+    // Answer with the client's protocol version when it is one the server
+    // speaks, otherwise with the latest
+    const params = request.params || {};
     const response = {
       jsonrpc: '2.0',
       id: request.id,
       result: {
-        protocolVersion: '2024-11-05',
+        protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
         capabilities: {
-          tools: {}
+          tools: {},
+          resources: { subscribe: true },
+          prompts: {}
         },
         serverInfo: {
           name: 'terminal-applescript',
@@ -195,7415 +650,1311 @@ class TerminalMCPServer {
     this.initialized = true;
   }
 
+  // Abort an in-flight request; its response, if any, is dropped
+  handleCancelled(request) {
+    const params = request.params || {};
+    const entry = this.requests.get(params.requestId);
+    if (!entry || entry.method === 'initialize') {
+      console.error("Ignoring cancellation of request:", params.requestId);
+      return;
+    }
+    console.error(`Cancelling request ${params.requestId}${params.reason ? `: ${params.reason}` : ''}`);
+    entry.controller.abort();
+  }
+
   async handleToolsList(request) {
     console.error("Handling tools/list request");
     const response = {
       jsonrpc: '2.0',
       id: request.id,
       result: {
-        tools: [
-          {
-  name: 'get_name_of_application',
-  description: 'Get The name of the application.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_application_required_string: {
-        type: 'string',
-        description: 'The application object'
+        tools: this.getToolDefinitions().filter(tool => !config.read_only || tool.annotations.readOnlyHint)
       }
-    },
-    required: ['target_application_required_string'],
-    additionalProperties: false
+    };
+    this.sendResponse(response);
   }
-},
-          {
-  name: 'get_frontmost_of_application',
-  description: 'Get Is this the active application?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_application_required_string: {
-        type: 'string',
-        description: 'The application object'
+
+  async handleResourcesList(request) {
+    console.error("Handling resources/list request");
+    await this.requireTerminal();
+    const inventory = parseInventory(await executeAppleScript(INVENTORY_SCRIPT));
+    this.sendResponse({
+      jsonrpc: '2.0',
+      id: request.id,
+      result: {
+        resources: listResources(inventory)
       }
-    },
-    required: ['target_application_required_string'],
-    additionalProperties: false
+    });
   }
-},
+
+  async handleResourcesRead(request) {
+    const uri = (request.params || {}).uri;
+    console.error("Handling resources/read request for:", uri);
+    await this.requireTerminal();
+    const contents = await this.readResource(uri);
+    this.sendResponse({
+      jsonrpc: '2.0',
+      id: request.id,
+      result: {
+        contents: [{ uri, ...contents }]
+      }
+    });
+  }
+
+  async handleResourcesSubscribe(request) {
+    const uri = (request.params || {}).uri;
+    console.error("Handling resources/subscribe request for:", uri);
+    await this.requireTerminal();
+    // The first read checks the resource exists and is what later polls
+    // compare against
+    const contents = await this.readResource(uri);
+    this.subscriptions.set(uri, resourceDigest(contents));
+    if (!this.subscriptionTimer) {
+      this.subscriptionTimer = setInterval(() => this.pollSubscriptions(), config.resource_poll_interval);
+      this.subscriptionTimer.unref();
+    }
+    this.sendResponse({ jsonrpc: '2.0', id: request.id, result: {} });
+  }
+
+  handleResourcesUnsubscribe(request) {
+    const uri = (request.params || {}).uri;
+    console.error("Handling resources/unsubscribe request for:", uri);
+    this.subscriptions.delete(uri);
+    if (this.subscriptions.size === 0) {
+      this.stopSubscriptions();
+    }
+    this.sendResponse({ jsonrpc: '2.0', id: request.id, result: {} });
+  }
+
+  async handlePromptsGet(request) {
+    const params = request.params || {};
+    console.error("Handling prompts/get request for:", params.name);
+    const prompt = findPrompt(params.name);
+    if (!prompt) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown prompt: ${params.name}`);
+    }
+    const args = params.arguments || {};
+    const problems = typeof args === 'object' && !Array.isArray(args)
+      ? validatePromptArguments(prompt, args)
+      : ['arguments must be an object'];
+    if (problems.length > 0) {
+      throw new JsonRpcError(INVALID_PARAMS, `Invalid arguments for prompt ${params.name}: ${problems.join('; ')}`, { problems });
+    }
+    await this.requireTerminal();
+
+    // Prompts may read a tab's whole scrollback
+    const call = callContext.getStore();
+    if (call) {
+      call.timeout = toolTimeout('get_history_of_tab_of_window');
+    }
+    // The prompt's tab, read through the same getters as the tools
+    const tabArgs = {
+      target_tab_required_string: args.tab || 'selected tab',
+      target_window_required_string: args.window || 'front window'
+    };
+    const live = {
+      tab: async (property) => (await this.getProperty(findProperty('tab_of_window', property), tabArgs)).value,
+      inventory: async () => parseInventory(await executeAppleScript(INVENTORY_SCRIPT))
+    };
+    let result;
+    try {
+      result = redactOutput('prompts/get', await prompt.messages(args, live)).value;
+    } catch (error) {
+      if (error instanceof ScriptValueError) {
+        throw new JsonRpcError(INVALID_PARAMS, error.message);
+      }
+      if (affectsAvailability(error)) health.invalidate();
+      throw error;
+    }
+    this.sendResponse({ jsonrpc: '2.0', id: request.id, result });
+  }
+
+  // Fail the request with a JSON-RPC error when Terminal cannot be scripted
+  async requireTerminal() {
+    const status = await health.check();
+    if (!status.available) {
+      throw new JsonRpcError(INTERNAL_ERROR, status.message, { status: status.status });
+    }
+  }
+
+  // Read a resource by URI into {mimeType, text}
+  async readResource(uri) {
+    const resource = parseResourceUri(uri);
+    if (!resource) {
+      throw new JsonRpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+    const reader = resourceReader(resource);
+    const call = callContext.getStore();
+    if (call) {
+      call.timeout = toolTimeout(reader.timeoutTool);
+    }
+    try {
+      return redactOutput('resources/read', reader.render(await executeAppleScript(reader.script))).value;
+    } catch (error) {
+      // A window, tab or settings set that does not exist
+      if (error instanceof AppleScriptError && error.code === -1728) {
+        throw new JsonRpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+      }
+      if (affectsAvailability(error)) health.invalidate();
+      throw error;
+    }
+  }
+
+  // Re-read every subscribed resource and notify the client of those that
+  // changed. Runs outside any request, so its scripts get default timeouts
+  // and no cancellation signal.
+  async pollSubscriptions() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      await callContext.run({ signal: undefined, timeout: null, origin: 'resource_poll' }, async () => {
+        const status = await health.check();
+        if (!status.available) return;
+        await this.collectPolls(async () => {
+          for (const [uri, digest] of this.subscriptions) {
+            let current;
+            try {
+              current = resourceDigest(await this.readResource(uri));
+            } catch (error) {
+              // A resource that went away counts as a change, reported once
+              current = `error:${error.message}`;
+            }
+            if (this.subscriptions.get(uri) === digest && current !== digest) {
+              this.subscriptions.set(uri, current);
+              this.sendNotification('notifications/resources/updated', { uri });
+            }
+          }
+        });
+      });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Run a polling loop. The scripts it runs over and over go into one audit
+  // entry, with each distinct script and the number of runs, rather than
+  // one entry per poll.
+  async collectPolls(loop) {
+    const call = callContext.getStore() || {};
+    const polls = [];
+    try {
+      return await callContext.run({ ...call, polls }, loop);
+    } finally {
+      if (polls.length > 0) {
+        const failure = polls.find(entry => entry.outcome === 'error');
+        auditScript(call.request, {
+          scripts: [...new Set(polls.map(entry => entry.script))],
+          polls: polls.length,
+          duration_ms: polls.reduce((total, entry) => total + entry.duration_ms, 0),
+          outcome: failure ? 'error' : 'success',
+          ...(failure ? { error: failure.error, error_code: failure.error_code, error_kind: failure.error_kind } : {})
+        }, call.origin);
+      }
+    }
+  }
+
+  stopSubscriptions() {
+    clearInterval(this.subscriptionTimer);
+    this.subscriptionTimer = null;
+  }
+
+  // Release what the server holds once its client has gone
+  close() {
+    this.subscriptions.clear();
+    this.stopSubscriptions();
+  }
+
+  getToolDefinitions() {
+    const tools = [
+      ...getPropertyTools(),
+      ...getCommandTools(),
           {
-  name: 'get_version_of_application',
-  description: 'Get The version number of the application.',
+  name: 'run_command',
+  description: 'Run a shell command in a tab, wait for it to finish and return its output, exit code and duration. Works in sh, bash, zsh, dash, ksh and fish tabs; csh and tcsh tabs are refused.',
   inputSchema: {
     type: 'object',
     properties: {
-      target_application_required_string: {
+      target: selectorProperty('tab'),
+      command_required_text: {
         type: 'string',
-        description: 'The application object'
+        description: 'The shell command to run.'
+      },
+      target_tab_required_string: {
+        type: 'string',
+        description: 'The tab object'
+      },
+      target_window_required_string: {
+        type: 'string',
+        description: 'The window containing the tab'
+      },
+      timeout_optional_integer: {
+        type: 'number',
+        description: 'Maximum time to wait for the command to finish, in milliseconds (default 60000).'
       }
     },
-    required: ['target_application_required_string'],
+    required: ['command_required_text'],
     additionalProperties: false
   }
 },
           {
-  name: 'get_name_of_document',
-  description: 'Get Its name. of document',
+  name: 'terminal_health',
+  description: 'Report whether Terminal is installed, running and scriptable, from the cached availability probe.',
   inputSchema: {
     type: 'object',
     properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object'
+      refresh_optional_boolean: {
+        type: 'boolean',
+        description: 'Probe Terminal again instead of using the cached status.'
       }
     },
-    required: ['target_document_required_string'],
     additionalProperties: false
   }
 },
           {
-  name: 'get_modified_of_document',
-  description: 'Get Has it been modified since the last save? of document',
+  name: 'terminal_snapshot',
+  description: 'Get every window with its tabs and the settings sets in one call: window ids, names, bounds and state, and each tab\'s tty, busy flag, processes, custom title, selection, size and current settings.',
   inputSchema: {
     type: 'object',
     properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object'
+      include_contents_optional_boolean: {
+        type: 'boolean',
+        description: 'Include the visible contents of each tab.'
+      },
+      history_lines_optional_integer: {
+        type: 'integer',
+        description: 'Include the last this many lines of each tab\'s scrollback (default 0, none).'
       }
     },
-    required: ['target_document_required_string'],
     additionalProperties: false
   }
 },
           {
-  name: 'get_file_of_document',
-  description: 'Get Its location on disk, if it has one. of document',
+  name: 'save_layout',
+  description: 'Save the current windows and tabs as a named layout: window bounds and each tab\'s settings set, custom title and an optional startup command.',
   inputSchema: {
     type: 'object',
     properties: {
-      target_document_required_string: {
+      name_required_text: {
         type: 'string',
-        description: 'The document object'
+        description: 'Name to save the layout under (letters, digits, ".", "_" and "-").'
+      },
+      commands_optional_object: {
+        type: 'object',
+        description: 'Command each tab starts with when restored, keyed by "<window index>.<tab index>", e.g. {"1.2": "npm run dev"}.'
+      },
+      overwrite_optional_boolean: {
+        type: 'boolean',
+        description: 'Replace an existing layout with the same name (default false).'
       }
     },
-    required: ['target_document_required_string'],
+    required: ['name_required_text'],
     additionalProperties: false
   }
 },
           {
-  name: 'get_name_of_window',
-  description: 'Get The title of the window.',
+  name: 'restore_layout',
+  description: 'Recreate a saved layout with make_window, set_bounds_of_window, make_tab_of_window, set_current_settings_of_tab_of_window, set_custom_title_of_tab_of_window and do_script.',
   inputSchema: {
     type: 'object',
     properties: {
-      target_window_required_string: {
+      name_required_text: {
         type: 'string',
-        description: 'The window object'
+        description: 'Name of the layout to restore.'
+      },
+      dry_run_optional_boolean: {
+        type: 'boolean',
+        description: 'Only return the planned steps without running them.'
       }
     },
-    required: ['target_window_required_string'],
+    required: ['name_required_text'],
     additionalProperties: false
   }
 },
           {
-  name: 'get_id_of_window',
-  description: 'Get The unique identifier of the window.',
+  name: 'list_layouts',
+  description: 'List the saved layouts with their window and tab counts.',
   inputSchema: {
     type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
+    properties: {},
     additionalProperties: false
   }
 },
           {
-  name: 'get_index_of_window',
-  description: 'Get The index of the window, ordered front to back.',
+  name: 'delete_layout',
+  description: 'Delete a saved layout.',
   inputSchema: {
     type: 'object',
     properties: {
-      target_window_required_string: {
+      name_required_text: {
         type: 'string',
-        description: 'The window object'
+        description: 'Name of the layout to delete.'
       }
     },
-    required: ['target_window_required_string'],
+    required: ['name_required_text'],
     additionalProperties: false
   }
 },
           {
-  name: 'set_index_of_window',
-  description: 'Set The index of the window, ordered front to back.',
+  name: 'wait_for_output',
+  description: 'Wait until a tab shows some text: poll its contents or history until a literal or regex matches, the tab is no longer busy, or the timeout passes. Returns the matched text with its surrounding lines.',
   inputSchema: {
     type: 'object',
     properties: {
+      target: selectorProperty('tab'),
+      pattern_required_text: {
+        type: 'string',
+        description: 'Text to wait for; a regular expression when regex_optional_boolean is set.'
+      },
+      target_tab_required_string: {
+        type: 'string',
+        description: 'The tab object'
+      },
       target_window_required_string: {
         type: 'string',
-        description: 'The window object'
+        description: 'The window containing the tab'
+      },
+      regex_optional_boolean: {
+        type: 'boolean',
+        description: 'Treat the pattern as a JavaScript regular expression (multiline) instead of literal text. Trailing whitespace at the end of the tab is not visible to it.'
+      },
+      source_optional_text: {
+        type: 'string',
+        enum: ['contents', 'history'],
+        description: 'Search the visible contents (default) or the whole scrollback history.'
+      },
+      new_output_only_optional_boolean: {
+        type: 'boolean',
+        description: 'Only match output that appears after the call starts (searches history).'
+      },
+      stop_when_idle_optional_boolean: {
+        type: 'boolean',
+        description: 'Stop waiting once the tab is no longer busy (default true).'
+      },
+      context_lines_optional_integer: {
+        type: 'integer',
+        description: 'Lines to return before and after the match (default 2).'
       },
-      value_required_integer: {
+      timeout_optional_integer: {
         type: 'number',
-        description: 'New value for The index of the window, ordered front to back.'
+        description: `Maximum time to wait, in milliseconds (default ${WAIT_FOR_OUTPUT_TIMEOUT}).`
       }
     },
-    required: ['target_window_required_string', 'value_required_integer'],
+    required: ['pattern_required_text'],
     additionalProperties: false
   }
 },
           {
-  name: 'get_bounds_of_window',
-  description: 'Get The bounding rectangle of the window.',
+  name: 'expect_script',
+  description: 'Drive an interactive program in a tab with expect/send steps: wait for each expected text in new output, then type the next send with do_script. Stops at the first expectation that is not met.',
   inputSchema: {
     type: 'object',
     properties: {
+      target: selectorProperty('tab'),
+      steps_required_array: {
+        type: 'array',
+        items: { type: 'object' },
+        description: 'Steps in order: {"expect": "Password:", "regex": false, "timeout": 10000} waits for output, {"send": "text", "secret": true} types a line (secret hides it in the result).'
+      },
+      target_tab_required_string: {
+        type: 'string',
+        description: 'The tab object'
+      },
       target_window_required_string: {
         type: 'string',
-        description: 'The window object'
+        description: 'The window containing the tab'
+      },
+      timeout_optional_integer: {
+        type: 'number',
+        description: `Default time each expect step waits, in milliseconds (default ${WAIT_FOR_OUTPUT_TIMEOUT}).`
       }
     },
-    required: ['target_window_required_string'],
+    required: ['steps_required_array'],
     additionalProperties: false
   }
 },
           {
-  name: 'set_bounds_of_window',
-  description: 'Set The bounding rectangle of the window.',
+  name: 'tail_history',
+  description: 'Read only the scrollback added to a tab since the last call. Pass the returned cursor back to continue; the cursor follows the tab by tty and window id and starts over when the history was cleared.',
   inputSchema: {
     type: 'object',
     properties: {
-      target_window_required_string: {
+      target: selectorProperty('tab'),
+      cursor_optional_text: {
         type: 'string',
-        description: 'The window object'
+        description: 'Cursor from the previous tail_history call; omit to read the last max_lines_optional_integer lines of the history and get a first cursor.'
       },
-      value_required_rectangle: {
+      target_tab_required_string: {
         type: 'string',
-        description: 'New value for The bounding rectangle of the window.'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_rectangle'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_closeable_of_window',
-  description: 'Get Does the window have a close button?',
-  inputSchema: {
-    type: 'object',
-    properties: {
+        description: 'The tab object (not needed with a cursor)'
+      },
       target_window_required_string: {
         type: 'string',
-        description: 'The window object'
+        description: 'The window containing the tab (not needed with a cursor)'
+      },
+      max_lines_optional_integer: {
+        type: 'integer',
+        description: `Most lines to return; older new lines are replaced by a marker (default ${TAIL_HISTORY_LINES}).`
       }
     },
-    required: ['target_window_required_string'],
     additionalProperties: false
   }
 },
           {
-  name: 'get_miniaturizable_of_window',
-  description: 'Get Does the window have a minimize button?',
+  name: 'get_audit_log',
+  description: 'Read recent entries of the audit log: each AppleScript the server ran with its request, tool, arguments, duration and outcome, and calls the policy or read-only mode refused. Secrets are redacted.',
   inputSchema: {
     type: 'object',
     properties: {
-      target_window_required_string: {
+      limit_optional_integer: {
+        type: 'integer',
+        description: `Most entries to return, newest last (default ${AUDIT_LOG_LIMIT}, at most ${AUDIT_LOG_MAX_LIMIT}).`
+      },
+      tool_optional_text: {
+        type: 'string',
+        description: 'Only entries for this tool.'
+      },
+      outcome_optional_text: {
+        type: 'string',
+        enum: ['success', 'error', 'denied', 'needs_confirmation'],
+        description: 'Only entries with this outcome.'
+      },
+      since_optional_text: {
+        type: 'string',
+        description: 'Only entries at or after this ISO 8601 time.'
+      },
+      request_id_optional_text: {
         type: 'string',
-        description: 'The window object'
+        description: 'Only entries for this JSON-RPC request id.'
       }
     },
-    required: ['target_window_required_string'],
     additionalProperties: false
   }
 },
-          {
-  name: 'get_miniaturized_of_window',
-  description: 'Get Is the window minimized right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_miniaturized_of_window',
-  description: 'Set Is the window minimized right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Is the window minimized right now?'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_resizable_of_window',
-  description: 'Get Can the window be resized?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_visible_of_window',
-  description: 'Get Is the window visible right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_visible_of_window',
-  description: 'Set Is the window visible right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Is the window visible right now?'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_zoomable_of_window',
-  description: 'Get Does the window have a zoom button?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_zoomed_of_window',
-  description: 'Get Is the window zoomed right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_zoomed_of_window',
-  description: 'Set Is the window zoomed right now?',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Is the window zoomed right now?'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_document_of_window',
-  description: 'Get The document whose contents are displayed in the window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'open',
-  description: 'Open a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_list_of_file: {
-        type: 'string',
-        description: 'The file(s) to be opened.'
-      }
-    },
-    required: ['direct_parameter_required_list_of_file'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'close_for_document',
-  description: 'Close a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object'
-      },
-      saving_optional_save_options: {
-        type: 'string',
-        description: 'Whether or not changes should be saved before closing.'
-      },
-      saving_in_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document.'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'close_for_window',
-  description: 'Close a window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      saving_optional_save_options: {
-        type: 'string',
-        description: 'Whether or not changes should be saved before closing.'
-      },
-      saving_in_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document.'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'save_for_document',
-  description: 'Save a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object'
-      },
-      inParam_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document.'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'save_for_window',
-  description: 'Save a window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      inParam_optional_file: {
-        type: 'string',
-        description: 'The file in which to save the document.'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'print_file',
-  description: 'Print a document. (file input)',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_list_of_file: {
-        type: 'string',
-        description: 'The file(s), document(s), or window(s) to be printed.'
-      },
-      with_properties_optional_print_settings: {
-        type: 'string',
-        description: 'The print settings to use.'
-      },
-      print_dialog_optional_boolean: {
-        type: 'boolean',
-        description: 'Should the application show the print dialog?'
-      }
-    },
-    required: ['direct_parameter_required_list_of_file'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'print_for_document',
-  description: 'Print a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_document_required_string: {
-        type: 'string',
-        description: 'The document object'
-      },
-      with_properties_optional_print_settings: {
-        type: 'string',
-        description: 'The print settings to use.'
-      },
-      print_dialog_optional_boolean: {
-        type: 'boolean',
-        description: 'Should the application show the print dialog?'
-      }
-    },
-    required: ['target_document_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'print_for_window',
-  description: 'Print a window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      with_properties_optional_print_settings: {
-        type: 'string',
-        description: 'The print settings to use.'
-      },
-      print_dialog_optional_boolean: {
-        type: 'boolean',
-        description: 'Should the application show the print dialog?'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'quit',
-  description: 'Quit the application.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      saving_optional_save_options: {
-        type: 'string',
-        description: 'Whether or not changed documents should be saved before closing.'
-      }
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'count_document',
-  description: 'Return the number of elements of a particular class within a document.',
-  inputSchema: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  }
-},
-          {
-  name: 'count_tab_of_window',
-  description: 'Return the number of elements of a particular class within a tab of window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object to access'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'count_settings_set',
-  description: 'Return the number of elements of a particular class within a settings set.',
-  inputSchema: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  }
-},
-          {
-  name: 'count_window',
-  description: 'Return the number of elements of a particular class within a window.',
-  inputSchema: {
-    type: 'object',
-    properties: {},
-    additionalProperties: false
-  }
-},
-          {
-  name: 'delete',
-  description: 'Delete an object.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_specifier: {
-        type: 'string',
-        description: 'the object to delete'
-      }
-    },
-    required: ['direct_parameter_required_specifier'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'duplicate',
-  description: 'Copy object(s) and put the copies at a new location.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_specifier: {
-        type: 'string',
-        description: 'the object(s) to duplicate'
-      },
-      to_required_location_specifier: {
-        type: 'string',
-        description: 'The location for the new object(s).'
-      },
-      with_properties_optional_record: {
-        type: 'string',
-        description: 'Properties to be set in the new duplicated object(s).'
-      }
-    },
-    required: ['direct_parameter_required_specifier', 'to_required_location_specifier'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'exists',
-  description: 'Verify if an object exists.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_specifier: {
-        type: 'string',
-        description: 'the object in question'
-      }
-    },
-    required: ['direct_parameter_required_specifier'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'make_document',
-  description: 'Make a new document.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      at_optional_location_specifier: {
-        type: 'string',
-        description: 'The location at which to insert the object.'
-      },
-      with_data_optional_any: {
-        type: 'string',
-        description: 'The initial contents of the object.'
-      }
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'make_tab_of_window',
-  description: 'Make a new tab of window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      at_required_location_specifier_window: {
-        type: 'string',
-        description: 'The window location where the tab should be created'
-      },
-      with_data_optional_any: {
-        type: 'string',
-        description: 'The initial contents of the object.'
-      },
-      with_properties_optional_text_font_name: {
-        type: 'string',
-        description: 'Optional font name property: The name of the font used to display the tab’s contents.'
-      },
-      with_properties_optional_color_cursor_color: {
-        type: 'string',
-        description: 'Optional cursor color property: The cursor color for the tab.'
-      },
-      with_properties_optional_boolean_title_displays_custom_title: {
-        type: 'boolean',
-        description: 'Optional title displays custom title property: Whether the title contains a custom title.'
-      },
-      with_properties_optional_text_custom_title: {
-        type: 'string',
-        description: 'Optional custom title property: The tab’s custom title.'
-      },
-      with_properties_optional_color_background_color: {
-        type: 'string',
-        description: 'Optional background color property: The background color for the tab.'
-      },
-      with_properties_optional_color_bold_text_color: {
-        type: 'string',
-        description: 'Optional bold text color property: The bold text color for the tab.'
-      },
-      with_properties_optional_boolean_title_displays_file_name: {
-        type: 'boolean',
-        description: 'Optional title displays file name property: Whether the title contains the file name.'
-      },
-      with_properties_optional_boolean_title_displays_device_name: {
-        type: 'boolean',
-        description: 'Optional title displays device name property: Whether the title contains the device name.'
-      },
-      with_properties_optional_integer_number_of_columns: {
-        type: 'number',
-        description: 'Optional number of columns property: The number of columns displayed in the tab.'
-      },
-      with_properties_optional_integer_number_of_rows: {
-        type: 'number',
-        description: 'Optional number of rows property: The number of rows displayed in the tab.'
-      },
-      with_properties_optional_boolean_title_displays_shell_path: {
-        type: 'boolean',
-        description: 'Optional title displays shell path property: Whether the title contains the shell path.'
-      },
-      with_properties_optional_color_normal_text_color: {
-        type: 'string',
-        description: 'Optional normal text color property: The normal text color for the tab.'
-      },
-      with_properties_optional_missing_value_clean_commands: {
-        type: 'string',
-        description: 'Optional clean commands property: The processes which will be ignored when checking whether a tab can be closed without showing a prompt.'
-      },
-      with_properties_optional_boolean_selected: {
-        type: 'boolean',
-        description: 'Optional selected property: Whether the tab is selected.'
-      },
-      with_properties_optional_integer_font_size: {
-        type: 'number',
-        description: 'Optional font size property: The size of the font used to display the tab’s contents.'
-      },
-      with_properties_optional_boolean_font_antialiasing: {
-        type: 'boolean',
-        description: 'Optional font antialiasing property: Whether the font used to display the tab’s contents is antialiased.'
-      },
-      with_properties_optional_settings_set_current_settings: {
-        type: 'string',
-        description: 'Optional current settings property: The set of settings which control the tab’s behavior and appearance.'
-      },
-      with_properties_optional_boolean_title_displays_window_size: {
-        type: 'boolean',
-        description: 'Optional title displays window size property: Whether the title contains the tab’s size, in rows and columns.'
-      }
-    },
-    required: ['at_required_location_specifier_window'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'make_settings_set',
-  description: 'Make a new settings set.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      at_optional_location_specifier: {
-        type: 'string',
-        description: 'The location at which to insert the object.'
-      },
-      with_data_optional_any: {
-        type: 'string',
-        description: 'The initial contents of the object.'
-      },
-      with_properties_optional_color_bold_text_color: {
-        type: 'string',
-        description: 'Optional bold text color property: The bold text color for the tab.'
-      },
-      with_properties_optional_integer_number_of_columns: {
-        type: 'number',
-        description: 'Optional number of columns property: The number of columns displayed in the tab.'
-      },
-      with_properties_optional_boolean_title_displays_shell_path: {
-        type: 'boolean',
-        description: 'Optional title displays shell path property: Whether the title contains the shell path.'
-      },
-      with_properties_optional_boolean_title_displays_window_size: {
-        type: 'boolean',
-        description: 'Optional title displays window size property: Whether the title contains the tab’s size, in rows and columns.'
-      },
-      with_properties_optional_color_cursor_color: {
-        type: 'string',
-        description: 'Optional cursor color property: The cursor color for the tab.'
-      },
-      with_properties_optional_boolean_font_antialiasing: {
-        type: 'boolean',
-        description: 'Optional font antialiasing property: Whether the font used to display the tab’s contents is antialiased.'
-      },
-      with_properties_optional_missing_value_clean_commands: {
-        type: 'string',
-        description: 'Optional clean commands property: The processes which will be ignored when checking whether a tab can be closed without showing a prompt.'
-      },
-      with_properties_optional_color_background_color: {
-        type: 'string',
-        description: 'Optional background color property: The background color for the tab.'
-      },
-      with_properties_optional_text_font_name: {
-        type: 'string',
-        description: 'Optional font name property: The name of the font used to display the tab’s contents.'
-      },
-      with_properties_optional_integer_font_size: {
-        type: 'number',
-        description: 'Optional font size property: The size of the font used to display the tab’s contents.'
-      },
-      with_properties_optional_boolean_title_displays_settings_name: {
-        type: 'boolean',
-        description: 'Optional title displays settings name property: Whether the title contains the settings name.'
-      },
-      with_properties_optional_integer_number_of_rows: {
-        type: 'number',
-        description: 'Optional number of rows property: The number of rows displayed in the tab.'
-      },
-      with_properties_optional_boolean_title_displays_custom_title: {
-        type: 'boolean',
-        description: 'Optional title displays custom title property: Whether the title contains a custom title.'
-      },
-      with_properties_optional_text_custom_title: {
-        type: 'string',
-        description: 'Optional custom title property: The tab’s custom title.'
-      },
-      with_properties_optional_boolean_title_displays_device_name: {
-        type: 'boolean',
-        description: 'Optional title displays device name property: Whether the title contains the device name.'
-      },
-      with_properties_optional_color_normal_text_color: {
-        type: 'string',
-        description: 'Optional normal text color property: The normal text color for the tab.'
-      },
-      with_properties_optional_text_name: {
-        type: 'string',
-        description: 'Optional name property: The name of the settings set.'
-      }
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'make_window',
-  description: 'Make a new window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      at_optional_location_specifier: {
-        type: 'string',
-        description: 'The location at which to insert the object.'
-      },
-      with_data_optional_any: {
-        type: 'string',
-        description: 'The initial contents of the object.'
-      },
-      with_properties_optional_integer_index: {
-        type: 'number',
-        description: 'Optional index property: The index of the window, ordered front to back.'
-      },
-      with_properties_optional_point_position: {
-        type: 'string',
-        description: 'Optional position property: The position of the window, relative to the upper left corner of the screen.'
-      },
-      with_properties_optional_rectangle_frame: {
-        type: 'string',
-        description: 'Optional frame property: The bounding rectangle, relative to the lower left corner of the screen.'
-      },
-      with_properties_optional_boolean_frontmost: {
-        type: 'boolean',
-        description: 'Optional frontmost property: Whether the window is currently the frontmost Terminal window.'
-      },
-      with_properties_optional_boolean_zoomed: {
-        type: 'boolean',
-        description: 'Optional zoomed property: Whether the window is currently zoomed.'
-      },
-      with_properties_optional_boolean_miniaturized: {
-        type: 'boolean',
-        description: 'Optional miniaturized property: Whether the window is currently minimized.'
-      },
-      with_properties_optional_point_size: {
-        type: 'string',
-        description: 'Optional size property: The width and height of the window'
-      },
-      with_properties_optional_boolean_visible: {
-        type: 'boolean',
-        description: 'Optional visible property: Whether the window is currently visible.'
-      },
-      with_properties_optional_point_origin: {
-        type: 'string',
-        description: 'Optional origin property: The position of the window, relative to the lower left corner of the screen.'
-      },
-      with_properties_optional_rectangle_bounds: {
-        type: 'string',
-        description: 'Optional bounds property: The bounding rectangle of the window.'
-      }
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'move',
-  description: 'Move object(s) to a new location.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_specifier: {
-        type: 'string',
-        description: 'the object(s) to move'
-      },
-      to_required_location_specifier: {
-        type: 'string',
-        description: 'The new location for the object(s).'
-      }
-    },
-    required: ['direct_parameter_required_specifier', 'to_required_location_specifier'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_frontmost_of_window',
-  description: 'Get Whether the window is currently the frontmost Terminal window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_frontmost_of_window',
-  description: 'Set Whether the window is currently the frontmost Terminal window.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the window is currently the frontmost Terminal window.'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_position_of_window',
-  description: 'Get The position of the window, relative to the upper left corner of the screen.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_position_of_window',
-  description: 'Set The position of the window, relative to the upper left corner of the screen.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      value_required_point: {
-        type: 'string',
-        description: 'New value for The position of the window, relative to the upper left corner of the screen.'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_point'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_origin_of_window',
-  description: 'Get The position of the window, relative to the lower left corner of the screen.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_origin_of_window',
-  description: 'Set The position of the window, relative to the lower left corner of the screen.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      value_required_point: {
-        type: 'string',
-        description: 'New value for The position of the window, relative to the lower left corner of the screen.'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_point'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_size_of_window',
-  description: 'Get The width and height of the window',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_size_of_window',
-  description: 'Set The width and height of the window',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      value_required_point: {
-        type: 'string',
-        description: 'New value for The width and height of the window'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_point'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_frame_of_window',
-  description: 'Get The bounding rectangle, relative to the lower left corner of the screen. of window',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      }
-    },
-    required: ['target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_frame_of_window',
-  description: 'Set The bounding rectangle, relative to the lower left corner of the screen. of window',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window object'
-      },
-      value_required_rectangle: {
-        type: 'string',
-        description: 'New value for The bounding rectangle, relative to the lower left corner of the screen.'
-      }
-    },
-    required: ['target_window_required_string', 'value_required_rectangle'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'do_script',
-  description: 'Runs a UNIX shell script or command.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_optional_text: {
-        type: 'string',
-        description: 'The command to execute.'
-      },
-      with_command_optional_text: {
-        type: 'string',
-        description: 'Data to be passed to the Terminal application as the command line. Deprecated; use direct parameter instead.'
-      },
-      inParam_optional_tab: {
-        type: 'string',
-        description: 'The tab in which to execute the command'
-      }
-    },
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_url',
-  description: 'Open a command an ssh, telnet, or x-man-page URL.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      direct_parameter_required_text: {
-        type: 'string',
-        description: 'The URL to open.'
-      }
-    },
-    required: ['direct_parameter_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_default_settings_of_application',
-  description: 'Get The settings set used for new windows. of application',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_application_required_string: {
-        type: 'string',
-        description: 'The application object'
-      }
-    },
-    required: ['target_application_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_default_settings_of_application',
-  description: 'Set The settings set used for new windows. of application',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_application_required_string: {
-        type: 'string',
-        description: 'The application object'
-      },
-      value_required_settings_set: {
-        type: 'string',
-        description: 'New value for The settings set used for new windows.'
-      }
-    },
-    required: ['target_application_required_string', 'value_required_settings_set'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_startup_settings_of_application',
-  description: 'Get The settings set used for the window created on application startup.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_application_required_string: {
-        type: 'string',
-        description: 'The application object'
-      }
-    },
-    required: ['target_application_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_startup_settings_of_application',
-  description: 'Set The settings set used for the window created on application startup.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_application_required_string: {
-        type: 'string',
-        description: 'The application object'
-      },
-      value_required_settings_set: {
-        type: 'string',
-        description: 'New value for The settings set used for the window created on application startup.'
-      }
-    },
-    required: ['target_application_required_string', 'value_required_settings_set'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_id_of_settings_set',
-  description: 'Get The unique identifier of the settings set.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_name_of_settings_set',
-  description: 'Get The name of the settings set.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_name_of_settings_set',
-  description: 'Set The name of the settings set.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The name of the settings set.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_number_of_rows_of_settings_set',
-  description: 'Get The number of rows displayed in the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_number_of_rows_of_settings_set',
-  description: 'Set The number of rows displayed in the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_integer: {
-        type: 'number',
-        description: 'New value for The number of rows displayed in the tab.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_integer'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_number_of_columns_of_settings_set',
-  description: 'Get The number of columns displayed in the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_number_of_columns_of_settings_set',
-  description: 'Set The number of columns displayed in the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_integer: {
-        type: 'number',
-        description: 'New value for The number of columns displayed in the tab.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_integer'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_cursor_color_of_settings_set',
-  description: 'Get The cursor color for the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_cursor_color_of_settings_set',
-  description: 'Set The cursor color for the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_color: {
-        type: 'string',
-        description: 'New value for The cursor color for the tab.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_color'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_background_color_of_settings_set',
-  description: 'Get The background color for the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_background_color_of_settings_set',
-  description: 'Set The background color for the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_color: {
-        type: 'string',
-        description: 'New value for The background color for the tab.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_color'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_normal_text_color_of_settings_set',
-  description: 'Get The normal text color for the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_normal_text_color_of_settings_set',
-  description: 'Set The normal text color for the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_color: {
-        type: 'string',
-        description: 'New value for The normal text color for the tab.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_color'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_bold_text_color_of_settings_set',
-  description: 'Get The bold text color for the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_bold_text_color_of_settings_set',
-  description: 'Set The bold text color for the tab. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_color: {
-        type: 'string',
-        description: 'New value for The bold text color for the tab.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_color'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_font_name_of_settings_set',
-  description: 'Get The name of the font used to display the tab’s contents. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_font_name_of_settings_set',
-  description: 'Set The name of the font used to display the tab’s contents. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The name of the font used to display the tab’s contents.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_font_size_of_settings_set',
-  description: 'Get The size of the font used to display the tab’s contents. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_font_size_of_settings_set',
-  description: 'Set The size of the font used to display the tab’s contents. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_integer: {
-        type: 'number',
-        description: 'New value for The size of the font used to display the tab’s contents.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_integer'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_font_antialiasing_of_settings_set',
-  description: 'Get Whether the font used to display the tab’s contents is antialiased. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_font_antialiasing_of_settings_set',
-  description: 'Set Whether the font used to display the tab’s contents is antialiased. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the font used to display the tab’s contents is antialiased.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_clean_commands_of_settings_set',
-  description: 'Get The processes which will be ignored when checking whether a tab can be closed without showing a prompt. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_clean_commands_of_settings_set',
-  description: 'Set The processes which will be ignored when checking whether a tab can be closed without showing a prompt. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The processes which will be ignored when checking whether a tab can be closed without showing a prompt.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_device_name_of_settings_set',
-  description: 'Get Whether the title contains the device name. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_device_name_of_settings_set',
-  description: 'Set Whether the title contains the device name. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains the device name.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_shell_path_of_settings_set',
-  description: 'Get Whether the title contains the shell path. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_shell_path_of_settings_set',
-  description: 'Set Whether the title contains the shell path. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains the shell path.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_window_size_of_settings_set',
-  description: 'Get Whether the title contains the tab’s size, in rows and columns. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_window_size_of_settings_set',
-  description: 'Set Whether the title contains the tab’s size, in rows and columns. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains the tab’s size, in rows and columns.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_settings_name_of_settings_set',
-  description: 'Get Whether the title contains the settings name. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_settings_name_of_settings_set',
-  description: 'Set Whether the title contains the settings name. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains the settings name.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_custom_title_of_settings_set',
-  description: 'Get Whether the title contains a custom title. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_custom_title_of_settings_set',
-  description: 'Set Whether the title contains a custom title. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains a custom title.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_custom_title_of_settings_set',
-  description: 'Get The tab’s custom title. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      }
-    },
-    required: ['target_settings_set_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_custom_title_of_settings_set',
-  description: 'Set The tab’s custom title. of settings set',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_settings_set_required_string: {
-        type: 'string',
-        description: 'The settings set object'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The tab’s custom title.'
-      }
-    },
-    required: ['target_settings_set_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_number_of_rows_of_tab_of_window',
-  description: 'Get The number of rows displayed in the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_number_of_rows_of_tab_of_window',
-  description: 'Set The number of rows displayed in the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_integer: {
-        type: 'number',
-        description: 'New value for The number of rows displayed in the tab.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_integer'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_number_of_columns_of_tab_of_window',
-  description: 'Get The number of columns displayed in the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_number_of_columns_of_tab_of_window',
-  description: 'Set The number of columns displayed in the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_integer: {
-        type: 'number',
-        description: 'New value for The number of columns displayed in the tab.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_integer'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_contents_of_tab_of_window',
-  description: 'Get The currently visible contents of the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_history_of_tab_of_window',
-  description: 'Get The contents of the entire scrolling buffer of the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_busy_of_tab_of_window',
-  description: 'Get Whether the tab is busy running a process.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_processes_of_tab_of_window',
-  description: 'Get The processes currently running in the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_selected_of_tab_of_window',
-  description: 'Get Whether the tab is selected.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_selected_of_tab_of_window',
-  description: 'Set Whether the tab is selected.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the tab is selected.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_custom_title_of_tab_of_window',
-  description: 'Get Whether the title contains a custom title. of tab',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_custom_title_of_tab_of_window',
-  description: 'Set Whether the title contains a custom title. of tab',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains a custom title.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_custom_title_of_tab_of_window',
-  description: 'Get The tab’s custom title.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_custom_title_of_tab_of_window',
-  description: 'Set The tab’s custom title.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The tab’s custom title.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_tty_of_tab_of_window',
-  description: 'Get The tab’s TTY device.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_current_settings_of_tab_of_window',
-  description: 'Get The set of settings which control the tab’s behavior and appearance.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_current_settings_of_tab_of_window',
-  description: 'Set The set of settings which control the tab’s behavior and appearance.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_settings_set: {
-        type: 'string',
-        description: 'New value for The set of settings which control the tab’s behavior and appearance.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_settings_set'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_cursor_color_of_tab_of_window',
-  description: 'Get The cursor color for the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_cursor_color_of_tab_of_window',
-  description: 'Set The cursor color for the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_color: {
-        type: 'string',
-        description: 'New value for The cursor color for the tab.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_color'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_background_color_of_tab_of_window',
-  description: 'Get The background color for the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_background_color_of_tab_of_window',
-  description: 'Set The background color for the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_color: {
-        type: 'string',
-        description: 'New value for The background color for the tab.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_color'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_normal_text_color_of_tab_of_window',
-  description: 'Get The normal text color for the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_normal_text_color_of_tab_of_window',
-  description: 'Set The normal text color for the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_color: {
-        type: 'string',
-        description: 'New value for The normal text color for the tab.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_color'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_bold_text_color_of_tab_of_window',
-  description: 'Get The bold text color for the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_bold_text_color_of_tab_of_window',
-  description: 'Set The bold text color for the tab.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_color: {
-        type: 'string',
-        description: 'New value for The bold text color for the tab.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_color'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_clean_commands_of_tab_of_window',
-  description: 'Get The processes which will be ignored when checking whether a tab can be closed without showing a prompt.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_clean_commands_of_tab_of_window',
-  description: 'Set The processes which will be ignored when checking whether a tab can be closed without showing a prompt.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The processes which will be ignored when checking whether a tab can be closed without showing a prompt.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_device_name_of_tab_of_window',
-  description: 'Get Whether the title contains the device name. of tab',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_device_name_of_tab_of_window',
-  description: 'Set Whether the title contains the device name. of tab',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains the device name.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_shell_path_of_tab_of_window',
-  description: 'Get Whether the title contains the shell path. of tab',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_shell_path_of_tab_of_window',
-  description: 'Set Whether the title contains the shell path. of tab',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains the shell path.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_window_size_of_tab_of_window',
-  description: 'Get Whether the title contains the tab’s size, in rows and columns.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_window_size_of_tab_of_window',
-  description: 'Set Whether the title contains the tab’s size, in rows and columns.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains the tab’s size, in rows and columns.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_title_displays_file_name_of_tab_of_window',
-  description: 'Get Whether the title contains the file name. of tab',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_title_displays_file_name_of_tab_of_window',
-  description: 'Set Whether the title contains the file name. of tab',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the title contains the file name.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_font_name_of_tab_of_window',
-  description: 'Get The name of the font used to display the tab’s contents.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_font_name_of_tab_of_window',
-  description: 'Set The name of the font used to display the tab’s contents.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_text: {
-        type: 'string',
-        description: 'New value for The name of the font used to display the tab’s contents.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_text'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_font_size_of_tab_of_window',
-  description: 'Get The size of the font used to display the tab’s contents.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_font_size_of_tab_of_window',
-  description: 'Set The size of the font used to display the tab’s contents.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_integer: {
-        type: 'number',
-        description: 'New value for The size of the font used to display the tab’s contents.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_integer'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'get_font_antialiasing_of_tab_of_window',
-  description: 'Get Whether the font used to display the tab’s contents is antialiased.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string'],
-    additionalProperties: false
-  }
-},
-          {
-  name: 'set_font_antialiasing_of_tab_of_window',
-  description: 'Set Whether the font used to display the tab’s contents is antialiased.',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      target_tab_required_string: {
-        type: 'string',
-        description: 'The tab object'
-      },
-      target_window_required_string: {
-        type: 'string',
-        description: 'The window containing the tab'
-      },
-      value_required_boolean: {
-        type: 'boolean',
-        description: 'New value for Whether the font used to display the tab’s contents is antialiased.'
-      }
-    },
-    required: ['target_tab_required_string', 'target_window_required_string', 'value_required_boolean'],
-    additionalProperties: false
-  }
-},
-        ]
-      }
-    };
-    this.sendResponse(response);
-  }
-
-  async handleToolsCall(request) {
-    console.error("Handling tools/call request for:", request.params.name);
-    
-    try {
-      // Check app availability for all functions
-      {
-        const isTerminalAvailable = await checkTerminalAvailable();
-        if (!isTerminalAvailable) {
-          const errorResponse = {
-            jsonrpc: '2.0',
-            id: request.id,
-            result: {
-              content: [{
-                type: 'text',
-                text: JSON.stringify({
-                  success: false,
-                  error: 'Application is not available or not running'
-                }, null, 2)
-              }]
-            }
-          };
-          this.sendResponse(errorResponse);
-          return;
-        }
-      }
-
-      const { name, arguments: args } = request.params;
-      let result;
-
-      switch (name) {
-        case 'get_name_of_application':
-  result = await this.getNameOfApplication(args.target_application_required_string);
-  break;
-        case 'get_frontmost_of_application':
-  result = await this.getFrontmostOfApplication(args.target_application_required_string);
-  break;
-        case 'get_version_of_application':
-  result = await this.getVersionOfApplication(args.target_application_required_string);
-  break;
-        case 'get_name_of_document':
-  result = await this.getNameOfDocument(args.target_document_required_string);
-  break;
-        case 'get_modified_of_document':
-  result = await this.getModifiedOfDocument(args.target_document_required_string);
-  break;
-        case 'get_file_of_document':
-  result = await this.getFileOfDocument(args.target_document_required_string);
-  break;
-        case 'get_name_of_window':
-  result = await this.getNameOfWindow(args.target_window_required_string);
-  break;
-        case 'get_id_of_window':
-  result = await this.getIdOfWindow(args.target_window_required_string);
-  break;
-        case 'get_index_of_window':
-  result = await this.getIndexOfWindow(args.target_window_required_string);
-  break;
-        case 'set_index_of_window':
-  result = await this.setIndexOfWindow(args.target_window_required_string, args.value_required_integer);
-  break;
-        case 'get_bounds_of_window':
-  result = await this.getBoundsOfWindow(args.target_window_required_string);
-  break;
-        case 'set_bounds_of_window':
-  result = await this.setBoundsOfWindow(args.target_window_required_string, args.value_required_rectangle);
-  break;
-        case 'get_closeable_of_window':
-  result = await this.getCloseableOfWindow(args.target_window_required_string);
-  break;
-        case 'get_miniaturizable_of_window':
-  result = await this.getMiniaturizableOfWindow(args.target_window_required_string);
-  break;
-        case 'get_miniaturized_of_window':
-  result = await this.getMiniaturizedOfWindow(args.target_window_required_string);
-  break;
-        case 'set_miniaturized_of_window':
-  result = await this.setMiniaturizedOfWindow(args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_resizable_of_window':
-  result = await this.getResizableOfWindow(args.target_window_required_string);
-  break;
-        case 'get_visible_of_window':
-  result = await this.getVisibleOfWindow(args.target_window_required_string);
-  break;
-        case 'set_visible_of_window':
-  result = await this.setVisibleOfWindow(args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_zoomable_of_window':
-  result = await this.getZoomableOfWindow(args.target_window_required_string);
-  break;
-        case 'get_zoomed_of_window':
-  result = await this.getZoomedOfWindow(args.target_window_required_string);
-  break;
-        case 'set_zoomed_of_window':
-  result = await this.setZoomedOfWindow(args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_document_of_window':
-  result = await this.getDocumentOfWindow(args.target_window_required_string);
-  break;
-        case 'open':
-  result = await this.open(args.direct_parameter_required_list_of_file);
-  break;
-        case 'close_for_document':
-  result = await this.closeForDocument(args.target_document_required_string, args.saving_optional_save_options, args.saving_in_optional_file);
-  break;
-        case 'close_for_window':
-  result = await this.closeForWindow(args.target_window_required_string, args.saving_optional_save_options, args.saving_in_optional_file);
-  break;
-        case 'save_for_document':
-  result = await this.saveForDocument(args.target_document_required_string, args.inParam_optional_file);
-  break;
-        case 'save_for_window':
-  result = await this.saveForWindow(args.target_window_required_string, args.inParam_optional_file);
-  break;
-        case 'print_file':
-  result = await this.printFile(args.direct_parameter_required_list_of_file, args.with_properties_optional_print_settings, args.print_dialog_optional_boolean);
-  break;
-        case 'print_for_document':
-  result = await this.printForDocument(args.target_document_required_string, args.with_properties_optional_print_settings, args.print_dialog_optional_boolean);
-  break;
-        case 'print_for_window':
-  result = await this.printForWindow(args.target_window_required_string, args.with_properties_optional_print_settings, args.print_dialog_optional_boolean);
-  break;
-        case 'quit':
-  result = await this.quit(args.saving_optional_save_options);
-  break;
-        case 'count_document':
-  result = await this.countDocument();
-  break;
-        case 'count_tab_of_window':
-  result = await this.countTabOfWindow(args.target_window_required_string);
-  break;
-        case 'count_settings_set':
-  result = await this.countSettingsSet();
-  break;
-        case 'count_window':
-  result = await this.countWindow();
-  break;
-        case 'delete':
-  result = await this.delete(args.direct_parameter_required_specifier);
-  break;
-        case 'duplicate':
-  result = await this.duplicate(args.direct_parameter_required_specifier, args.to_required_location_specifier, args.with_properties_optional_record);
-  break;
-        case 'exists':
-  result = await this.exists(args.direct_parameter_required_specifier);
-  break;
-        case 'make_document':
-  result = await this.makeDocument(args.at_optional_location_specifier, args.with_data_optional_any);
-  break;
-        case 'make_tab_of_window':
-  result = await this.makeTabOfWindow(args.at_required_location_specifier_window, args.with_data_optional_any, args.with_properties_optional_text_font_name, args.with_properties_optional_color_cursor_color, args.with_properties_optional_boolean_title_displays_custom_title, args.with_properties_optional_text_custom_title, args.with_properties_optional_color_background_color, args.with_properties_optional_color_bold_text_color, args.with_properties_optional_boolean_title_displays_file_name, args.with_properties_optional_boolean_title_displays_device_name, args.with_properties_optional_integer_number_of_columns, args.with_properties_optional_integer_number_of_rows, args.with_properties_optional_boolean_title_displays_shell_path, args.with_properties_optional_color_normal_text_color, args.with_properties_optional_missing_value_clean_commands, args.with_properties_optional_boolean_selected, args.with_properties_optional_integer_font_size, args.with_properties_optional_boolean_font_antialiasing, args.with_properties_optional_settings_set_current_settings, args.with_properties_optional_boolean_title_displays_window_size);
-  break;
-        case 'make_settings_set':
-  result = await this.makeSettingsSet(args.at_optional_location_specifier, args.with_data_optional_any, args.with_properties_optional_color_bold_text_color, args.with_properties_optional_integer_number_of_columns, args.with_properties_optional_boolean_title_displays_shell_path, args.with_properties_optional_boolean_title_displays_window_size, args.with_properties_optional_color_cursor_color, args.with_properties_optional_boolean_font_antialiasing, args.with_properties_optional_missing_value_clean_commands, args.with_properties_optional_color_background_color, args.with_properties_optional_text_font_name, args.with_properties_optional_integer_font_size, args.with_properties_optional_boolean_title_displays_settings_name, args.with_properties_optional_integer_number_of_rows, args.with_properties_optional_boolean_title_displays_custom_title, args.with_properties_optional_text_custom_title, args.with_properties_optional_boolean_title_displays_device_name, args.with_properties_optional_color_normal_text_color, args.with_properties_optional_text_name);
-  break;
-        case 'make_window':
-  result = await this.makeWindow(args.at_optional_location_specifier, args.with_data_optional_any, args.with_properties_optional_integer_index, args.with_properties_optional_point_position, args.with_properties_optional_rectangle_frame, args.with_properties_optional_boolean_frontmost, args.with_properties_optional_boolean_zoomed, args.with_properties_optional_boolean_miniaturized, args.with_properties_optional_point_size, args.with_properties_optional_boolean_visible, args.with_properties_optional_point_origin, args.with_properties_optional_rectangle_bounds);
-  break;
-        case 'move':
-  result = await this.move(args.direct_parameter_required_specifier, args.to_required_location_specifier);
-  break;
-        case 'get_frontmost_of_window':
-  result = await this.getFrontmostOfWindow(args.target_window_required_string);
-  break;
-        case 'set_frontmost_of_window':
-  result = await this.setFrontmostOfWindow(args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_position_of_window':
-  result = await this.getPositionOfWindow(args.target_window_required_string);
-  break;
-        case 'set_position_of_window':
-  result = await this.setPositionOfWindow(args.target_window_required_string, args.value_required_point);
-  break;
-        case 'get_origin_of_window':
-  result = await this.getOriginOfWindow(args.target_window_required_string);
-  break;
-        case 'set_origin_of_window':
-  result = await this.setOriginOfWindow(args.target_window_required_string, args.value_required_point);
-  break;
-        case 'get_size_of_window':
-  result = await this.getSizeOfWindow(args.target_window_required_string);
-  break;
-        case 'set_size_of_window':
-  result = await this.setSizeOfWindow(args.target_window_required_string, args.value_required_point);
-  break;
-        case 'get_frame_of_window':
-  result = await this.getFrameOfWindow(args.target_window_required_string);
-  break;
-        case 'set_frame_of_window':
-  result = await this.setFrameOfWindow(args.target_window_required_string, args.value_required_rectangle);
-  break;
-        case 'do_script':
-  result = await this.doScript(args.direct_parameter_optional_text, args.with_command_optional_text, args.inParam_optional_tab);
-  break;
-        case 'get_url':
-  result = await this.getUrl(args.direct_parameter_required_text);
-  break;
-        case 'get_default_settings_of_application':
-  result = await this.getDefaultSettingsOfApplication(args.target_application_required_string);
-  break;
-        case 'set_default_settings_of_application':
-  result = await this.setDefaultSettingsOfApplication(args.target_application_required_string, args.value_required_settings_set);
-  break;
-        case 'get_startup_settings_of_application':
-  result = await this.getStartupSettingsOfApplication(args.target_application_required_string);
-  break;
-        case 'set_startup_settings_of_application':
-  result = await this.setStartupSettingsOfApplication(args.target_application_required_string, args.value_required_settings_set);
-  break;
-        case 'get_id_of_settings_set':
-  result = await this.getIdOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'get_name_of_settings_set':
-  result = await this.getNameOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_name_of_settings_set':
-  result = await this.setNameOfSettingsSet(args.target_settings_set_required_string, args.value_required_text);
-  break;
-        case 'get_number_of_rows_of_settings_set':
-  result = await this.getNumberOfRowsOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_number_of_rows_of_settings_set':
-  result = await this.setNumberOfRowsOfSettingsSet(args.target_settings_set_required_string, args.value_required_integer);
-  break;
-        case 'get_number_of_columns_of_settings_set':
-  result = await this.getNumberOfColumnsOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_number_of_columns_of_settings_set':
-  result = await this.setNumberOfColumnsOfSettingsSet(args.target_settings_set_required_string, args.value_required_integer);
-  break;
-        case 'get_cursor_color_of_settings_set':
-  result = await this.getCursorColorOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_cursor_color_of_settings_set':
-  result = await this.setCursorColorOfSettingsSet(args.target_settings_set_required_string, args.value_required_color);
-  break;
-        case 'get_background_color_of_settings_set':
-  result = await this.getBackgroundColorOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_background_color_of_settings_set':
-  result = await this.setBackgroundColorOfSettingsSet(args.target_settings_set_required_string, args.value_required_color);
-  break;
-        case 'get_normal_text_color_of_settings_set':
-  result = await this.getNormalTextColorOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_normal_text_color_of_settings_set':
-  result = await this.setNormalTextColorOfSettingsSet(args.target_settings_set_required_string, args.value_required_color);
-  break;
-        case 'get_bold_text_color_of_settings_set':
-  result = await this.getBoldTextColorOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_bold_text_color_of_settings_set':
-  result = await this.setBoldTextColorOfSettingsSet(args.target_settings_set_required_string, args.value_required_color);
-  break;
-        case 'get_font_name_of_settings_set':
-  result = await this.getFontNameOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_font_name_of_settings_set':
-  result = await this.setFontNameOfSettingsSet(args.target_settings_set_required_string, args.value_required_text);
-  break;
-        case 'get_font_size_of_settings_set':
-  result = await this.getFontSizeOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_font_size_of_settings_set':
-  result = await this.setFontSizeOfSettingsSet(args.target_settings_set_required_string, args.value_required_integer);
-  break;
-        case 'get_font_antialiasing_of_settings_set':
-  result = await this.getFontAntialiasingOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_font_antialiasing_of_settings_set':
-  result = await this.setFontAntialiasingOfSettingsSet(args.target_settings_set_required_string, args.value_required_boolean);
-  break;
-        case 'get_clean_commands_of_settings_set':
-  result = await this.getCleanCommandsOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_clean_commands_of_settings_set':
-  result = await this.setCleanCommandsOfSettingsSet(args.target_settings_set_required_string, args.value_required_text);
-  break;
-        case 'get_title_displays_device_name_of_settings_set':
-  result = await this.getTitleDisplaysDeviceNameOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_title_displays_device_name_of_settings_set':
-  result = await this.setTitleDisplaysDeviceNameOfSettingsSet(args.target_settings_set_required_string, args.value_required_boolean);
-  break;
-        case 'get_title_displays_shell_path_of_settings_set':
-  result = await this.getTitleDisplaysShellPathOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_title_displays_shell_path_of_settings_set':
-  result = await this.setTitleDisplaysShellPathOfSettingsSet(args.target_settings_set_required_string, args.value_required_boolean);
-  break;
-        case 'get_title_displays_window_size_of_settings_set':
-  result = await this.getTitleDisplaysWindowSizeOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_title_displays_window_size_of_settings_set':
-  result = await this.setTitleDisplaysWindowSizeOfSettingsSet(args.target_settings_set_required_string, args.value_required_boolean);
-  break;
-        case 'get_title_displays_settings_name_of_settings_set':
-  result = await this.getTitleDisplaysSettingsNameOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_title_displays_settings_name_of_settings_set':
-  result = await this.setTitleDisplaysSettingsNameOfSettingsSet(args.target_settings_set_required_string, args.value_required_boolean);
-  break;
-        case 'get_title_displays_custom_title_of_settings_set':
-  result = await this.getTitleDisplaysCustomTitleOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_title_displays_custom_title_of_settings_set':
-  result = await this.setTitleDisplaysCustomTitleOfSettingsSet(args.target_settings_set_required_string, args.value_required_boolean);
-  break;
-        case 'get_custom_title_of_settings_set':
-  result = await this.getCustomTitleOfSettingsSet(args.target_settings_set_required_string);
-  break;
-        case 'set_custom_title_of_settings_set':
-  result = await this.setCustomTitleOfSettingsSet(args.target_settings_set_required_string, args.value_required_text);
-  break;
-        case 'get_number_of_rows_of_tab_of_window':
-  result = await this.getNumberOfRowsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_number_of_rows_of_tab_of_window':
-  result = await this.setNumberOfRowsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_integer);
-  break;
-        case 'get_number_of_columns_of_tab_of_window':
-  result = await this.getNumberOfColumnsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_number_of_columns_of_tab_of_window':
-  result = await this.setNumberOfColumnsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_integer);
-  break;
-        case 'get_contents_of_tab_of_window':
-  result = await this.getContentsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_history_of_tab_of_window':
-  result = await this.getHistoryOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_busy_of_tab_of_window':
-  result = await this.getBusyOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_processes_of_tab_of_window':
-  result = await this.getProcessesOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_selected_of_tab_of_window':
-  result = await this.getSelectedOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_selected_of_tab_of_window':
-  result = await this.setSelectedOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_title_displays_custom_title_of_tab_of_window':
-  result = await this.getTitleDisplaysCustomTitleOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_title_displays_custom_title_of_tab_of_window':
-  result = await this.setTitleDisplaysCustomTitleOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_custom_title_of_tab_of_window':
-  result = await this.getCustomTitleOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_custom_title_of_tab_of_window':
-  result = await this.setCustomTitleOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_text);
-  break;
-        case 'get_tty_of_tab_of_window':
-  result = await this.getTtyOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'get_current_settings_of_tab_of_window':
-  result = await this.getCurrentSettingsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_current_settings_of_tab_of_window':
-  result = await this.setCurrentSettingsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_settings_set);
-  break;
-        case 'get_cursor_color_of_tab_of_window':
-  result = await this.getCursorColorOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_cursor_color_of_tab_of_window':
-  result = await this.setCursorColorOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_color);
-  break;
-        case 'get_background_color_of_tab_of_window':
-  result = await this.getBackgroundColorOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_background_color_of_tab_of_window':
-  result = await this.setBackgroundColorOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_color);
-  break;
-        case 'get_normal_text_color_of_tab_of_window':
-  result = await this.getNormalTextColorOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_normal_text_color_of_tab_of_window':
-  result = await this.setNormalTextColorOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_color);
-  break;
-        case 'get_bold_text_color_of_tab_of_window':
-  result = await this.getBoldTextColorOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_bold_text_color_of_tab_of_window':
-  result = await this.setBoldTextColorOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_color);
-  break;
-        case 'get_clean_commands_of_tab_of_window':
-  result = await this.getCleanCommandsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_clean_commands_of_tab_of_window':
-  result = await this.setCleanCommandsOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_text);
-  break;
-        case 'get_title_displays_device_name_of_tab_of_window':
-  result = await this.getTitleDisplaysDeviceNameOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_title_displays_device_name_of_tab_of_window':
-  result = await this.setTitleDisplaysDeviceNameOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_title_displays_shell_path_of_tab_of_window':
-  result = await this.getTitleDisplaysShellPathOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_title_displays_shell_path_of_tab_of_window':
-  result = await this.setTitleDisplaysShellPathOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_title_displays_window_size_of_tab_of_window':
-  result = await this.getTitleDisplaysWindowSizeOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_title_displays_window_size_of_tab_of_window':
-  result = await this.setTitleDisplaysWindowSizeOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_title_displays_file_name_of_tab_of_window':
-  result = await this.getTitleDisplaysFileNameOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_title_displays_file_name_of_tab_of_window':
-  result = await this.setTitleDisplaysFileNameOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_boolean);
-  break;
-        case 'get_font_name_of_tab_of_window':
-  result = await this.getFontNameOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_font_name_of_tab_of_window':
-  result = await this.setFontNameOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_text);
-  break;
-        case 'get_font_size_of_tab_of_window':
-  result = await this.getFontSizeOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_font_size_of_tab_of_window':
-  result = await this.setFontSizeOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_integer);
-  break;
-        case 'get_font_antialiasing_of_tab_of_window':
-  result = await this.getFontAntialiasingOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string);
-  break;
-        case 'set_font_antialiasing_of_tab_of_window':
-  result = await this.setFontAntialiasingOfTabOfWindow(args.target_tab_required_string, args.target_window_required_string, args.value_required_boolean);
-  break;
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
-
-      const response = {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{
-            type: 'text',
-            text: JSON.stringify(result, null, 2)
-          }]
-        }
-      };
-      this.sendResponse(response);
-
-    } catch (error) {
-      console.error(`Error in tool '${request.params.name}':`, error);
-      const errorResponse = {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              error: error.message,
-              tool: request.params.name,
-              args: request.params.arguments
-            }, null, 2)
-          }]
-        }
-      };
-      this.sendResponse(errorResponse);
-    }
-  }
-
-  async getNameOfApplication(target_application_required_string) {
-    if (!target_application_required_string || typeof target_application_required_string !== "string") {
-      throw new Error("target_application_required_string is required and must be a string");
-    }
-
-    const escapedApplication = escapeForAppleScript(target_application_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedApplication}
-          return name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      application: target_application_required_string
-    };
-  }
-
-  async getFrontmostOfApplication(target_application_required_string) {
-    if (!target_application_required_string || typeof target_application_required_string !== "string") {
-      throw new Error("target_application_required_string is required and must be a string");
-    }
-
-    const escapedApplication = escapeForAppleScript(target_application_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedApplication}
-          return frontmost of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      application: target_application_required_string
-    };
-  }
-
-  async getVersionOfApplication(target_application_required_string) {
-    if (!target_application_required_string || typeof target_application_required_string !== "string") {
-      throw new Error("target_application_required_string is required and must be a string");
-    }
-
-    const escapedApplication = escapeForAppleScript(target_application_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedApplication}
-          return version of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      application: target_application_required_string
-    };
-  }
-
-  async getNameOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedDocument}
-          return name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
-    };
-  }
-
-  async getModifiedOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedDocument}
-          return modified of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
-    };
-  }
-
-  async getFileOfDocument(target_document_required_string) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const escapedDocument = escapeForAppleScript(target_document_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedDocument}
-          return file of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      document: target_document_required_string
-    };
-  }
-
-  async getNameOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getIdOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return id of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getIndexOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return index of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setIndexOfWindow(target_window_required_string, value_required_integer) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_integer === undefined || value_required_integer === null) {
-      throw new Error("value_required_integer is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_integer, 'integer');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set index of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_integer,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getBoundsOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return bounds of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setBoundsOfWindow(target_window_required_string, value_required_rectangle) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_rectangle === undefined || value_required_rectangle === null) {
-      throw new Error("value_required_rectangle is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_rectangle, 'rectangle');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set bounds of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_rectangle,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getCloseableOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return closeable of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getMiniaturizableOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return miniaturizable of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getMiniaturizedOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return miniaturized of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setMiniaturizedOfWindow(target_window_required_string, value_required_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set miniaturized of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getResizableOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return resizable of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getVisibleOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return visible of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setVisibleOfWindow(target_window_required_string, value_required_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set visible of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getZoomableOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return zoomable of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getZoomedOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return zoomed of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setZoomedOfWindow(target_window_required_string, value_required_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set zoomed of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getDocumentOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return document of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async open(direct_parameter_required_list_of_file) {
-    if (direct_parameter_required_list_of_file === undefined || direct_parameter_required_list_of_file === null) {
-      throw new Error("direct_parameter_required_list_of_file is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_list_of_file ? castAndEscape(direct_parameter_required_list_of_file) : null;
-
-    const script = `
-      tell application "Terminal"
-        open ${castedDirect_parameter}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_list_of_file || null
-    };
-  }
-
-  async closeForDocument(target_document_required_string, saving_optional_save_options, saving_in_optional_file) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string);
-    const castedSaving = saving_optional_save_options ? castAndEscape(saving_optional_save_options) : null;
-    const valueForScriptSaving = castedSaving && typeof castedSaving === 'string' && !castedSaving.startsWith('{') && !castedSaving.startsWith('date') ? `"${castedSaving.replace(/"/g, "'")}"` : castedSaving;
-    const castedSaving_in = saving_in_optional_file ? castAndEscape(saving_in_optional_file) : null;
-    const valueForScriptSaving_in = castedSaving_in && typeof castedSaving_in === 'string' && !castedSaving_in.startsWith('{') && !castedSaving_in.startsWith('date') ? `"${castedSaving_in.replace(/"/g, "'")}"` : castedSaving_in;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedDocument}
-          close it${saving_optional_save_options ? ' saving ' + valueForScriptSaving : ''}${saving_in_optional_file ? ' saving in ' + valueForScriptSaving_in : ''}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      document: target_document_required_string,
-      saving: saving_optional_save_options || null,
-      saving_in: saving_in_optional_file || null
-    };
-  }
-
-  async closeForWindow(target_window_required_string, saving_optional_save_options, saving_in_optional_file) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string);
-    const castedSaving = saving_optional_save_options ? castAndEscape(saving_optional_save_options) : null;
-    const valueForScriptSaving = castedSaving && typeof castedSaving === 'string' && !castedSaving.startsWith('{') && !castedSaving.startsWith('date') ? `"${castedSaving.replace(/"/g, "'")}"` : castedSaving;
-    const castedSaving_in = saving_in_optional_file ? castAndEscape(saving_in_optional_file) : null;
-    const valueForScriptSaving_in = castedSaving_in && typeof castedSaving_in === 'string' && !castedSaving_in.startsWith('{') && !castedSaving_in.startsWith('date') ? `"${castedSaving_in.replace(/"/g, "'")}"` : castedSaving_in;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          close it${saving_optional_save_options ? ' saving ' + valueForScriptSaving : ''}${saving_in_optional_file ? ' saving in ' + valueForScriptSaving_in : ''}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: target_window_required_string,
-      saving: saving_optional_save_options || null,
-      saving_in: saving_in_optional_file || null
-    };
-  }
-
-  async saveForDocument(target_document_required_string, inParam_optional_file) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string);
-    const castedIn = inParam_optional_file ? castAndEscape(inParam_optional_file) : null;
-    const valueForScriptIn = castedIn && typeof castedIn === 'string' && !castedIn.startsWith('{') && !castedIn.startsWith('date') ? `"${castedIn.replace(/"/g, "'")}"` : castedIn;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedDocument}
-          save it${inParam_optional_file ? ' in ' + valueForScriptIn : ''}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      document: target_document_required_string,
-      in: inParam_optional_file || null
-    };
-  }
-
-  async saveForWindow(target_window_required_string, inParam_optional_file) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string);
-    const castedIn = inParam_optional_file ? castAndEscape(inParam_optional_file) : null;
-    const valueForScriptIn = castedIn && typeof castedIn === 'string' && !castedIn.startsWith('{') && !castedIn.startsWith('date') ? `"${castedIn.replace(/"/g, "'")}"` : castedIn;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          save it${inParam_optional_file ? ' in ' + valueForScriptIn : ''}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: target_window_required_string,
-      in: inParam_optional_file || null
-    };
-  }
-
-  async printFile(direct_parameter_required_list_of_file, with_properties_optional_print_settings, print_dialog_optional_boolean) {
-    if (direct_parameter_required_list_of_file === undefined || direct_parameter_required_list_of_file === null) {
-      throw new Error("direct_parameter_required_list_of_file is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_list_of_file ? castAndEscape(direct_parameter_required_list_of_file) : null;
-    const castedWith_properties = with_properties_optional_print_settings ? castAndEscape(with_properties_optional_print_settings) : null;
-    const castedPrint_dialog = print_dialog_optional_boolean ? castAndEscape(print_dialog_optional_boolean) : null;
-
-    const script = `
-      tell application "Terminal"
-        print ${castedDirect_parameter}${with_properties_optional_print_settings ? ' with properties ' + castedWith_properties : ''}${print_dialog_optional_boolean ? ' print dialog ' + castedPrint_dialog : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_list_of_file || null,
-      with_properties: with_properties_optional_print_settings || null,
-      print_dialog: print_dialog_optional_boolean || null
-    };
-  }
-
-  async printForDocument(target_document_required_string, with_properties_optional_print_settings, print_dialog_optional_boolean) {
-    if (!target_document_required_string || typeof target_document_required_string !== "string") {
-      throw new Error("target_document_required_string is required and must be a string");
-    }
-
-    const castedDocument = castAndEscape(target_document_required_string);
-    const castedWith_properties = with_properties_optional_print_settings ? castAndEscape(with_properties_optional_print_settings) : null;
-    const valueForScriptWith_properties = castedWith_properties && typeof castedWith_properties === 'string' && !castedWith_properties.startsWith('{') && !castedWith_properties.startsWith('date') ? `"${castedWith_properties.replace(/"/g, "'")}"` : castedWith_properties;
-    const castedPrint_dialog = print_dialog_optional_boolean ? castAndEscape(print_dialog_optional_boolean) : null;
-    const valueForScriptPrint_dialog = castedPrint_dialog && typeof castedPrint_dialog === 'string' && !castedPrint_dialog.startsWith('{') && !castedPrint_dialog.startsWith('date') ? `"${castedPrint_dialog.replace(/"/g, "'")}"` : castedPrint_dialog;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedDocument}
-          print it${with_properties_optional_print_settings ? ' with properties ' + valueForScriptWith_properties : ''}${print_dialog_optional_boolean ? ' print dialog ' + valueForScriptPrint_dialog : ''}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      document: target_document_required_string,
-      with_properties: with_properties_optional_print_settings || null,
-      print_dialog: print_dialog_optional_boolean || null
-    };
-  }
-
-  async printForWindow(target_window_required_string, with_properties_optional_print_settings, print_dialog_optional_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string);
-    const castedWith_properties = with_properties_optional_print_settings ? castAndEscape(with_properties_optional_print_settings) : null;
-    const valueForScriptWith_properties = castedWith_properties && typeof castedWith_properties === 'string' && !castedWith_properties.startsWith('{') && !castedWith_properties.startsWith('date') ? `"${castedWith_properties.replace(/"/g, "'")}"` : castedWith_properties;
-    const castedPrint_dialog = print_dialog_optional_boolean ? castAndEscape(print_dialog_optional_boolean) : null;
-    const valueForScriptPrint_dialog = castedPrint_dialog && typeof castedPrint_dialog === 'string' && !castedPrint_dialog.startsWith('{') && !castedPrint_dialog.startsWith('date') ? `"${castedPrint_dialog.replace(/"/g, "'")}"` : castedPrint_dialog;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          print it${with_properties_optional_print_settings ? ' with properties ' + valueForScriptWith_properties : ''}${print_dialog_optional_boolean ? ' print dialog ' + valueForScriptPrint_dialog : ''}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: target_window_required_string,
-      with_properties: with_properties_optional_print_settings || null,
-      print_dialog: print_dialog_optional_boolean || null
-    };
-  }
-
-  async quit(saving_optional_save_options) {
-    const castedSaving = saving_optional_save_options ? castAndEscape(saving_optional_save_options) : null;
-
-    const script = `
-      tell application "Terminal"
-        quit${saving_optional_save_options ? ' saving ' + castedSaving : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      saving: saving_optional_save_options || null
-    };
-  }
-
-  async countDocument() {
-
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        count each document 
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
-  }
-
-  async countTabOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string);
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          count each tab of it 
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async countSettingsSet() {
-
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        count each settings set 
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
-  }
-
-  async countWindow() {
-
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        count each window 
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script
-    };
-  }
-
-  async delete(direct_parameter_required_specifier) {
-    if (direct_parameter_required_specifier === undefined || direct_parameter_required_specifier === null) {
-      throw new Error("direct_parameter_required_specifier is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_specifier ? castAndEscape(direct_parameter_required_specifier) : null;
-
-    const script = `
-      tell application "Terminal"
-        delete ${castedDirect_parameter}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_specifier || null
-    };
-  }
-
-  async duplicate(direct_parameter_required_specifier, to_required_location_specifier, with_properties_optional_record) {
-    if (direct_parameter_required_specifier === undefined || direct_parameter_required_specifier === null) {
-      throw new Error("direct_parameter_required_specifier is required");
-    }
-
-    if (to_required_location_specifier === undefined || to_required_location_specifier === null) {
-      throw new Error("to_required_location_specifier is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_specifier ? castAndEscape(direct_parameter_required_specifier) : null;
-    const castedTo = to_required_location_specifier ? castAndEscape(to_required_location_specifier) : null;
-    const castedWith_properties = with_properties_optional_record ? castAndEscape(with_properties_optional_record) : null;
-
-    const script = `
-      tell application "Terminal"
-        duplicate ${castedDirect_parameter} to ${castedTo}${with_properties_optional_record ? ' with properties ' + castedWith_properties : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_specifier || null,
-      to: to_required_location_specifier || null,
-      with_properties: with_properties_optional_record || null
-    };
-  }
-
-  async exists(direct_parameter_required_specifier) {
-    if (direct_parameter_required_specifier === undefined || direct_parameter_required_specifier === null) {
-      throw new Error("direct_parameter_required_specifier is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_specifier ? castAndEscape(direct_parameter_required_specifier) : null;
-
-    const script = `
-      tell application "Terminal"
-        exists ${castedDirect_parameter}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_specifier || null
-    };
-  }
-
-  async makeDocument(at_optional_location_specifier, with_data_optional_any) {
-
-    const castedAt = at_optional_location_specifier ? castAndEscape(at_optional_location_specifier) : null;
-    const valueForScriptAt = castedAt && typeof castedAt === 'string' && !castedAt.startsWith('{') && !castedAt.startsWith('date') ? `"${castedAt.replace(/"/g, "'")}"` : castedAt;
-    const castedWith_data = with_data_optional_any ? castAndEscape(with_data_optional_any) : null;
-    const valueForScriptWith_data = castedWith_data && typeof castedWith_data === 'string' && !castedWith_data.startsWith('{') && !castedWith_data.startsWith('date') ? `"${castedWith_data.replace(/"/g, "'")}"` : castedWith_data;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        make new document ${at_optional_location_specifier ? ' at ' + valueForScriptAt : ''}${with_data_optional_any ? ' with data ' + valueForScriptWith_data : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      at: at_optional_location_specifier || null,
-      with_data: with_data_optional_any || null
-    };
-  }
-
-  async makeTabOfWindow(at_required_location_specifier_window, with_data_optional_any, with_properties_optional_text_font_name, with_properties_optional_color_cursor_color, with_properties_optional_boolean_title_displays_custom_title, with_properties_optional_text_custom_title, with_properties_optional_color_background_color, with_properties_optional_color_bold_text_color, with_properties_optional_boolean_title_displays_file_name, with_properties_optional_boolean_title_displays_device_name, with_properties_optional_integer_number_of_columns, with_properties_optional_integer_number_of_rows, with_properties_optional_boolean_title_displays_shell_path, with_properties_optional_color_normal_text_color, with_properties_optional_missing_value_clean_commands, with_properties_optional_boolean_selected, with_properties_optional_integer_font_size, with_properties_optional_boolean_font_antialiasing, with_properties_optional_settings_set_current_settings, with_properties_optional_boolean_title_displays_window_size) {
-    if (!at_required_location_specifier_window || typeof at_required_location_specifier_window !== "string") {
-      throw new Error("at_required_location_specifier_window is required and must be a string");
-    }
-
-    const castedWindow = castAndEscape(at_required_location_specifier_window);
-    const castedWith_data = with_data_optional_any ? castAndEscape(with_data_optional_any) : null;
-    const valueForScriptWith_data = castedWith_data && typeof castedWith_data === 'string' && !castedWith_data.startsWith('{') && !castedWith_data.startsWith('date') ? `"${castedWith_data.replace(/"/g, "'")}"` : castedWith_data;
-    const castedWith_properties_optional_text_font_name = with_properties_optional_text_font_name ? castAndEscape(with_properties_optional_text_font_name) : null;
-    const castedWith_properties_optional_color_cursor_color = with_properties_optional_color_cursor_color ? castAndEscape(with_properties_optional_color_cursor_color) : null;
-    const castedWith_properties_optional_boolean_title_displays_custom_title = with_properties_optional_boolean_title_displays_custom_title ? castAndEscape(with_properties_optional_boolean_title_displays_custom_title) : null;
-    const castedWith_properties_optional_text_custom_title = with_properties_optional_text_custom_title ? castAndEscape(with_properties_optional_text_custom_title) : null;
-    const castedWith_properties_optional_color_background_color = with_properties_optional_color_background_color ? castAndEscape(with_properties_optional_color_background_color) : null;
-    const castedWith_properties_optional_color_bold_text_color = with_properties_optional_color_bold_text_color ? castAndEscape(with_properties_optional_color_bold_text_color) : null;
-    const castedWith_properties_optional_boolean_title_displays_file_name = with_properties_optional_boolean_title_displays_file_name ? castAndEscape(with_properties_optional_boolean_title_displays_file_name) : null;
-    const castedWith_properties_optional_boolean_title_displays_device_name = with_properties_optional_boolean_title_displays_device_name ? castAndEscape(with_properties_optional_boolean_title_displays_device_name) : null;
-    const castedWith_properties_optional_integer_number_of_columns = with_properties_optional_integer_number_of_columns ? castAndEscape(with_properties_optional_integer_number_of_columns) : null;
-    const castedWith_properties_optional_integer_number_of_rows = with_properties_optional_integer_number_of_rows ? castAndEscape(with_properties_optional_integer_number_of_rows) : null;
-    const castedWith_properties_optional_boolean_title_displays_shell_path = with_properties_optional_boolean_title_displays_shell_path ? castAndEscape(with_properties_optional_boolean_title_displays_shell_path) : null;
-    const castedWith_properties_optional_color_normal_text_color = with_properties_optional_color_normal_text_color ? castAndEscape(with_properties_optional_color_normal_text_color) : null;
-    const castedWith_properties_optional_missing_value_clean_commands = with_properties_optional_missing_value_clean_commands ? castAndEscape(with_properties_optional_missing_value_clean_commands) : null;
-    const castedWith_properties_optional_boolean_selected = with_properties_optional_boolean_selected ? castAndEscape(with_properties_optional_boolean_selected) : null;
-    const castedWith_properties_optional_integer_font_size = with_properties_optional_integer_font_size ? castAndEscape(with_properties_optional_integer_font_size) : null;
-    const castedWith_properties_optional_boolean_font_antialiasing = with_properties_optional_boolean_font_antialiasing ? castAndEscape(with_properties_optional_boolean_font_antialiasing) : null;
-    const castedWith_properties_optional_settings_set_current_settings = with_properties_optional_settings_set_current_settings ? castAndEscape(with_properties_optional_settings_set_current_settings) : null;
-    const castedWith_properties_optional_boolean_title_displays_window_size = with_properties_optional_boolean_title_displays_window_size ? castAndEscape(with_properties_optional_boolean_title_displays_window_size) : null;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          make new tab at it ${with_data_optional_any ? ' with data ' + valueForScriptWith_data : ''}${buildPropertiesRecord([{param: 'with_properties_optional_text_font_name', prop: 'font name', value: with_properties_optional_text_font_name, type: 'text'}, {param: 'with_properties_optional_color_cursor_color', prop: 'cursor color', value: with_properties_optional_color_cursor_color, type: 'color'}, {param: 'with_properties_optional_boolean_title_displays_custom_title', prop: 'title displays custom title', value: with_properties_optional_boolean_title_displays_custom_title, type: 'boolean'}, {param: 'with_properties_optional_text_custom_title', prop: 'custom title', value: with_properties_optional_text_custom_title, type: 'text'}, {param: 'with_properties_optional_color_background_color', prop: 'background color', value: with_properties_optional_color_background_color, type: 'color'}, {param: 'with_properties_optional_color_bold_text_color', prop: 'bold text color', value: with_properties_optional_color_bold_text_color, type: 'color'}, {param: 'with_properties_optional_boolean_title_displays_file_name', prop: 'title displays file name', value: with_properties_optional_boolean_title_displays_file_name, type: 'boolean'}, {param: 'with_properties_optional_boolean_title_displays_device_name', prop: 'title displays device name', value: with_properties_optional_boolean_title_displays_device_name, type: 'boolean'}, {param: 'with_properties_optional_integer_number_of_columns', prop: 'number of columns', value: with_properties_optional_integer_number_of_columns, type: 'integer'}, {param: 'with_properties_optional_integer_number_of_rows', prop: 'number of rows', value: with_properties_optional_integer_number_of_rows, type: 'integer'}, {param: 'with_properties_optional_boolean_title_displays_shell_path', prop: 'title displays shell path', value: with_properties_optional_boolean_title_displays_shell_path, type: 'boolean'}, {param: 'with_properties_optional_color_normal_text_color', prop: 'normal text color', value: with_properties_optional_color_normal_text_color, type: 'color'}, {param: 'with_properties_optional_missing_value_clean_commands', prop: 'clean commands', value: with_properties_optional_missing_value_clean_commands, type: 'missing value'}, {param: 'with_properties_optional_boolean_selected', prop: 'selected', value: with_properties_optional_boolean_selected, type: 'boolean'}, {param: 'with_properties_optional_integer_font_size', prop: 'font size', value: with_properties_optional_integer_font_size, type: 'integer'}, {param: 'with_properties_optional_boolean_font_antialiasing', prop: 'font antialiasing', value: with_properties_optional_boolean_font_antialiasing, type: 'boolean'}, {param: 'with_properties_optional_settings_set_current_settings', prop: 'current settings', value: with_properties_optional_settings_set_current_settings, type: 'settings set'}, {param: 'with_properties_optional_boolean_title_displays_window_size', prop: 'title displays window size', value: with_properties_optional_boolean_title_displays_window_size, type: 'boolean'}])}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      window: at_required_location_specifier_window,
-      with_data: with_data_optional_any || null,
-      font_name: with_properties_optional_text_font_name || null,
-      cursor_color: with_properties_optional_color_cursor_color || null,
-      title_displays_custom_title: with_properties_optional_boolean_title_displays_custom_title || null,
-      custom_title: with_properties_optional_text_custom_title || null,
-      background_color: with_properties_optional_color_background_color || null,
-      bold_text_color: with_properties_optional_color_bold_text_color || null,
-      title_displays_file_name: with_properties_optional_boolean_title_displays_file_name || null,
-      title_displays_device_name: with_properties_optional_boolean_title_displays_device_name || null,
-      number_of_columns: with_properties_optional_integer_number_of_columns || null,
-      number_of_rows: with_properties_optional_integer_number_of_rows || null,
-      title_displays_shell_path: with_properties_optional_boolean_title_displays_shell_path || null,
-      normal_text_color: with_properties_optional_color_normal_text_color || null,
-      clean_commands: with_properties_optional_missing_value_clean_commands || null,
-      selected: with_properties_optional_boolean_selected || null,
-      font_size: with_properties_optional_integer_font_size || null,
-      font_antialiasing: with_properties_optional_boolean_font_antialiasing || null,
-      current_settings: with_properties_optional_settings_set_current_settings || null,
-      title_displays_window_size: with_properties_optional_boolean_title_displays_window_size || null
-    };
-  }
-
-  async makeSettingsSet(at_optional_location_specifier, with_data_optional_any, with_properties_optional_color_bold_text_color, with_properties_optional_integer_number_of_columns, with_properties_optional_boolean_title_displays_shell_path, with_properties_optional_boolean_title_displays_window_size, with_properties_optional_color_cursor_color, with_properties_optional_boolean_font_antialiasing, with_properties_optional_missing_value_clean_commands, with_properties_optional_color_background_color, with_properties_optional_text_font_name, with_properties_optional_integer_font_size, with_properties_optional_boolean_title_displays_settings_name, with_properties_optional_integer_number_of_rows, with_properties_optional_boolean_title_displays_custom_title, with_properties_optional_text_custom_title, with_properties_optional_boolean_title_displays_device_name, with_properties_optional_color_normal_text_color, with_properties_optional_text_name) {
-
-    const castedAt = at_optional_location_specifier ? castAndEscape(at_optional_location_specifier) : null;
-    const valueForScriptAt = castedAt && typeof castedAt === 'string' && !castedAt.startsWith('{') && !castedAt.startsWith('date') ? `"${castedAt.replace(/"/g, "'")}"` : castedAt;
-    const castedWith_data = with_data_optional_any ? castAndEscape(with_data_optional_any) : null;
-    const valueForScriptWith_data = castedWith_data && typeof castedWith_data === 'string' && !castedWith_data.startsWith('{') && !castedWith_data.startsWith('date') ? `"${castedWith_data.replace(/"/g, "'")}"` : castedWith_data;
-    const castedWith_properties_optional_color_bold_text_color = with_properties_optional_color_bold_text_color ? castAndEscape(with_properties_optional_color_bold_text_color) : null;
-    const castedWith_properties_optional_integer_number_of_columns = with_properties_optional_integer_number_of_columns ? castAndEscape(with_properties_optional_integer_number_of_columns) : null;
-    const castedWith_properties_optional_boolean_title_displays_shell_path = with_properties_optional_boolean_title_displays_shell_path ? castAndEscape(with_properties_optional_boolean_title_displays_shell_path) : null;
-    const castedWith_properties_optional_boolean_title_displays_window_size = with_properties_optional_boolean_title_displays_window_size ? castAndEscape(with_properties_optional_boolean_title_displays_window_size) : null;
-    const castedWith_properties_optional_color_cursor_color = with_properties_optional_color_cursor_color ? castAndEscape(with_properties_optional_color_cursor_color) : null;
-    const castedWith_properties_optional_boolean_font_antialiasing = with_properties_optional_boolean_font_antialiasing ? castAndEscape(with_properties_optional_boolean_font_antialiasing) : null;
-    const castedWith_properties_optional_missing_value_clean_commands = with_properties_optional_missing_value_clean_commands ? castAndEscape(with_properties_optional_missing_value_clean_commands) : null;
-    const castedWith_properties_optional_color_background_color = with_properties_optional_color_background_color ? castAndEscape(with_properties_optional_color_background_color) : null;
-    const castedWith_properties_optional_text_font_name = with_properties_optional_text_font_name ? castAndEscape(with_properties_optional_text_font_name) : null;
-    const castedWith_properties_optional_integer_font_size = with_properties_optional_integer_font_size ? castAndEscape(with_properties_optional_integer_font_size) : null;
-    const castedWith_properties_optional_boolean_title_displays_settings_name = with_properties_optional_boolean_title_displays_settings_name ? castAndEscape(with_properties_optional_boolean_title_displays_settings_name) : null;
-    const castedWith_properties_optional_integer_number_of_rows = with_properties_optional_integer_number_of_rows ? castAndEscape(with_properties_optional_integer_number_of_rows) : null;
-    const castedWith_properties_optional_boolean_title_displays_custom_title = with_properties_optional_boolean_title_displays_custom_title ? castAndEscape(with_properties_optional_boolean_title_displays_custom_title) : null;
-    const castedWith_properties_optional_text_custom_title = with_properties_optional_text_custom_title ? castAndEscape(with_properties_optional_text_custom_title) : null;
-    const castedWith_properties_optional_boolean_title_displays_device_name = with_properties_optional_boolean_title_displays_device_name ? castAndEscape(with_properties_optional_boolean_title_displays_device_name) : null;
-    const castedWith_properties_optional_color_normal_text_color = with_properties_optional_color_normal_text_color ? castAndEscape(with_properties_optional_color_normal_text_color) : null;
-    const castedWith_properties_optional_text_name = with_properties_optional_text_name ? castAndEscape(with_properties_optional_text_name) : null;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        make new settings set ${at_optional_location_specifier ? ' at ' + valueForScriptAt : ''}${with_data_optional_any ? ' with data ' + valueForScriptWith_data : ''}${buildPropertiesRecord([{param: 'with_properties_optional_color_bold_text_color', prop: 'bold text color', value: with_properties_optional_color_bold_text_color, type: 'color'}, {param: 'with_properties_optional_integer_number_of_columns', prop: 'number of columns', value: with_properties_optional_integer_number_of_columns, type: 'integer'}, {param: 'with_properties_optional_boolean_title_displays_shell_path', prop: 'title displays shell path', value: with_properties_optional_boolean_title_displays_shell_path, type: 'boolean'}, {param: 'with_properties_optional_boolean_title_displays_window_size', prop: 'title displays window size', value: with_properties_optional_boolean_title_displays_window_size, type: 'boolean'}, {param: 'with_properties_optional_color_cursor_color', prop: 'cursor color', value: with_properties_optional_color_cursor_color, type: 'color'}, {param: 'with_properties_optional_boolean_font_antialiasing', prop: 'font antialiasing', value: with_properties_optional_boolean_font_antialiasing, type: 'boolean'}, {param: 'with_properties_optional_missing_value_clean_commands', prop: 'clean commands', value: with_properties_optional_missing_value_clean_commands, type: 'missing value'}, {param: 'with_properties_optional_color_background_color', prop: 'background color', value: with_properties_optional_color_background_color, type: 'color'}, {param: 'with_properties_optional_text_font_name', prop: 'font name', value: with_properties_optional_text_font_name, type: 'text'}, {param: 'with_properties_optional_integer_font_size', prop: 'font size', value: with_properties_optional_integer_font_size, type: 'integer'}, {param: 'with_properties_optional_boolean_title_displays_settings_name', prop: 'title displays settings name', value: with_properties_optional_boolean_title_displays_settings_name, type: 'boolean'}, {param: 'with_properties_optional_integer_number_of_rows', prop: 'number of rows', value: with_properties_optional_integer_number_of_rows, type: 'integer'}, {param: 'with_properties_optional_boolean_title_displays_custom_title', prop: 'title displays custom title', value: with_properties_optional_boolean_title_displays_custom_title, type: 'boolean'}, {param: 'with_properties_optional_text_custom_title', prop: 'custom title', value: with_properties_optional_text_custom_title, type: 'text'}, {param: 'with_properties_optional_boolean_title_displays_device_name', prop: 'title displays device name', value: with_properties_optional_boolean_title_displays_device_name, type: 'boolean'}, {param: 'with_properties_optional_color_normal_text_color', prop: 'normal text color', value: with_properties_optional_color_normal_text_color, type: 'color'}, {param: 'with_properties_optional_text_name', prop: 'name', value: with_properties_optional_text_name, type: 'text'}])}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      at: at_optional_location_specifier || null,
-      with_data: with_data_optional_any || null,
-      bold_text_color: with_properties_optional_color_bold_text_color || null,
-      number_of_columns: with_properties_optional_integer_number_of_columns || null,
-      title_displays_shell_path: with_properties_optional_boolean_title_displays_shell_path || null,
-      title_displays_window_size: with_properties_optional_boolean_title_displays_window_size || null,
-      cursor_color: with_properties_optional_color_cursor_color || null,
-      font_antialiasing: with_properties_optional_boolean_font_antialiasing || null,
-      clean_commands: with_properties_optional_missing_value_clean_commands || null,
-      background_color: with_properties_optional_color_background_color || null,
-      font_name: with_properties_optional_text_font_name || null,
-      font_size: with_properties_optional_integer_font_size || null,
-      title_displays_settings_name: with_properties_optional_boolean_title_displays_settings_name || null,
-      number_of_rows: with_properties_optional_integer_number_of_rows || null,
-      title_displays_custom_title: with_properties_optional_boolean_title_displays_custom_title || null,
-      custom_title: with_properties_optional_text_custom_title || null,
-      title_displays_device_name: with_properties_optional_boolean_title_displays_device_name || null,
-      normal_text_color: with_properties_optional_color_normal_text_color || null,
-      name: with_properties_optional_text_name || null
-    };
-  }
-
-  async makeWindow(at_optional_location_specifier, with_data_optional_any, with_properties_optional_integer_index, with_properties_optional_point_position, with_properties_optional_rectangle_frame, with_properties_optional_boolean_frontmost, with_properties_optional_boolean_zoomed, with_properties_optional_boolean_miniaturized, with_properties_optional_point_size, with_properties_optional_boolean_visible, with_properties_optional_point_origin, with_properties_optional_rectangle_bounds) {
-
-    const castedAt = at_optional_location_specifier ? castAndEscape(at_optional_location_specifier) : null;
-    const valueForScriptAt = castedAt && typeof castedAt === 'string' && !castedAt.startsWith('{') && !castedAt.startsWith('date') ? `"${castedAt.replace(/"/g, "'")}"` : castedAt;
-    const castedWith_data = with_data_optional_any ? castAndEscape(with_data_optional_any) : null;
-    const valueForScriptWith_data = castedWith_data && typeof castedWith_data === 'string' && !castedWith_data.startsWith('{') && !castedWith_data.startsWith('date') ? `"${castedWith_data.replace(/"/g, "'")}"` : castedWith_data;
-    const castedWith_properties_optional_integer_index = with_properties_optional_integer_index ? castAndEscape(with_properties_optional_integer_index) : null;
-    const castedWith_properties_optional_point_position = with_properties_optional_point_position ? castAndEscape(with_properties_optional_point_position) : null;
-    const castedWith_properties_optional_rectangle_frame = with_properties_optional_rectangle_frame ? castAndEscape(with_properties_optional_rectangle_frame) : null;
-    const castedWith_properties_optional_boolean_frontmost = with_properties_optional_boolean_frontmost ? castAndEscape(with_properties_optional_boolean_frontmost) : null;
-    const castedWith_properties_optional_boolean_zoomed = with_properties_optional_boolean_zoomed ? castAndEscape(with_properties_optional_boolean_zoomed) : null;
-    const castedWith_properties_optional_boolean_miniaturized = with_properties_optional_boolean_miniaturized ? castAndEscape(with_properties_optional_boolean_miniaturized) : null;
-    const castedWith_properties_optional_point_size = with_properties_optional_point_size ? castAndEscape(with_properties_optional_point_size) : null;
-    const castedWith_properties_optional_boolean_visible = with_properties_optional_boolean_visible ? castAndEscape(with_properties_optional_boolean_visible) : null;
-    const castedWith_properties_optional_point_origin = with_properties_optional_point_origin ? castAndEscape(with_properties_optional_point_origin) : null;
-    const castedWith_properties_optional_rectangle_bounds = with_properties_optional_rectangle_bounds ? castAndEscape(with_properties_optional_rectangle_bounds) : null;
-
-    // Helper function to build properties record from individual property parameters
-    function buildPropertiesRecord(propertyParams) {
-      const definedProps = propertyParams.filter(p => p.value !== undefined && p.value !== null && p.value !== '');
-      if (definedProps.length === 0) return '';
-      const propStrings = definedProps.map(p => {
-        const castedValue = castAndEscape(p.value, p.type || null);
-        // For strings that got escaped, wrap in quotes and replace inner quotes
-        if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-          return `${p.prop}:"${castedValue.replace(/"/g, "'")}"`;
-        }
-        // For numbers, booleans, lists, records, dates - no quotes
-        return `${p.prop}:${castedValue}`;
-      });
-      return ` with properties {${propStrings.join(', ')}}`;
-    }
-
-    const script = `
-      tell application "Terminal"
-        make new window ${at_optional_location_specifier ? ' at ' + valueForScriptAt : ''}${with_data_optional_any ? ' with data ' + valueForScriptWith_data : ''}${buildPropertiesRecord([{param: 'with_properties_optional_integer_index', prop: 'index', value: with_properties_optional_integer_index, type: 'integer'}, {param: 'with_properties_optional_point_position', prop: 'position', value: with_properties_optional_point_position, type: 'point'}, {param: 'with_properties_optional_rectangle_frame', prop: 'frame', value: with_properties_optional_rectangle_frame, type: 'rectangle'}, {param: 'with_properties_optional_boolean_frontmost', prop: 'frontmost', value: with_properties_optional_boolean_frontmost, type: 'boolean'}, {param: 'with_properties_optional_boolean_zoomed', prop: 'zoomed', value: with_properties_optional_boolean_zoomed, type: 'boolean'}, {param: 'with_properties_optional_boolean_miniaturized', prop: 'miniaturized', value: with_properties_optional_boolean_miniaturized, type: 'boolean'}, {param: 'with_properties_optional_point_size', prop: 'size', value: with_properties_optional_point_size, type: 'point'}, {param: 'with_properties_optional_boolean_visible', prop: 'visible', value: with_properties_optional_boolean_visible, type: 'boolean'}, {param: 'with_properties_optional_point_origin', prop: 'origin', value: with_properties_optional_point_origin, type: 'point'}, {param: 'with_properties_optional_rectangle_bounds', prop: 'bounds', value: with_properties_optional_rectangle_bounds, type: 'rectangle'}])}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      at: at_optional_location_specifier || null,
-      with_data: with_data_optional_any || null,
-      index: with_properties_optional_integer_index || null,
-      position: with_properties_optional_point_position || null,
-      frame: with_properties_optional_rectangle_frame || null,
-      frontmost: with_properties_optional_boolean_frontmost || null,
-      zoomed: with_properties_optional_boolean_zoomed || null,
-      miniaturized: with_properties_optional_boolean_miniaturized || null,
-      size: with_properties_optional_point_size || null,
-      visible: with_properties_optional_boolean_visible || null,
-      origin: with_properties_optional_point_origin || null,
-      bounds: with_properties_optional_rectangle_bounds || null
-    };
-  }
-
-  async move(direct_parameter_required_specifier, to_required_location_specifier) {
-    if (direct_parameter_required_specifier === undefined || direct_parameter_required_specifier === null) {
-      throw new Error("direct_parameter_required_specifier is required");
-    }
-
-    if (to_required_location_specifier === undefined || to_required_location_specifier === null) {
-      throw new Error("to_required_location_specifier is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_specifier ? castAndEscape(direct_parameter_required_specifier) : null;
-    const castedTo = to_required_location_specifier ? castAndEscape(to_required_location_specifier) : null;
-
-    const script = `
-      tell application "Terminal"
-        move ${castedDirect_parameter} to ${castedTo}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_specifier || null,
-      to: to_required_location_specifier || null
-    };
-  }
-
-  async getFrontmostOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return frontmost of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setFrontmostOfWindow(target_window_required_string, value_required_boolean) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set frontmost of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getPositionOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return position of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setPositionOfWindow(target_window_required_string, value_required_point) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_point === undefined || value_required_point === null) {
-      throw new Error("value_required_point is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_point, 'point');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set position of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_point,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getOriginOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return origin of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setOriginOfWindow(target_window_required_string, value_required_point) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_point === undefined || value_required_point === null) {
-      throw new Error("value_required_point is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_point, 'point');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set origin of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_point,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getSizeOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return size of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setSizeOfWindow(target_window_required_string, value_required_point) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_point === undefined || value_required_point === null) {
-      throw new Error("value_required_point is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_point, 'point');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set size of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_point,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async getFrameOfWindow(target_window_required_string) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedWindow}
-          return frame of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async setFrameOfWindow(target_window_required_string, value_required_rectangle) {
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_rectangle === undefined || value_required_rectangle === null) {
-      throw new Error("value_required_rectangle is required");
-    }
-
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_rectangle, 'rectangle');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedWindow}
-          set frame of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_rectangle,
-      script: script,
-      window: target_window_required_string
-    };
-  }
-
-  async doScript(direct_parameter_optional_text, with_command_optional_text, inParam_optional_tab) {
-    const castedDirect_parameter = direct_parameter_optional_text ? castAndEscape(direct_parameter_optional_text) : null;
-    const castedWith_command = with_command_optional_text ? castAndEscape(with_command_optional_text) : null;
-    const castedIn = inParam_optional_tab ? castAndEscape(inParam_optional_tab) : null;
-
-    const script = `
-      tell application "Terminal"
-        do script${direct_parameter_optional_text ? ' "' + castedDirect_parameter + '"' : ''}${with_command_optional_text ? ' with command "' + castedWith_command + '"' : ''}${inParam_optional_tab ? ' in ' + castedIn : ''}
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_optional_text || null,
-      with_command: with_command_optional_text || null,
-      in: inParam_optional_tab || null
-    };
-  }
-
-  async getUrl(direct_parameter_required_text) {
-    if (direct_parameter_required_text === undefined || direct_parameter_required_text === null) {
-      throw new Error("direct_parameter_required_text is required");
-    }
-
-    const castedDirect_parameter = direct_parameter_required_text ? castAndEscape(direct_parameter_required_text) : null;
-
-    const script = `
-      tell application "Terminal"
-        get URL "${castedDirect_parameter}"
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: result,
-      script: script,
-      direct_parameter: direct_parameter_required_text || null
-    };
-  }
-
-  async getDefaultSettingsOfApplication(target_application_required_string) {
-    if (!target_application_required_string || typeof target_application_required_string !== "string") {
-      throw new Error("target_application_required_string is required and must be a string");
-    }
-
-    const escapedApplication = escapeForAppleScript(target_application_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedApplication}
-          return default settings of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      application: target_application_required_string
-    };
-  }
-
-  async setDefaultSettingsOfApplication(target_application_required_string, value_required_settings_set) {
-    if (!target_application_required_string || typeof target_application_required_string !== "string") {
-      throw new Error("target_application_required_string is required and must be a string");
-    }
-    if (value_required_settings_set === undefined || value_required_settings_set === null) {
-      throw new Error("value_required_settings_set is required");
-    }
-
-    const castedApplication = castAndEscape(target_application_required_string, 'string');
-    const castedValue = castAndEscape(value_required_settings_set, 'settings set');
-    // Determine value format for AppleScript
-    let valueForScript;
-    // Property type 'settings set' is a class reference - treat as object
-    valueForScript = castedValue; // Object reference - no quotes
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedApplication}
-          set default settings of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_settings_set,
-      script: script,
-      application: target_application_required_string
-    };
-  }
-
-  async getStartupSettingsOfApplication(target_application_required_string) {
-    if (!target_application_required_string || typeof target_application_required_string !== "string") {
-      throw new Error("target_application_required_string is required and must be a string");
-    }
-
-    const escapedApplication = escapeForAppleScript(target_application_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedApplication}
-          return startup settings of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      application: target_application_required_string
-    };
-  }
-
-  async setStartupSettingsOfApplication(target_application_required_string, value_required_settings_set) {
-    if (!target_application_required_string || typeof target_application_required_string !== "string") {
-      throw new Error("target_application_required_string is required and must be a string");
-    }
-    if (value_required_settings_set === undefined || value_required_settings_set === null) {
-      throw new Error("value_required_settings_set is required");
-    }
-
-    const castedApplication = castAndEscape(target_application_required_string, 'string');
-    const castedValue = castAndEscape(value_required_settings_set, 'settings set');
-    // Determine value format for AppleScript
-    let valueForScript;
-    // Property type 'settings set' is a class reference - treat as object
-    valueForScript = castedValue; // Object reference - no quotes
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedApplication}
-          set startup settings of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_settings_set,
-      script: script,
-      application: target_application_required_string
-    };
-  }
-
-  async getIdOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return id of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getNameOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setNameOfSettingsSet(target_settings_set_required_string, value_required_text) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set name of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getNumberOfRowsOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return number of rows of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setNumberOfRowsOfSettingsSet(target_settings_set_required_string, value_required_integer) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_integer === undefined || value_required_integer === null) {
-      throw new Error("value_required_integer is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_integer, 'integer');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set number of rows of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_integer,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getNumberOfColumnsOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return number of columns of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setNumberOfColumnsOfSettingsSet(target_settings_set_required_string, value_required_integer) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_integer === undefined || value_required_integer === null) {
-      throw new Error("value_required_integer is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_integer, 'integer');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set number of columns of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_integer,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getCursorColorOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return cursor color of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setCursorColorOfSettingsSet(target_settings_set_required_string, value_required_color) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_color === undefined || value_required_color === null) {
-      throw new Error("value_required_color is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_color, 'color');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set cursor color of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_color,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getBackgroundColorOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return background color of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setBackgroundColorOfSettingsSet(target_settings_set_required_string, value_required_color) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_color === undefined || value_required_color === null) {
-      throw new Error("value_required_color is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_color, 'color');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set background color of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_color,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getNormalTextColorOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return normal text color of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setNormalTextColorOfSettingsSet(target_settings_set_required_string, value_required_color) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_color === undefined || value_required_color === null) {
-      throw new Error("value_required_color is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_color, 'color');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set normal text color of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_color,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getBoldTextColorOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return bold text color of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setBoldTextColorOfSettingsSet(target_settings_set_required_string, value_required_color) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_color === undefined || value_required_color === null) {
-      throw new Error("value_required_color is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_color, 'color');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set bold text color of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_color,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getFontNameOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return font name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setFontNameOfSettingsSet(target_settings_set_required_string, value_required_text) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set font name of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getFontSizeOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return font size of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setFontSizeOfSettingsSet(target_settings_set_required_string, value_required_integer) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_integer === undefined || value_required_integer === null) {
-      throw new Error("value_required_integer is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_integer, 'integer');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set font size of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_integer,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getFontAntialiasingOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return font antialiasing of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setFontAntialiasingOfSettingsSet(target_settings_set_required_string, value_required_boolean) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set font antialiasing of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getCleanCommandsOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return clean commands of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setCleanCommandsOfSettingsSet(target_settings_set_required_string, value_required_text) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set clean commands of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getTitleDisplaysDeviceNameOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return title displays device name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setTitleDisplaysDeviceNameOfSettingsSet(target_settings_set_required_string, value_required_boolean) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set title displays device name of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getTitleDisplaysShellPathOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return title displays shell path of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setTitleDisplaysShellPathOfSettingsSet(target_settings_set_required_string, value_required_boolean) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set title displays shell path of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getTitleDisplaysWindowSizeOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return title displays window size of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setTitleDisplaysWindowSizeOfSettingsSet(target_settings_set_required_string, value_required_boolean) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set title displays window size of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getTitleDisplaysSettingsNameOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return title displays settings name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setTitleDisplaysSettingsNameOfSettingsSet(target_settings_set_required_string, value_required_boolean) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set title displays settings name of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getTitleDisplaysCustomTitleOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return title displays custom title of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setTitleDisplaysCustomTitleOfSettingsSet(target_settings_set_required_string, value_required_boolean) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set title displays custom title of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getCustomTitleOfSettingsSet(target_settings_set_required_string) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-
-    const escapedSettingsSet = escapeForAppleScript(target_settings_set_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell ${escapedSettingsSet}
-          return custom title of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async setCustomTitleOfSettingsSet(target_settings_set_required_string, value_required_text) {
-    if (!target_settings_set_required_string || typeof target_settings_set_required_string !== "string") {
-      throw new Error("target_settings_set_required_string is required and must be a string");
-    }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
-    }
-
-    const castedSettingsSet = castAndEscape(target_settings_set_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell ${castedSettingsSet}
-          set custom title of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
-      script: script,
-      settings_set: target_settings_set_required_string
-    };
-  }
-
-  async getNumberOfRowsOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return number of rows of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async setNumberOfRowsOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_integer) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_integer === undefined || value_required_integer === null) {
-      throw new Error("value_required_integer is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_integer, 'integer');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set number of rows of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_integer,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getNumberOfColumnsOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return number of columns of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async setNumberOfColumnsOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_integer) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_integer === undefined || value_required_integer === null) {
-      throw new Error("value_required_integer is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_integer, 'integer');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set number of columns of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_integer,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getContentsOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return contents of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getHistoryOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return history of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getBusyOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return busy of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getProcessesOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return processes of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getSelectedOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return selected of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async setSelectedOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_boolean) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set selected of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getTitleDisplaysCustomTitleOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return title displays custom title of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async setTitleDisplaysCustomTitleOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_boolean) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set title displays custom title of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getCustomTitleOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return custom title of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async setCustomTitleOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_text) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set custom title of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getTtyOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return tty of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getCurrentSettingsOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return current settings of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async setCurrentSettingsOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_settings_set) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_settings_set === undefined || value_required_settings_set === null) {
-      throw new Error("value_required_settings_set is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_settings_set, 'settings set');
-    // Determine value format for AppleScript
-    let valueForScript;
-    // Property type 'settings set' is a class reference - treat as object
-    valueForScript = castedValue; // Object reference - no quotes
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set current settings of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_settings_set,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getCursorColorOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return cursor color of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async setCursorColorOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_color) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_color === undefined || value_required_color === null) {
-      throw new Error("value_required_color is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_color, 'color');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set cursor color of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_color,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getBackgroundColorOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return background color of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
+    ];
+    return tools.map(withTimeoutArgument).map(withConfirmArgument).map(withAnnotations);
   }
 
-  async setBackgroundColorOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_color) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_color === undefined || value_required_color === null) {
-      throw new Error("value_required_color is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_color, 'color');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
+  async handleToolsCall(request) {
+    const params = request.params;
+    if (!params || typeof params !== 'object' || typeof params.name !== 'string') {
+      throw new JsonRpcError(INVALID_PARAMS, 'Invalid params: tools/call requires a tool name');
     }
+    console.error("Handling tools/call request for:", params.name);
 
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set background color of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_color,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getNormalTextColorOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+    const tool = this.getToolDefinitions().find(definition => definition.name === params.name);
+    if (!tool) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return normal text color of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async setNormalTextColorOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_color) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+    if (config.read_only && !tool.annotations.readOnlyHint) {
+      auditScript(request, { script: null, outcome: 'denied', error: 'read-only mode' });
+      throw new JsonRpcError(INVALID_PARAMS, `Tool ${params.name} is not available in read-only mode`, {
+        read_only: true,
+        access: toolAccess(params.name).access
+      });
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    if (params.arguments !== undefined && (typeof params.arguments !== 'object' || params.arguments === null || Array.isArray(params.arguments))) {
+      throw new JsonRpcError(INVALID_PARAMS, 'Invalid params: arguments must be an object');
     }
-    if (value_required_color === undefined || value_required_color === null) {
-      throw new Error("value_required_color is required");
+    const verbosity = params._meta && params._meta.verbosity !== undefined ? params._meta.verbosity : config.verbosity;
+    if (!isVerbosity(verbosity)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Invalid params: _meta.verbosity must be one of ${VERBOSITY_LEVELS.join(', ')}`);
     }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_color, 'color');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
+    const problems = validateArguments(tool.inputSchema, params.arguments || {});
+    const timeoutMs = (params.arguments || {}).timeout_ms;
+    if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && timeoutMs > 0)) {
+      problems.push('timeout_ms must be a positive integer');
     }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set normal text color of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_color,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getBoldTextColorOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+    if (problems.length > 0) {
+      throw new JsonRpcError(INVALID_PARAMS, `Invalid arguments for ${params.name}: ${problems.join('; ')}`, { problems });
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    const call = callContext.getStore();
+    if (call) {
+      call.timeout = timeoutMs || toolTimeout(params.name);
+      // Debug responses list every script the call runs
+      call.trace = verbosity === 'debug' ? [] : null;
+      call.started = Date.now();
     }
 
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
+    try {
+      const checked = POLICY_TOOLS[params.name] && POLICY_TOOLS[params.name](params.arguments || {});
+      if (checked) {
+        this.checkPolicy(params.name, checked.kind, checked.texts, (params.arguments || {}).confirm_token);
+      }
+
+      // Check app availability for every tool that scripts Terminal
+      if (!HEALTH_EXEMPT_TOOLS.includes(params.name)) {
+        const status = await health.check();
+        if (!status.available) {
+          this.sendToolResult(request, {
+            success: false,
+            error: status.message,
+            status: status.status
+          }, verbosity, true);
+          return;
+        }
+      }
 
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return bold text color of it
-        end tell
-      end tell
-    `;
+      const result = await this.dispatchTool(params.name, params.arguments || {});
+      this.sendToolResult(request, result, verbosity);
 
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
+    } catch (error) {
+      // Arguments that cannot be encoded safely are the caller's mistake
+      if (error instanceof ScriptValueError) {
+        throw new JsonRpcError(INVALID_PARAMS, error.message);
+      }
+      if (error instanceof PolicyError) {
+        auditScript(request, {
+          script: null,
+          outcome: error.action === 'confirm' ? 'needs_confirmation' : 'denied',
+          error: error.message,
+          policy_rule: error.rule ? error.rule.name : null
+        });
+      }
+      // Terminal may have quit or lost permission since the last probe
+      if (affectsAvailability(error)) {
+        health.invalidate();
+      }
+      console.error(`Error in tool '${request.params.name}':`, error);
+      this.sendToolResult(request, {
+        success: false,
+        error: error.message,
+        ...(error instanceof SelectorError && error.matches.length > 0 ? { matches: error.matches } : {}),
+        ...(error instanceof AppleScriptError ? { code: error.code, kind: error.kind, line: error.line } : {}),
+        ...(error instanceof PolicyError ? {
+          policy: {
+            action: error.action,
+            rule: describeRule(error.rule),
+            text: error.text,
+            confirm_token: error.confirmToken
+          }
+        } : {}),
+        tool: request.params.name,
+        args: request.params.arguments
+      }, verbosity, true);
+    }
+  }
+
+  // Send a tool's result or error payload. Every tool response goes through
+  // here: debug details are added, secrets masked and redacted and the
+  // payload shaped for the call's verbosity.
+  sendToolResult(request, payload, verbosity, isError = false) {
+    const call = callContext.getStore();
+    let output = payload;
+    if (verbosity === 'debug' && call && call.trace) {
+      output = { ...output, debug: { duration_ms: Date.now() - call.started, scripts: call.trace } };
+    }
+    output = maskTexts(output, callSecrets(request));
+    const redaction = redactOutput(request.params.name, output);
+    output = redaction.count > 0
+      ? { ...redaction.value, redactions: { count: redaction.count, by_type: redaction.counts } }
+      : redaction.value;
+    this.sendResponse({
+      jsonrpc: '2.0',
+      id: request.id,
+      result: {
+        content: [{
+          type: 'text',
+          text: resultText(shapeResult(output, verbosity, echoedFields(request.params.name, request.params.arguments || {})))
+        }],
+        ...(isError ? { isError: true } : {})
+      }
+    });
   }
 
-  async setBoldTextColorOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_color) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_color === undefined || value_required_color === null) {
-      throw new Error("value_required_color is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_color, 'color');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
+  // Apply the policy to the texts a tool call sends. A deny, or a confirm
+  // without a valid token for this exact call, throws a PolicyError naming
+  // the deciding rule.
+  checkPolicy(tool, kind, texts, confirmToken) {
+    if (!policy || texts.length === 0) return;
+    let decision = null;
+    for (const { text, shown } of texts) {
+      const current = evaluate(policy, kind, text);
+      if (current.action === 'deny') {
+        decision = { ...current, shown };
+        break;
+      }
+      if (current.action === 'confirm' && (!decision || decision.action !== 'confirm')) {
+        decision = { ...current, shown };
+      }
     }
+    if (!decision) return;
 
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set bold text color of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_color,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
-  }
-
-  async getCleanCommandsOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+    const ruleText = decision.rule ? `policy rule '${decision.rule.name}'` : 'the policy default';
+    const details = { action: decision.action, rule: decision.rule, tool, text: decision.shown };
+    if (decision.action === 'deny') {
+      throw new PolicyError(`${tool} denied by ${ruleText}: ${decision.shown}`, details);
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    const plain = texts.map(({ text }) => text);
+    if (confirmToken !== undefined && confirmations.verify(confirmToken, tool, plain)) {
+      console.error(`${tool} confirmed for ${ruleText}: ${decision.shown}`);
+      return;
     }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return clean commands of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
+    throw new PolicyError(
+      `${tool} needs confirmation by ${ruleText}: ${decision.shown}. Repeat the call with confirm_token to run it.`,
+      { ...details, confirmToken: confirmations.issue(tool, plain) }
+    );
   }
 
-  async setCleanCommandsOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_text) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
+  // Run a tool by name with validated arguments and return its result
+  async dispatchTool(name, args) {
+    let result;
+    switch (name) {
+      case 'run_command':
+  result = await this.runCommand(args.command_required_text, args.target || args.target_tab_required_string, args.target_window_required_string, args.timeout_optional_integer);
+  break;
+      case 'terminal_health':
+  result = await this.terminalHealth(args.refresh_optional_boolean);
+  break;
+      case 'terminal_snapshot':
+  result = await this.terminalSnapshot(args.include_contents_optional_boolean, args.history_lines_optional_integer);
+  break;
+      case 'save_layout':
+  result = await this.saveLayout(args.name_required_text, args.commands_optional_object, args.overwrite_optional_boolean);
+  break;
+      case 'restore_layout':
+  result = await this.restoreLayout(args.name_required_text, args.dry_run_optional_boolean, args.confirm_token);
+  break;
+      case 'list_layouts':
+  result = await this.listLayouts();
+  break;
+      case 'delete_layout':
+  result = await this.deleteLayout(args.name_required_text);
+  break;
+      case 'wait_for_output':
+  result = await this.waitForOutput(args.pattern_required_text, args.target || args.target_tab_required_string, args.target_window_required_string, args.regex_optional_boolean, args.source_optional_text, args.new_output_only_optional_boolean, args.stop_when_idle_optional_boolean, args.context_lines_optional_integer, args.timeout_optional_integer);
+  break;
+      case 'expect_script':
+  result = await this.expectScript(args.steps_required_array, args.target || args.target_tab_required_string, args.target_window_required_string, args.timeout_optional_integer);
+  break;
+      case 'tail_history':
+  result = await this.tailHistory(args.cursor_optional_text, args.target || args.target_tab_required_string, args.target_window_required_string, args.max_lines_optional_integer);
+  break;
+      case 'get_audit_log':
+  result = await this.getAuditLog(args.limit_optional_integer, args.tool_optional_text, args.outcome_optional_text, args.since_optional_text, args.request_id_optional_text);
+  break;
+      default: {
+        const commandTool = findCommandTool(name);
+        if (commandTool) {
+          result = await this.sendCommand(commandTool, args);
+          break;
+        }
+        const propertyTool = findPropertyTool(name);
+        if (!propertyTool) {
+          throw new Error(`Unknown tool: ${name}`);
+        }
+        result = propertyTool.access === 'get'
+          ? await this.getProperty(propertyTool.descriptor, args)
+          : await this.setProperty(propertyTool.descriptor, args);
+      }
+    }
+    return result;
+  }
+
+  // Send a dictionary command: tell the target (if the tool has one) to run
+  // it with the arguments that were given
+  async sendCommand(entry, args) {
+    const echoed = {};
+    let target = null;
+    if (entry.target && entry.target.arg) {
+      target = await this.resolveTarget(entry.target.arg, args[entry.target.arg], CLASSES[entry.target.key].name);
+      echoed[entry.target.echo] = args[entry.target.arg];
+    } else if (entry.target) {
+      target = await this.classTarget(entry.target.key, args);
+      Object.assign(echoed, this.classTargetKeys(entry.target.key, args));
+    }
+
+    let clause = entry.head;
+    let direct = null;
+    for (const parameter of [entry.direct, ...entry.parameters].filter(Boolean)) {
+      const value = args[parameter.arg];
+      echoed[parameter.key] = value === undefined ? null : value;
+      if (value === undefined || value === null) {
+        if (!parameter.optional) {
+          throw new ScriptValueError(`${parameter.arg} is required`);
+        }
+        continue;
+      }
+      let encoded;
+      if (parameter.reference) {
+        encoded = await this.resolveTarget(parameter.arg, value, parameter.className);
+      } else if (parameter.type === 'record') {
+        // Properties of a copy are typed by the copied object's class
+        encoded = encodeArgument(parameter.arg, 'record', value, direct ? classFields(direct.className) : []);
+      } else {
+        encoded = encodeArgument(parameter.arg, parameter.type, value);
+      }
+      if (parameter === entry.direct) {
+        direct = parameter.reference ? encoded : null;
+        clause += ` ${encoded}`;
+      } else {
+        clause += ` ${parameter.name} ${encoded}`;
+      }
     }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
+    if (entry.properties) {
+      const pairs = entry.properties.args.map(({ property, arg }) => [property, args[arg]]);
+      clause += buildPropertiesRecord(entry.properties.key, pairs);
+      for (const [property, value] of pairs) {
+        echoed[property.replace(/ /g, '_')] = value === undefined ? null : value;
+      }
     }
 
-    const script = `
+    const script = target ? `
       tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set clean commands of it to ${valueForScript}
+        tell ${target}
+          ${clause}
         end tell
       end tell
+    ` : `
+      tell application "Terminal"
+        ${clause}
+      end tell
     `;
 
-    const result = await executeAppleScript(script);
+    const result = await executeAppleScript(script, { mutating: toolAccess(entry.tool.name).access !== 'read' });
     return {
       success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
+      message: result,
       script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      ...echoed
     };
   }
 
-  async getTitleDisplaysDeviceNameOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
+  // Type a command into a tab (or a new window), for the tools built on it
+  doScript(direct_parameter_optional_text, with_command_optional_text, inParam_optional_tab) {
+    return this.sendCommand(findCommandTool('do_script'), {
+      direct_parameter_optional_text,
+      with_command_optional_text,
+      inParam_optional_tab
+    });
+  }
 
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
+  async runCommand(command_required_text, target_tab_required_string, target_window_required_string, timeout_optional_integer) {
+    if (!command_required_text || typeof command_required_text !== "string") {
+      throw new ScriptValueError("command_required_text is required and must be a string");
+    }
+    const timeout = timeout_optional_integer || RUN_COMMAND_TIMEOUT;
+    // The token (14 characters) is kept apart from the marker name by a
+    // colon, so the high_entropy redactor never takes it for a secret and
+    // the markers stay intact in debug output and the audit log
+    const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const beginMarker = `__MCP_BEGIN:${token}`;
+    const endMarker = `__MCP_END:${token}`;
+
+    const { tab, tabArgs } = await this.resolveTab(target_tab_required_string, target_window_required_string);
+    const shell = tabShell((await this.getProperty(findProperty('tab_of_window', 'processes'), tabArgs)).value);
+    if (!COMMAND_WRAPPERS[shell]) {
+      throw new Error(`run_command does not support ${shell}; use do_script and wait_for_output in this tab instead`);
+    }
+
+    // Wrap the command in markers so its output can be cut out of the history
+    // and its exit status recovered; the echoed command lines never match
+    // the anchored patterns below because they start with a prompt
+    const wrapped = WRAP_COMMAND[COMMAND_WRAPPERS[shell]](command_required_text, beginMarker, endMarker);
+    const beginPattern = new RegExp(`^${beginMarker}$`, 'm');
+    const endPattern = new RegExp(`^${endMarker}:(\\d+)$`, 'm');
+
+    const startedAt = Date.now();
+    await this.doScript(wrapped, null, String(tab));
+
+    let history = '';
+    let exitCode = null;
+    let timedOut = false;
+    const call = callContext.getStore();
+    await this.collectPolls(async () => {
+      while (true) {
+        await new Promise((resolve) => setTimeout(resolve, RUN_COMMAND_POLL_INTERVAL));
+        if (call && call.signal && call.signal.aborted) {
+          throw new AppleScriptError("Request cancelled", { kind: 'canceled' });
+        }
 
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return title displays device name of it
-        end tell
-      end tell
-    `;
+        const busy = await this.getProperty(findProperty('tab_of_window', 'busy'), tabArgs);
+        history = (await this.getProperty(findProperty('tab_of_window', 'history'), tabArgs)).value || '';
+        const endMatch = history.match(endPattern);
+        if (endMatch) {
+          exitCode = Number(endMatch[1]);
+          return;
+        }
+        if (busy.value !== true && Date.now() - startedAt > RUN_COMMAND_POLL_INTERVAL * 4) {
+          // The shell went idle without printing the end marker (e.g. `exit`)
+          return;
+        }
+        if (Date.now() - startedAt >= timeout) {
+          timedOut = true;
+          return;
+        }
+      }
+    });
+    const duration = Date.now() - startedAt;
+
+    // Output is everything between the last begin marker and the end marker
+    let output = '';
+    const beginIndex = history.search(beginPattern);
+    if (beginIndex !== -1) {
+      output = history.slice(beginIndex + beginMarker.length + 1);
+      const endIndex = output.search(endPattern);
+      if (endIndex !== -1) {
+        // Drop the newline printed before the end marker
+        output = output.slice(0, endIndex).replace(/\n$/, '');
+      }
+      output = output.replace(/\n$/, '');
+    }
 
-    const result = await executeAppleScript(script);
     return {
-      success: result !== "Error",
-      value: result,
-      script: script,
+      success: !timedOut && exitCode === 0,
+      command: command_required_text,
+      output: output,
+      exit_code: exitCode,
+      duration_ms: duration,
+      timed_out: timedOut,
       tab: target_tab_required_string,
       window: target_window_required_string
     };
   }
 
-  async setTitleDisplaysDeviceNameOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_boolean) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
+  // The tab is given as a selector or as tab and window strings; resolve it
+  // once so every poll reads the same tab. Returns its specifier and the
+  // arguments that target it in the tab getters.
+  async resolveTab(target_tab_required_string, target_window_required_string) {
+    let tab = await this.classTarget('tab_of_window', isSelector(target_tab_required_string)
+      ? { target: target_tab_required_string }
+      : { target_tab_required_string, target_window_required_string });
+    // Text such as `selected tab of front window` names whichever tab has
+    // focus when it is evaluated; pin it to `tab N of window id M`
+    if (!(tab.path.length === 2 && tab.path[0].form === 'index' && tab.path[1].form === 'id')) {
+      const output = await executeAppleScript(`
+      tell application "Terminal"
+        set t to ${tab}
+        set w to ${tab.container}
+        set wid to id of w
+        set ttyName to tty of t
+        repeat with i from 1 to count of tabs of w
+          if tty of tab i of w is ttyName then return (wid as text) & ":" & i
+        end repeat
+      end tell
+    `);
+      const match = /^(\d+):(\d+)$/.exec(output);
+      if (!match) {
+        throw new Error(`Cannot find the tab ${tab}: ${output}`);
+      }
+      tab = new Specifier([
+        { class: 'tab', form: 'index', value: Number(match[2]) },
+        { class: 'window', form: 'id', value: Number(match[1]) }
+      ]);
+    }
+    const tabArgs = {
+      target_tab_required_string: String(new Specifier([tab.path[0]])),
+      target_window_required_string: String(tab.container)
+    };
+    return { tab, tabArgs };
+  }
+
+  // Poll a tab until `matcher` matches its contents or history, the tab is
+  // no longer busy (with `stopWhenIdle`) or `timeout` ms pass. History is
+  // searched from character `offset`, so output already there can be
+  // skipped; an offset past the end means the history was cleared.
+  async pollTabOutput(tabArgs, { matcher, source = 'contents', offset = 0, timeout, stopWhenIdle = true, contextLines = 2 }) {
+    const startedAt = Date.now();
+    const call = callContext.getStore();
+    return this.collectPolls(async () => {
+      while (true) {
+        if (call && call.signal && call.signal.aborted) {
+          throw new AppleScriptError("Request cancelled", { kind: 'canceled' });
+        }
 
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set title displays device name of it to ${valueForScript}
-        end tell
-      end tell
-    `;
+        const busy = await this.getProperty(findProperty('tab_of_window', 'busy'), tabArgs);
+        let text = (await this.getProperty(findProperty('tab_of_window', source), tabArgs)).value || '';
+        const start = source === 'history' && offset <= text.length ? offset : 0;
+        text = text.slice(start);
+        const match = findLastMatch(text, matcher);
+        const elapsed = Date.now() - startedAt;
+        if (match) {
+          return {
+            matched: true,
+            reason: 'matched',
+            match: describeMatch(text, match, contextLines),
+            elapsed_ms: elapsed,
+            end_offset: start + match.index + match[0].length
+          };
+        }
+        // An idle tab prints nothing more; allow a moment for a command just
+        // sent to start
+        if (stopWhenIdle && busy.value !== true && elapsed > RUN_COMMAND_POLL_INTERVAL * 4) {
+          return { matched: false, reason: 'idle', match: null, elapsed_ms: elapsed, tail: text.split('\n').slice(-(contextLines * 2 + 1)).join('\n') };
+        }
+        if (elapsed >= timeout) {
+          return { matched: false, reason: 'timeout', match: null, elapsed_ms: elapsed, tail: text.split('\n').slice(-(contextLines * 2 + 1)).join('\n') };
+        }
+        await new Promise((resolve) => setTimeout(resolve, RUN_COMMAND_POLL_INTERVAL));
+      }
+    });
+  }
 
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
+  // Length of a tab's history now, where output from here on starts
+  async historyOffset(tabArgs) {
+    return ((await this.getProperty(findProperty('tab_of_window', 'history'), tabArgs)).value || '').length;
   }
 
-  async getTitleDisplaysShellPathOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+  async waitForOutput(pattern_required_text, target_tab_required_string, target_window_required_string, regex_optional_boolean, source_optional_text, new_output_only_optional_boolean, stop_when_idle_optional_boolean, context_lines_optional_integer, timeout_optional_integer) {
+    const matcher = createMatcher(pattern_required_text, regex_optional_boolean === true, 'pattern_required_text');
+    const newOnly = new_output_only_optional_boolean === true;
+    const source = newOnly ? 'history' : (source_optional_text || 'contents');
+    if (source !== 'contents' && source !== 'history') {
+      throw new ScriptValueError("source_optional_text must be 'contents' or 'history'");
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    const contextLines = context_lines_optional_integer === undefined ? 2 : context_lines_optional_integer;
+    if (!Number.isInteger(contextLines) || contextLines < 0) {
+      throw new ScriptValueError("context_lines_optional_integer must be a non-negative integer");
     }
 
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return title displays shell path of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+    const { tabArgs } = await this.resolveTab(target_tab_required_string, target_window_required_string);
+    const result = await this.pollTabOutput(tabArgs, {
+      matcher,
+      source,
+      offset: newOnly ? await this.historyOffset(tabArgs) : 0,
+      timeout: timeout_optional_integer || WAIT_FOR_OUTPUT_TIMEOUT,
+      stopWhenIdle: stop_when_idle_optional_boolean !== false,
+      contextLines
+    });
     return {
-      success: result !== "Error",
-      value: result,
-      script: script,
+      success: result.matched,
+      ...result,
+      pattern: pattern_required_text,
+      regex: regex_optional_boolean === true,
+      source: source,
       tab: target_tab_required_string,
       window: target_window_required_string
     };
   }
 
-  async setTitleDisplaysShellPathOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_boolean) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set title displays shell path of it to ${valueForScript}
-        end tell
-      end tell
-    `;
+  async expectScript(steps_required_array, target_tab_required_string, target_window_required_string, timeout_optional_integer) {
+    const steps = normalizeSteps(steps_required_array);
+    const { tab, tabArgs } = await this.resolveTab(target_tab_required_string, target_window_required_string);
+    const defaultTimeout = timeout_optional_integer || WAIT_FOR_OUTPUT_TIMEOUT;
 
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
+    // Each expect only sees history after the previous match (or after what
+    // was there when the script started), so an earlier prompt cannot
+    // satisfy it
+    let offset = await this.historyOffset(tabArgs);
+    const transcript = [];
+    for (const [i, step] of steps.entries()) {
+      if (step.send !== undefined) {
+        await this.doScript(step.send, null, String(tab));
+        transcript.push({ step: i, send: step.secret ? '********' : step.send });
+        continue;
+      }
+      const result = await this.pollTabOutput(tabArgs, {
+        matcher: step.matcher,
+        source: 'history',
+        offset,
+        timeout: step.timeout || defaultTimeout,
+        // A program waiting for input may look idle, so only time out
+        stopWhenIdle: false
+      });
+      const { end_offset: endOffset, ...outcome } = result;
+      transcript.push({ step: i, expect: step.expect, ...outcome });
+      if (!result.matched) {
+        return {
+          success: false,
+          message: `Step ${i + 1} of ${steps.length} did not see ${JSON.stringify(step.expect)} (${result.reason})`,
+          failed_step: i,
+          steps: transcript,
+          tab: target_tab_required_string,
+          window: target_window_required_string
+        };
+      }
+      offset = endOffset;
+    }
+    return {
+      success: true,
+      message: `Completed ${steps.length} step(s)`,
+      steps: transcript,
       tab: target_tab_required_string,
       window: target_window_required_string
     };
   }
 
-  async getTitleDisplaysWindowSizeOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+  async tailHistory(cursor_optional_text, target_tab_required_string, target_window_required_string, max_lines_optional_integer) {
+    const maxLines = max_lines_optional_integer === undefined ? TAIL_HISTORY_LINES : max_lines_optional_integer;
+    if (!Number.isInteger(maxLines) || maxLines < 1) {
+      throw new ScriptValueError("max_lines_optional_integer must be a positive integer");
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+
+    let script;
+    let cursor = null;
+    if (cursor_optional_text) {
+      cursor = decodeCursor(cursor_optional_text);
+      script = buildTailScript({ tty: cursor.tty, windowId: cursor.window_id, offset: cursor.offset, maxLines });
+    } else {
+      if (!target_tab_required_string) {
+        throw new ScriptValueError("target_tab_required_string or a target selector is required without a cursor");
+      }
+      const { tab } = await this.resolveTab(target_tab_required_string, target_window_required_string);
+      // Without a cursor, start from the top but return only the last lines
+      script = buildTailScript({ tab, maxLines });
     }
 
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
+    const read = async (source) => {
+      try {
+        return parseTail(await executeAppleScript(source));
+      } catch (error) {
+        if (cursor && error instanceof AppleScriptError && (error.code === -1728 || error.code === -1719)) {
+          throw new Error(`The tab this cursor follows (${cursor.tty} in window id ${cursor.window_id}) no longer exists; call tail_history without a cursor to start again`);
+        }
+        throw error;
+      }
+    };
 
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return title displays window size of it
-        end tell
-      end tell
-    `;
+    let tail = await read(script);
+    // History shorter than the cursor, or different text before it, means it
+    // was cleared: read it again from the top
+    const reset = cursor !== null && (tail.length < cursor.offset || anchorHash(tail.oldAnchor) !== cursor.anchor);
+    if (reset) {
+      script = buildTailScript({ tty: cursor.tty, windowId: cursor.window_id, offset: 0, maxLines });
+      tail = await read(script);
+    }
 
-    const result = await executeAppleScript(script);
+    const marker = tail.skipped > 0 ? `[... ${tail.skipped} earlier line(s) not shown ...]\n` : '';
     return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      success: true,
+      text: marker + tail.text,
+      lines: tail.text === '' ? 0 : tail.text.split('\n').length,
+      truncated: tail.skipped > 0,
+      skipped_lines: tail.skipped,
+      reset: reset,
+      cursor: encodeCursor({ tty: tail.tty, window_id: tail.windowId, offset: tail.length, anchor: anchorHash(tail.newAnchor) }),
+      tty: tail.tty,
+      window_id: tail.windowId,
+      script: script
     };
   }
 
-  async setTitleDisplaysWindowSizeOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_boolean) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
-    }
+  async terminalHealth(refresh_optional_boolean) {
+    const status = await health.check({ refresh: refresh_optional_boolean === true });
+    return {
+      success: status.available,
+      ...status,
+      checked_at: new Date(status.checked_at).toISOString(),
+      age_ms: Date.now() - status.checked_at,
+      ttl_ms: health.ttl,
+      auto_launch: health.autoLaunch
+    };
+  }
 
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
+  async terminalSnapshot(include_contents_optional_boolean, history_lines_optional_integer) {
+    const historyLines = history_lines_optional_integer === undefined ? 0 : history_lines_optional_integer;
+    if (!Number.isInteger(historyLines) || historyLines < 0) {
+      throw new ScriptValueError("history_lines_optional_integer must be a non-negative integer");
     }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set title displays window size of it to ${valueForScript}
-        end tell
-      end tell
-    `;
+    const options = { includeContents: include_contents_optional_boolean === true, historyLines };
+    const script = buildSnapshotScript(options);
 
     const result = await executeAppleScript(script);
+    const snapshot = parseSnapshot(result, options);
     return {
       success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      ...snapshot,
+      window_count: snapshot.windows.length,
+      tab_count: snapshot.windows.reduce((count, window) => count + window.tabs.length, 0),
+      script: script
     };
   }
 
-  async getTitleDisplaysFileNameOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+  async saveLayout(name_required_text, commands_optional_object, overwrite_optional_boolean) {
+    if (!name_required_text || typeof name_required_text !== "string") {
+      throw new ScriptValueError("name_required_text is required and must be a string");
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    const commands = commands_optional_object || {};
+    for (const [key, command] of Object.entries(commands)) {
+      if (typeof command !== 'string') {
+        throw new ScriptValueError(`commands_optional_object.${key} must be a string`);
+      }
+    }
+    if (overwrite_optional_boolean !== true && await layouts.exists(name_required_text)) {
+      throw new Error(`A layout named '${name_required_text}' already exists; pass overwrite_optional_boolean to replace it`);
     }
 
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return title displays file name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+    const snapshot = await this.terminalSnapshot(false, 0);
+    const layout = layoutFromSnapshot(name_required_text, snapshot, commands);
+    const file = await layouts.save(layout);
     return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      success: true,
+      message: `Saved layout '${layout.name}' with ${layout.windows.length} window(s)`,
+      file: file,
+      layout: layout
     };
   }
 
-  async setTitleDisplaysFileNameOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_boolean) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+  async restoreLayout(name_required_text, dry_run_optional_boolean, confirm_token) {
+    if (!name_required_text || typeof name_required_text !== "string") {
+      throw new ScriptValueError("name_required_text is required and must be a string");
     }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
+    const layout = await layouts.load(name_required_text);
+    const steps = planRestore(layout);
+    if (dry_run_optional_boolean === true) {
+      return {
+        success: true,
+        message: `Restoring layout '${layout.name}' would run ${steps.length} step(s)`,
+        dry_run: true,
+        steps: steps
+      };
     }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
+    // Check every command first so a denied one cannot leave half a layout;
+    // the steps then run without checks of their own
+    this.checkPolicy('restore_layout', 'command', steps
+      .filter(step => step.tool === 'do_script')
+      .map(step => ({ text: step.arguments.direct_parameter_optional_text, shown: step.arguments.direct_parameter_optional_text })), confirm_token);
+
+    // Run each step through its tool; windows made along the way fill the
+    // placeholders of the steps after them
+    const windowIds = [];
+    const completed = [];
+    for (const [i, step] of steps.entries()) {
+      let result;
+      try {
+        result = await this.dispatchTool(step.tool, fillPlaceholders(step.arguments, windowIds));
+      } catch (error) {
+        error.message = `Step ${i + 1} of ${steps.length} (${step.tool}) failed after ${completed.length} completed: ${error.message}`;
+        throw error;
+      }
+      if (step.tool === 'make_window') {
+        const created = /window id (\d+)/.exec(result.message || '');
+        if (!created) {
+          throw new Error(`make_window did not report the new window's id: ${result.message}`);
+        }
+        windowIds.push(Number(created[1]));
+      }
+      completed.push({ tool: step.tool, arguments: fillPlaceholders(step.arguments, windowIds) });
     }
+    return {
+      success: true,
+      message: `Restored layout '${layout.name}' in ${steps.length} step(s)`,
+      dry_run: false,
+      window_ids: windowIds,
+      steps: completed
+    };
+  }
 
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set title displays file name of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+  async listLayouts() {
+    const saved = await layouts.list();
     return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_boolean,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      success: true,
+      directory: layouts.dir,
+      layouts: saved.map(layout => ({
+        name: layout.name,
+        saved_at: layout.saved_at,
+        windows: (layout.windows || []).length,
+        tabs: (layout.windows || []).reduce((count, window) => count + (window.tabs || []).length, 0)
+      }))
     };
   }
 
-  async getFontNameOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+  async deleteLayout(name_required_text) {
+    if (!name_required_text || typeof name_required_text !== "string") {
+      throw new ScriptValueError("name_required_text is required and must be a string");
     }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return font name of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+    await layouts.remove(name_required_text);
     return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      success: true,
+      message: `Deleted layout '${name_required_text}'`,
+      name: name_required_text
     };
   }
 
-  async setFontNameOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_text) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+  async getAuditLog(limit_optional_integer, tool_optional_text, outcome_optional_text, since_optional_text, request_id_optional_text) {
+    if (!audit) {
+      throw new Error("The audit log is disabled");
     }
-    if (value_required_text === undefined || value_required_text === null) {
-      throw new Error("value_required_text is required");
+    const limit = limit_optional_integer === undefined ? AUDIT_LOG_LIMIT : limit_optional_integer;
+    if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_LOG_MAX_LIMIT) {
+      throw new ScriptValueError(`limit_optional_integer must be an integer from 1 to ${AUDIT_LOG_MAX_LIMIT}`);
     }
-
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_text, 'text');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
+    const since = since_optional_text === undefined ? null : Date.parse(since_optional_text);
+    if (Number.isNaN(since)) {
+      throw new ScriptValueError("since_optional_text must be an ISO 8601 time");
     }
 
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set font name of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
+    const entries = await audit.query(entry =>
+      (tool_optional_text === undefined || entry.tool === tool_optional_text) &&
+      (outcome_optional_text === undefined || entry.outcome === outcome_optional_text) &&
+      (since === null || Date.parse(entry.time) >= since) &&
+      (request_id_optional_text === undefined || String(entry.request_id) === request_id_optional_text),
+    limit);
     return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_text,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      success: true,
+      file: audit.file,
+      count: entries.length,
+      entries: entries
     };
   }
 
-  async getFontSizeOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+  // Resolve a target argument given either as a specifier string or as a
+  // structured selector such as {window: {id: 1234}, tab: {index: 2}}
+  async resolveTarget(argName, value, className = null) {
+    if (!isSelector(value)) {
+      return requireSpecifier(argName, value, className);
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    try {
+      return await resolveSelector(value, className, executeAppleScript);
+    } catch (error) {
+      if (error instanceof ScriptValueError) {
+        throw new ScriptValueError(`${argName}: ${error.message}`);
+      }
+      throw error;
     }
-
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
-
-    const script = `
-      tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return font size of it
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      value: result,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
   }
 
-  async setFontSizeOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_integer) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+  // Build the `tell` target for a class (such as `tab_of_window`) from the
+  // tool arguments: either the `target` selector, or one specifier string per
+  // target argument. A tab is given on its own and nested inside its window
+  // here.
+  async classTarget(key, args) {
+    const cls = CLASSES[key];
+    if (args.target !== undefined && selectorProperty(cls.name)) {
+      return this.resolveTarget('target', args.target, cls.name);
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_integer === undefined || value_required_integer === null) {
-      throw new Error("value_required_integer is required");
+    const [target, ...containers] = cls.targets;
+    let specifier = this.parseTarget(target, cls.name, args, containers.length > 0);
+    for (const container of containers) {
+      specifier = specifier.of(this.parseTarget(container, container.key.replace(/_/g, ' '), args, false));
     }
+    return specifier;
+  }
 
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_integer, 'integer');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
+  parseTarget(target, className, args, standalone) {
+    const value = args[target.arg];
+    if (!value || typeof value !== "string") {
+      const alternative = selectorProperty(className) ? ' unless a target selector is given' : '';
+      throw new ScriptValueError(`${target.arg} is required${alternative} and must be a string`);
+    }
+    try {
+      return parseSpecifier(value, { expect: className, standalone });
+    } catch (error) {
+      if (error instanceof ScriptValueError) {
+        throw new ScriptValueError(`${target.arg}: ${error.message}`);
+      }
+      throw error;
     }
-
-    const script = `
-      tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set font size of it to ${valueForScript}
-        end tell
-      end tell
-    `;
-
-    const result = await executeAppleScript(script);
-    return {
-      success: result !== "Error",
-      message: "Property set successfully",
-      value: value_required_integer,
-      script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
-    };
   }
 
-  async getFontAntialiasingOfTabOfWindow(target_tab_required_string, target_window_required_string) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
+  // Echo the target arguments back under their class keys (window, tab, ...)
+  classTargetKeys(key, args) {
+    const keys = {};
+    for (const target of CLASSES[key].targets) {
+      keys[target.key] = args[target.arg];
     }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
+    if (args.target !== undefined) {
+      keys.target = args.target;
     }
+    return keys;
+  }
 
-    const escapedTab = escapeForAppleScript(target_tab_required_string);
-    const escapedWindow = escapeForAppleScript(target_window_required_string);
+  async getProperty(descriptor, args) {
+    const specifier = await this.classTarget(descriptor.class, args);
 
     const script = `
       tell application "Terminal"
-        tell (${escapedTab} of ${escapedWindow})
-          return font antialiasing of it
+        tell ${specifier}
+          return ${descriptor.property} of it
         end tell
       end tell
     `;
@@ -7611,84 +1962,116 @@ class TerminalMCPServer {
     const result = await executeAppleScript(script);
     return {
       success: result !== "Error",
-      value: result,
+      value: decodeValue(descriptor.type, result),
       script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      ...this.classTargetKeys(descriptor.class, args)
     };
   }
 
-  async setFontAntialiasingOfTabOfWindow(target_tab_required_string, target_window_required_string, value_required_boolean) {
-    if (!target_tab_required_string || typeof target_tab_required_string !== "string") {
-      throw new Error("target_tab_required_string is required and must be a string");
-    }
-    if (!target_window_required_string || typeof target_window_required_string !== "string") {
-      throw new Error("target_window_required_string is required and must be a string");
-    }
-    if (value_required_boolean === undefined || value_required_boolean === null) {
-      throw new Error("value_required_boolean is required");
+  async setProperty(descriptor, args) {
+    const specifier = await this.classTarget(descriptor.class, args);
+    const argName = valueArgName(descriptor);
+    const value = args[argName];
+    if (value === undefined || value === null) {
+      throw new ScriptValueError(`${argName} is required`);
     }
 
-    const castedTab = castAndEscape(target_tab_required_string, 'string');
-    const castedWindow = castAndEscape(target_window_required_string, 'string');
-    const castedValue = castAndEscape(value_required_boolean, 'boolean');
-    // Determine value format for AppleScript
-    let valueForScript;
-    if (typeof castedValue === 'string' && !castedValue.startsWith('{') && !castedValue.startsWith('date')) {
-      valueForScript = `"${castedValue}"`; // Wrap strings in quotes
-    } else {
-      valueForScript = castedValue; // Use as-is for numbers, booleans, lists, records
-    }
+    const valueForScript = encodeArgument(argName, descriptor.type, value);
 
     const script = `
       tell application "Terminal"
-        tell (${castedTab} of ${castedWindow})
-          set font antialiasing of it to ${valueForScript}
+        tell ${specifier}
+          set ${descriptor.property} of it to ${valueForScript}
         end tell
       end tell
     `;
 
-    const result = await executeAppleScript(script);
+    const result = await executeAppleScript(script, { mutating: true });
     return {
       success: result !== "Error",
       message: "Property set successfully",
-      value: value_required_boolean,
+      value: value,
       script: script,
-      tab: target_tab_required_string,
-      window: target_window_required_string
+      ...this.classTargetKeys(descriptor.class, args)
     };
   }
 
+  sendError(id, code, message, data) {
+    const error = { code, message };
+    if (data !== undefined) {
+      error.data = data;
+    }
+    this.sendResponse({ jsonrpc: '2.0', id: id, error: error });
+  }
+
+  sendNotification(method, params) {
+    console.error("Sending notification:", method);
+    this.write(JSON.stringify({ jsonrpc: '2.0', method, params }));
+  }
+
   sendResponse(response) {
+    const request = this.requests.get(response.id);
+    if (request && request.controller.signal.aborted) {
+      console.error("Dropping response to cancelled request:", response.id);
+      return;
+    }
     const responseStr = JSON.stringify(response);
     console.error("Sending response:", response.method || 'result', response.id);
-    process.stdout.write(responseStr + '\n');
+    this.write(responseStr);
   }
 }
 
 // Start the server
 async function startServer() {
   console.error("Testing Terminal availability...");
-  await checkTerminalAvailable();
-  
-  console.error("Creating Terminal MCP server...");
-  const server = new TerminalMCPServer();
-  
-  console.error("Terminal AppleScript MCP server running on stdio");
+  const status = await health.check();
+  console.error(`Terminal status: ${status.status} (${status.message})`);
   
-  // Keep the process alive
-  process.on('SIGINT', () => {
-    console.error("Shutting down Terminal AppleScript MCP server");
-    process.exit(0);
-  });
+  console.error(`Using ${executor.name} executor`);
+  if (config.read_only) {
+    console.error("Read-only mode: tools that change Terminal are disabled");
+  }
+  let httpServer = null;
+  if (config.transport === 'http') {
+    // Without a configured token, make one up for this run and print it so
+    // the operator can hand it to clients
+    let token = config.http_token;
+    if (!token) {
+      token = crypto.randomBytes(24).toString('hex');
+      console.error(`No HTTP token configured; using generated token ${token}`);
+    }
+    httpServer = await startHttpTransport({
+      createServer: write => new TerminalMCPServer({ stdio: false, write }),
+      host: config.http_host,
+      port: config.http_port,
+      token
+    });
+    const { address, port } = httpServer.address();
+    const host = address.includes(':') ? `[${address}]` : address;
+    console.error(`Terminal AppleScript MCP server listening on http://${host}:${port}/mcp`);
+  } else if (config.transport === 'stdio') {
+    console.error("Creating Terminal MCP server...");
+    new TerminalMCPServer();
+    console.error("Terminal AppleScript MCP server running on stdio");
+  } else {
+    throw new Error(`Unknown transport '${config.transport}'; use stdio or http`);
+  }
   
-  process.on('SIGTERM', () => {
+  const shutdown = () => {
     console.error("Shutting down Terminal AppleScript MCP server");
+    if (httpServer) httpServer.close();
+    if (executor.close) executor.close();
     process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  startServer().catch(error => {
+    console.error("Fatal error starting server:", error);
+    process.exit(1);
   });
 }
 
-startServer().catch(error => {
-  console.error("Fatal error starting server:", error);
-  process.exit(1);
-});
+module.exports = { TerminalMCPServer, executeAppleScript, setExecutor };
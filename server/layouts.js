@@ -0,0 +1,183 @@
+// Saved window layouts.
+//
+// A layout records the windows and tabs to recreate: each window's bounds
+// and each tab's settings set, custom title and startup command. Layouts are
+// stored one JSON file per name in the `layouts` directory under the
+// server's config directory.
+//
+// Restoring a layout is planned as a list of tool calls (make_window,
+// set_bounds_of_window, make_tab_of_window, ...) so a dry run can show them
+// and the server can run them through the same tools a client would.
+// Arguments that need a window created by an earlier step name it with a
+// `{window:N}` placeholder, filled in once that window exists.
+
+const fs = require('fs');
+const path = require('path');
+
+const LAYOUT_VERSION = 1;
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+function checkName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Layout name must be 1-64 letters, digits, '.', '_' or '-', starting with a letter or digit, got ${JSON.stringify(name)}`);
+  }
+  return name;
+}
+
+function createLayoutStore(configDir) {
+  const dir = path.join(configDir, 'layouts');
+  const file = name => path.join(dir, `${checkName(name)}.json`);
+
+  return {
+    dir,
+
+    async list() {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const layouts = [];
+      for (const entry of entries.filter(entry => entry.endsWith('.json')).sort()) {
+        const name = entry.slice(0, -'.json'.length);
+        try {
+          layouts.push(await this.load(name));
+        } catch (error) {
+          console.error(`Skipping unreadable layout ${entry}:`, error.message);
+        }
+      }
+      return layouts;
+    },
+
+    async load(name) {
+      let text;
+      try {
+        text = await fs.promises.readFile(file(name), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`No layout named '${name}'`);
+        }
+        throw error;
+      }
+      return JSON.parse(text);
+    },
+
+    async exists(name) {
+      try {
+        await fs.promises.access(file(name));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    // Write through a temporary file so a crash never leaves half a layout
+    async save(layout) {
+      const target = file(layout.name);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const temporary = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify(layout, null, 2) + '\n');
+      await fs.promises.rename(temporary, target);
+      return target;
+    },
+
+    async remove(name) {
+      try {
+        await fs.promises.unlink(file(name));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`No layout named '${name}'`);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+// Build a layout from a terminal_snapshot result. `commands` maps
+// "<window index>.<tab index>" (both from 1) to the command a tab starts with.
+function layoutFromSnapshot(name, snapshot, commands = {}) {
+  const windows = snapshot.windows.map(window => ({
+    name: window.name,
+    bounds: window.bounds,
+    tabs: window.tabs.map(tab => ({
+      settings: tab.current_settings,
+      custom_title: tab.custom_title || null,
+      command: commands[`${window.index}.${tab.index}`] || null
+    }))
+  }));
+  for (const key of Object.keys(commands)) {
+    const match = /^(\d+)\.(\d+)$/.exec(key);
+    const window = match && windows[Number(match[1]) - 1];
+    if (!window || !window.tabs[Number(match[2]) - 1]) {
+      throw new Error(`commands key '${key}' does not name a tab; use "<window index>.<tab index>"`);
+    }
+  }
+  return { name, version: LAYOUT_VERSION, saved_at: new Date().toISOString(), windows };
+}
+
+function rectangleText({ left, top, right, bottom }) {
+  return `${left}, ${top}, ${right}, ${bottom}`;
+}
+
+// The tool calls that recreate a layout, as [{tool, arguments}]
+function planRestore(layout) {
+  if (!layout || layout.version !== LAYOUT_VERSION || !Array.isArray(layout.windows)) {
+    throw new Error(`Layout '${layout && layout.name}' is not a version ${LAYOUT_VERSION} layout`);
+  }
+  const steps = [];
+  layout.windows.forEach((window, i) => {
+    const windowRef = `window id {window:${i + 1}}`;
+    steps.push({ tool: 'make_window', arguments: {} });
+    if (window.bounds && typeof window.bounds === 'object') {
+      steps.push({
+        tool: 'set_bounds_of_window',
+        arguments: { target_window_required_string: windowRef, value_required_rectangle: rectangleText(window.bounds) }
+      });
+    }
+    (window.tabs || []).forEach((tab, j) => {
+      const tabArgs = { target_tab_required_string: `tab ${j + 1}`, target_window_required_string: windowRef };
+      // A new window comes with its first tab
+      if (j > 0) {
+        steps.push({ tool: 'make_tab_of_window', arguments: { at_required_location_specifier_window: windowRef } });
+      }
+      if (tab.settings) {
+        steps.push({
+          tool: 'set_current_settings_of_tab_of_window',
+          arguments: { ...tabArgs, value_required_settings_set: `settings set ${JSON.stringify(tab.settings)}` }
+        });
+      }
+      if (tab.custom_title) {
+        steps.push({ tool: 'set_custom_title_of_tab_of_window', arguments: { ...tabArgs, value_required_text: tab.custom_title } });
+      }
+      if (tab.command) {
+        steps.push({ tool: 'do_script', arguments: { direct_parameter_optional_text: tab.command, inParam_optional_tab: `tab ${j + 1} of ${windowRef}` } });
+      }
+    });
+  });
+  return steps;
+}
+
+// Replace `{window:N}` placeholders with the ids of the windows created so far
+function fillPlaceholders(args, windowIds) {
+  const filled = {};
+  for (const [key, value] of Object.entries(args)) {
+    filled[key] = typeof value === 'string'
+      ? value.replace(/\{window:(\d+)\}/g, (placeholder, n) => {
+        const id = windowIds[Number(n) - 1];
+        if (id === undefined) throw new Error(`Window ${n} of the layout was not created`);
+        return String(id);
+      })
+      : value;
+  }
+  return filled;
+}
+
+module.exports = {
+  createLayoutStore,
+  layoutFromSnapshot,
+  planRestore,
+  fillPlaceholders,
+};
@@ -0,0 +1,107 @@
+// Long-lived AppleScript runner used by the worker executor (executors.js).
+//
+// This file runs under JavaScript for Automation (`osascript -l JavaScript`),
+// not Node. It reads one JSON request per line from stdin, `{id, script}`,
+// runs the AppleScript source and writes one JSON response per line to
+// stdout: `{id, stdout}` on success or `{id, error, number, range}` on
+// failure.
+// Results are rendered the way `osascript -e` prints them, so callers see
+// the same text from either executor. Both directions escape non-ASCII
+// characters, so lines never split inside a multi-byte sequence.
+
+ObjC.import('Foundation');
+ObjC.import('OSAKit');
+
+// Four-character Apple event type codes
+function fourCharCode(code) {
+  return code.split('').reduce((value, char) => value * 256 + char.charCodeAt(0), 0);
+}
+
+const TYPE_LIST = fourCharCode('list');
+const TYPE_TRUE = fourCharCode('true');
+const TYPE_FALSE = fourCharCode('fals');
+const TYPE_BOOLEAN = fourCharCode('bool');
+const TYPE_TYPE = fourCharCode('type');
+const TYPE_NULL = fourCharCode('null');
+const MISSING_VALUE = fourCharCode('msng');
+
+// Render a result as osascript's human-readable output, or null if the value
+// has no plain-text form (references, records); the caller then falls back to
+// the script's display value
+function format(descriptor) {
+  const type = descriptor.descriptorType;
+  if (type === TYPE_LIST) {
+    const items = [];
+    for (let i = 1; i <= descriptor.numberOfItems; i++) {
+      const item = format(descriptor.descriptorAtIndex(i));
+      if (item === null) return null;
+      items.push(item);
+    }
+    return items.join(', ');
+  }
+  if (type === TYPE_TRUE) return 'true';
+  if (type === TYPE_FALSE) return 'false';
+  if (type === TYPE_BOOLEAN) return descriptor.booleanValue ? 'true' : 'false';
+  if (type === TYPE_NULL) return '';
+  if (type === TYPE_TYPE && descriptor.typeCodeValue === MISSING_VALUE) return 'missing value';
+  const text = descriptor.stringValue;
+  return text.isNil() ? null : text.js;
+}
+
+function execute(source) {
+  const language = $.OSALanguage.languageForName('AppleScript');
+  const script = $.OSAScript.alloc.initWithSourceLanguage(source, language);
+  const display = Ref();
+  const error = Ref();
+  const result = script.executeAndReturnDisplayValueError(display, error);
+  if (result.isNil()) {
+    const info = error[0];
+    const range = info.objectForKey('OSAScriptErrorRange');
+    const location = range.isNil() ? null : range.rangeValue;
+    return {
+      error: ObjC.unwrap(info.objectForKey('OSAScriptErrorMessage')) || 'Unknown AppleScript error',
+      number: ObjC.unwrap(info.objectForKey('OSAScriptErrorNumber')) || -2700,
+      range: location ? [location.location, location.location + location.length] : null
+    };
+  }
+  const text = format(result);
+  return { stdout: text !== null ? text : ObjC.unwrap(display[0]) || '' };
+}
+
+function handle(line) {
+  let request;
+  try {
+    request = JSON.parse(line);
+  } catch (error) {
+    return { id: null, error: 'Malformed worker request', number: -50 };
+  }
+  try {
+    return Object.assign({ id: request.id }, execute(request.script));
+  } catch (error) {
+    return { id: request.id, error: String(error), number: -2700 };
+  }
+}
+
+function asciiJson(value) {
+  return JSON.stringify(value).replace(/[\u007f-\uffff]/g, char => '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0'));
+}
+
+function run() {
+  const input = $.NSFileHandle.fileHandleWithStandardInput;
+  const output = $.NSFileHandle.fileHandleWithStandardOutput;
+  let buffer = '';
+  while (true) {
+    const data = input.availableData;
+    if (data.length === 0) break; // The server closed the pipe
+    buffer += $.NSString.alloc.initWithDataEncoding(data, $.NSASCIIStringEncoding).js;
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (line.trim() === '') continue;
+      const response = asciiJson(handle(line)) + '\n';
+      output.writeData($(response).dataUsingEncoding($.NSASCIIStringEncoding));
+    }
+  }
+}
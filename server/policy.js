@@ -0,0 +1,317 @@
+// Command policy for tools that send text to a shell or open URLs and files.
+//
+// A policy file holds a default action and a list of rules:
+//
+//   {
+//     "default": "allow",
+//     "rules": [
+//       {"name": "no-force-push", "action": "deny", "command": "git", "args": ["push", ["--force", "-f"]]},
+//       {"name": "no-rm-rf", "action": "deny", "command": "rm", "args": [["-r", "-R", "--recursive"], ["-f", "--force"]]},
+//       {"name": "sudo", "action": "confirm", "command": ["sudo", "doas"]},
+//       {"name": "ssh-only", "action": "deny", "applies_to": ["url"], "pattern": "^(?!ssh://)"},
+//       {"name": "terminal-scripts", "action": "confirm", "applies_to": ["file"], "pattern": "\\.(command|terminal|tool)$", "flags": "i"}
+//     ]
+//   }
+//
+// A rule matches by `pattern` (a regex tested against the whole text) or by
+// `command` (names compared with each simple command's program, also after
+// wrappers such as sudo or env, and inside `sh -c`, `bash -c`, `zsh -c` and
+// `eval` strings) with optional `args` that must all appear
+// among its arguments. An `args` entry may list alternatives, and a one-letter
+// flag such as "-r" also matches inside a cluster such as "-rf". `applies_to`
+// limits a rule to "command" text (do_script, run_command, expect_script),
+// "url" text (get_url) or "file" paths (open); command rules default to
+// commands only. Terminal runs the .command, .terminal and .tool files `open`
+// is given, so a rule like "terminal-scripts" above guards them.
+//
+// Every matching rule counts and the strictest action wins: deny, then
+// confirm, then allow. Text no rule matches gets the default action.
+// "confirm" fails the call with a token; repeating the call with that token
+// as `confirm_token` lets it through.
+//
+// Command rules see what a simple reading of the text shows. Command
+// substitutions, variables, aliases, functions and scripts run from files are
+// not expanded; a pattern rule or a default of "deny" covers those.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ACTIONS = ['allow', 'confirm', 'deny'];
+const KINDS = ['command', 'url', 'file'];
+const CONFIRM_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Programs that run the command after them
+const WRAPPERS = ['sudo', 'doas', 'env', 'nohup', 'time', 'command', 'exec', 'nice', 'xargs'];
+// Shells whose -c argument is itself a command line
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh'];
+// How deep `bash -c "sh -c '...'"` strings are followed
+const MAX_NESTING = 8;
+
+// A call the policy did not allow. `rule` is the rule that decided it (null
+// for the default action); `confirmToken` is set when confirmation can let
+// it through.
+class PolicyError extends Error {
+  constructor(message, { action, rule, tool, text, confirmToken = null }) {
+    super(message);
+    this.name = 'PolicyError';
+    this.action = action;
+    this.rule = rule;
+    this.tool = tool;
+    this.text = text;
+    this.confirmToken = confirmToken;
+  }
+}
+
+// Split a command line into simple commands, each an argv array. Quotes and
+// backslashes are honored; ;, &, |, newlines and parentheses separate
+// commands. This is not a full shell parser: substitutions are left as words,
+// which pattern rules can still catch.
+function splitCommands(text) {
+  const commands = [];
+  let argv = [];
+  let word = null;
+  let quote = null;
+  const endWord = () => {
+    if (word !== null) argv.push(word);
+    word = null;
+  };
+  const endCommand = () => {
+    endWord();
+    if (argv.length > 0) commands.push(argv);
+    argv = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < text.length) {
+        word += text[++i];
+      } else {
+        word += char;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+      word = word === null ? '' : word;
+    } else if (char === '\\' && i + 1 < text.length) {
+      word = (word === null ? '' : word) + text[++i];
+    } else if (/[;&|\n()]/.test(char)) {
+      endCommand();
+    } else if (/\s/.test(char)) {
+      endWord();
+    } else {
+      word = (word === null ? '' : word) + char;
+    }
+  }
+  endCommand();
+  return commands;
+}
+
+function basename(program) {
+  return program.slice(program.lastIndexOf('/') + 1);
+}
+
+// The command line a shell or eval runs for `argv`, or null
+function innerCommandLine(argv) {
+  const program = basename(argv[0]);
+  if (program === 'eval') {
+    return argv.slice(1).join(' ');
+  }
+  if (!SHELLS.includes(program)) return null;
+  for (let i = 1; i < argv.length && argv[i].startsWith('-'); i++) {
+    if (/^-[A-Za-z]*c[A-Za-z]*$/.test(argv[i])) {
+      return i + 1 < argv.length ? argv[i + 1] : null;
+    }
+  }
+  return null;
+}
+
+// The argv of a command and of what it wraps: `sudo -u me rm -rf x` yields
+// the sudo argv and the rm argv, and `bash -c "rm -rf x"` the bash argv and
+// the rm argv. Leading VAR=value assignments are skipped.
+function candidateArgvs(argv, depth = 0) {
+  const candidates = [];
+  let rest = argv;
+  while (rest.length > 0) {
+    let start = 0;
+    while (start < rest.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[start])) start++;
+    rest = rest.slice(start);
+    if (rest.length === 0) break;
+    candidates.push(rest);
+    const inner = depth < MAX_NESTING ? innerCommandLine(rest) : null;
+    if (inner !== null) {
+      for (const command of splitCommands(inner)) {
+        candidates.push(...candidateArgvs(command, depth + 1));
+      }
+      break;
+    }
+    if (!WRAPPERS.includes(basename(rest[0]))) break;
+    // Skip the wrapper and its options (and option values for sudo -u etc.)
+    let next = 1;
+    while (next < rest.length && (rest[next].startsWith('-') || /^[A-Za-z_][A-Za-z0-9_]*=/.test(rest[next]))) {
+      next += /^-[ugCDhprt]$/.test(rest[next]) ? 2 : 1;
+    }
+    rest = rest.slice(next);
+  }
+  return candidates;
+}
+
+// Does argument token `token` satisfy rule argument `spec`?
+function argumentMatches(spec, token) {
+  if (spec === token) return true;
+  return /^-[A-Za-z0-9]$/.test(spec) && /^-[A-Za-z0-9]+$/.test(token) && token.includes(spec[1]);
+}
+
+function commandRuleMatches(rule, text) {
+  for (const argv of splitCommands(text)) {
+    for (const candidate of candidateArgvs(argv)) {
+      if (!rule.command.includes(basename(candidate[0]))) continue;
+      const args = candidate.slice(1);
+      if (rule.args.every(alternatives => alternatives.some(spec => args.some(token => argumentMatches(spec, token))))) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function ruleMatches(rule, kind, text) {
+  if (!rule.applies_to.includes(kind)) return false;
+  if (rule.pattern && !rule.pattern.test(text)) return false;
+  if (rule.command && !commandRuleMatches(rule, text)) return false;
+  return true;
+}
+
+// Check a policy object and compile its rules
+function compilePolicy(policy, source = 'policy') {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`${source} must be a JSON object`);
+  }
+  const defaultAction = policy.default === undefined ? 'allow' : policy.default;
+  if (!ACTIONS.includes(defaultAction)) {
+    throw new Error(`${source}: default must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+    throw new Error(`${source}: rules must be an array`);
+  }
+
+  const rules = (policy.rules || []).map((rule, i) => {
+    const where = `${source}: rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    if (!ACTIONS.includes(rule.action)) {
+      throw new Error(`${where}.action must be one of ${ACTIONS.join(', ')}`);
+    }
+    if (rule.pattern === undefined && rule.command === undefined) {
+      throw new Error(`${where} needs a pattern or a command`);
+    }
+    const compiled = { name: rule.name || `rules[${i}]`, action: rule.action, description: rule.description || null };
+    if (rule.pattern !== undefined) {
+      try {
+        // A global or sticky regex would carry lastIndex from one test to the next
+        compiled.pattern = new RegExp(rule.pattern, String(rule.flags || '').replace(/[gy]/g, ''));
+      } catch (error) {
+        throw new Error(`${where}.pattern: ${error.message}`);
+      }
+    }
+    if (rule.command !== undefined) {
+      compiled.command = [].concat(rule.command);
+      if (compiled.command.some(name => typeof name !== 'string' || name === '')) {
+        throw new Error(`${where}.command must be a program name or a list of them`);
+      }
+      compiled.args = (rule.args || []).map(entry => [].concat(entry));
+      if (compiled.args.some(alternatives => alternatives.some(spec => typeof spec !== 'string'))) {
+        throw new Error(`${where}.args must be a list of strings or lists of strings`);
+      }
+    }
+    compiled.applies_to = rule.applies_to === undefined
+      ? (compiled.command ? ['command'] : KINDS)
+      : [].concat(rule.applies_to);
+    if (compiled.applies_to.some(kind => !KINDS.includes(kind))) {
+      throw new Error(`${where}.applies_to must list any of ${KINDS.join(', ')}`);
+    }
+    return compiled;
+  });
+
+  return { default: defaultAction, rules };
+}
+
+// Load a policy file, or return null when `optional` and it does not exist
+function loadPolicy(file, { optional = false } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') return null;
+    throw new Error(`Cannot read policy file ${file}: ${error.message}`);
+  }
+  let policy;
+  try {
+    policy = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Policy file ${file} is not valid JSON: ${error.message}`);
+  }
+  return compilePolicy(policy, file);
+}
+
+// The decision for each text: {action, rule} with the strictest matching
+// rule, or the default when none match
+function evaluate(policy, kind, text) {
+  let decision = { action: policy.default, rule: null };
+  for (const rule of policy.rules) {
+    if (ruleMatches(rule, kind, text) && (decision.rule === null || ACTIONS.indexOf(rule.action) > ACTIONS.indexOf(decision.action))) {
+      decision = { action: rule.action, rule };
+    }
+  }
+  return decision;
+}
+
+// Confirmation tokens are signed with a per-process secret and expire, so a
+// token only ever approves the exact call it was issued for
+function createConfirmations(secret = crypto.randomBytes(32)) {
+  const sign = (tool, texts, expires) => crypto.createHmac('sha256', secret)
+    .update(JSON.stringify([tool, texts, expires]))
+    .digest('hex')
+    .slice(0, 32);
+
+  return {
+    issue(tool, texts) {
+      const expires = Date.now() + CONFIRM_TTL;
+      return `${expires.toString(36)}.${sign(tool, texts, expires)}`;
+    },
+
+    verify(token, tool, texts) {
+      const [expiresText, signature] = String(token).split('.');
+      const expires = parseInt(expiresText, 36);
+      if (!signature || !Number.isFinite(expires) || expires < Date.now()) return false;
+      const expected = Buffer.from(sign(tool, texts, expires));
+      const given = Buffer.from(signature);
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+  };
+}
+
+// Describe a rule for error payloads
+function describeRule(rule) {
+  if (!rule) return null;
+  return {
+    name: rule.name,
+    action: rule.action,
+    description: rule.description,
+    pattern: rule.pattern ? rule.pattern.source : undefined,
+    command: rule.command,
+    args: rule.args
+  };
+}
+
+module.exports = {
+  PolicyError,
+  splitCommands,
+  compilePolicy,
+  loadPolicy,
+  evaluate,
+  createConfirmations,
+  describeRule,
+};
@@ -0,0 +1,162 @@
+// MCP prompts.
+//
+// Parameterized instructions for common Terminal workflows. Each prompt
+// embeds live data read when it is requested: a tab's screen, scrollback and
+// processes, or the current windows. `live` is supplied by TerminalMCPServer:
+//
+//   live.tab(property)   the decoded value of a property of the targeted tab
+//   live.inventory()     {windows, settings} as read by the resources module
+//
+// The tab is named by the `window` and `tab` arguments, as specifier strings
+// like the tools take ("window id 1234", "tab 2"); without them, the
+// selected tab of the front window.
+
+const DEFAULT_HISTORY_LINES = 200;
+const DEFAULT_SUMMARY_LINES = 1000;
+
+const TAB_ARGUMENTS = [
+  { name: 'window', description: 'Window containing the tab, e.g. "window id 1234" or "window 1" (default: the front window)', required: false },
+  { name: 'tab', description: 'The tab, e.g. "tab 2" (default: the selected tab)', required: false }
+];
+
+// The last `count` lines of text, with a note of how many were left out
+function lastLines(text, count) {
+  const lines = String(text || '').replace(/\s+$/, '').split('\n');
+  if (lines.length <= count) return lines.join('\n');
+  return `[... ${lines.length - count} earlier lines omitted ...]\n${lines.slice(-count).join('\n')}`;
+}
+
+function lineCount(args, name, fallback) {
+  return args[name] === undefined || args[name] === '' ? fallback : Number(args[name]);
+}
+
+function fenced(label, text) {
+  return `${label}:\n\`\`\`\n${text}\n\`\`\``;
+}
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+const PROMPTS = [
+  {
+    name: 'diagnose_failing_command',
+    description: 'Diagnose why the last command in a Terminal tab failed, using its screen, recent scrollback and running processes',
+    arguments: [
+      ...TAB_ARGUMENTS,
+      { name: 'command', description: 'The command that failed, if it is not obvious from the scrollback', required: false },
+      { name: 'history_lines', description: `How many lines of scrollback to include (default ${DEFAULT_HISTORY_LINES})`, required: false, type: 'integer' }
+    ],
+    async messages(args, live) {
+      const count = lineCount(args, 'history_lines', DEFAULT_HISTORY_LINES);
+      const [contents, history, processes, busy] = await Promise.all([
+        live.tab('contents'), live.tab('history'), live.tab('processes'), live.tab('busy')
+      ]);
+      const processList = Array.isArray(processes) && processes.length > 0 ? processes.join(', ') : 'none';
+      return {
+        description: 'Diagnose a failing command',
+        messages: [userMessage([
+          args.command
+            ? `The command \`${args.command}\` failed in this Terminal tab.`
+            : 'The last command run in this Terminal tab failed.',
+          'Find the error in the output below, explain its most likely cause, and give the exact commands or changes that would fix it. If the output is not enough to tell, say what to run next to narrow it down.',
+          `The tab is ${busy === true ? 'still running a process' : 'idle'}; its processes: ${processList}.`,
+          fenced('Visible screen', contents || ''),
+          fenced(`Recent scrollback (last ${count} lines)`, lastLines(history, count))
+        ].join('\n\n'))]
+      };
+    }
+  },
+  {
+    name: 'summarize_scrollback',
+    description: 'Summarize what happened in a Terminal tab from its scrollback',
+    arguments: [
+      ...TAB_ARGUMENTS,
+      { name: 'focus', description: 'What the summary should concentrate on, e.g. "test failures" or "deploy steps"', required: false },
+      { name: 'max_lines', description: `How many lines of scrollback to include (default ${DEFAULT_SUMMARY_LINES})`, required: false, type: 'integer' }
+    ],
+    async messages(args, live) {
+      const count = lineCount(args, 'max_lines', DEFAULT_SUMMARY_LINES);
+      const history = await live.tab('history');
+      return {
+        description: 'Summarize a tab\'s scrollback',
+        messages: [userMessage([
+          'Summarize the Terminal session below: the commands that were run, what each did, and whether it succeeded. List any errors or warnings that still need attention, and end with the state the session was left in.',
+          args.focus ? `Concentrate on: ${args.focus}.` : null,
+          fenced(`Scrollback (last ${count} lines)`, lastLines(history, count))
+        ].filter(Boolean).join('\n\n'))]
+      };
+    }
+  },
+  {
+    name: 'dev_workspace',
+    description: 'Set up a development workspace of Terminal windows and tabs from a layout description',
+    arguments: [
+      { name: 'layout', description: 'The workspace to build, e.g. "editor, dev server and test watcher tabs in one window" or a JSON list of windows and tabs with their commands', required: true },
+      { name: 'directory', description: 'Project directory every tab should start in', required: false },
+      { name: 'settings', description: 'Settings set (profile) to use for new tabs', required: false }
+    ],
+    async messages(args, live) {
+      const inventory = await live.inventory();
+      const windows = inventory.windows.map(window => ({
+        id: window.id,
+        name: window.name,
+        tabs: window.tabs.map(tab => ({ index: tab.index, tty: tab.tty, busy: tab.busy, settings: tab.settings }))
+      }));
+      return {
+        description: 'Set up a dev workspace',
+        messages: [userMessage([
+          'Set up this development workspace in Terminal using the available tools: create the windows and tabs with make_window and make_tab_of_window, start each tab\'s command with do_script or run_command, and name tabs with set_custom_title_of_tab_of_window. Reuse idle tabs that already fit instead of opening duplicates, and leave busy tabs alone.',
+          `Layout:\n${args.layout}`,
+          args.directory ? `Start every tab in ${args.directory} (cd there before running its command).` : null,
+          args.settings ? `Use the "${args.settings}" settings set for new tabs.` : null,
+          fenced('Current windows', JSON.stringify(windows, null, 2)),
+          `Available settings sets: ${inventory.settings.map(set => set.name).join(', ') || 'none'}.`
+        ].filter(Boolean).join('\n\n'))]
+      };
+    }
+  }
+];
+
+function findPrompt(name) {
+  return PROMPTS.find(prompt => prompt.name === name) || null;
+}
+
+// Definitions for prompts/list. Prompt arguments are always strings; `type`
+// is only checked here.
+function listPrompts() {
+  return PROMPTS.map(({ name, description, arguments: args }) => ({
+    name,
+    description,
+    arguments: args.map(({ name, description, required }) => ({ name, description, required }))
+  }));
+}
+
+// Problems with the arguments given for a prompt, as messages
+function validatePromptArguments(prompt, args) {
+  const problems = [];
+  for (const argument of prompt.arguments) {
+    const value = args[argument.name];
+    if (value === undefined || value === '') {
+      if (argument.required) problems.push(`${argument.name} is required`);
+      continue;
+    }
+    if (typeof value !== 'string') {
+      problems.push(`${argument.name} must be a string`);
+    } else if (argument.type === 'integer' && !/^[1-9]\d*$/.test(value.trim())) {
+      problems.push(`${argument.name} must be a positive integer`);
+    }
+  }
+  for (const name of Object.keys(args)) {
+    if (!prompt.arguments.some(argument => argument.name === name)) {
+      problems.push(`unexpected argument ${name}`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  findPrompt,
+  listPrompts,
+  validatePromptArguments,
+};
@@ -0,0 +1,169 @@
+// Property descriptors for Terminal's scriptable classes.
+//
+// Every `get_<property>_of_<class>` and `set_<property>_of_<class>` tool is
+// derived from the descriptor table in dictionary.json: its name,
+// inputSchema, argument validation, generated script and dispatch. That file
+// is generated from Terminal's scripting dictionary by
+// scripts/generate-tools.js; adding a property means regenerating it.
+
+const dictionary = require('./dictionary.json');
+const { FORMATS: COLOR_FORMATS } = require('./colors');
+
+// AppleScript property types: the suffix of the setter's value argument, its
+// JSON schema type and any hint on the accepted formats. Types naming a class
+// are object specifiers and are passed to AppleScript unquoted.
+const TYPES = {
+  'text': { arg: 'text', schema: 'string' },
+  'integer': { arg: 'integer', schema: 'number' },
+  'real': { arg: 'real', schema: 'number' },
+  'boolean': { arg: 'boolean', schema: 'boolean' },
+  'point': { arg: 'point', schema: 'string' },
+  'rectangle': { arg: 'rectangle', schema: 'string' },
+  'color': { arg: 'color', schema: 'string', hint: COLOR_FORMATS },
+  'date': { arg: 'date', schema: 'string' },
+  'file': { arg: 'file', schema: 'string' }
+};
+
+function snakeCase(words) {
+  return words.replace(/ /g, '_');
+}
+
+// Scriptable classes keyed like `tab_of_window`, with the arguments that
+// locate an instance: the class itself followed by its containers
+function buildClasses(classes) {
+  const result = {};
+  for (const entry of classes) {
+    const chain = [entry.name, ...entry.containers];
+    result[entry.key] = {
+      name: entry.name,
+      targets: chain.map((name, i) => ({
+        arg: `target_${snakeCase(name)}_required_string`,
+        key: snakeCase(name),
+        description: i === 0 ? `The ${name} object` : `The ${name} containing the ${chain[i - 1]}`
+      }))
+    };
+  }
+  return result;
+}
+
+// Lists are passed as text; class-typed values are references
+function typeInfo(type, classes = CLASSES) {
+  if (TYPES[type]) return TYPES[type];
+  if (type.startsWith('list of ')) return { arg: 'text', schema: 'string' };
+  const isClass = Object.values(classes).some(cls => cls.name === type);
+  return { arg: snakeCase(type), schema: 'string', reference: isClass };
+}
+
+// Name of the setter's value argument, e.g. `value_required_rectangle`
+function valueArgName(descriptor, classes = CLASSES) {
+  return `value_required_${typeInfo(descriptor.type, classes).arg}`;
+}
+
+// Example selectors for the classes that can be targeted with one
+const SELECTOR_EXAMPLES = {
+  'window': '{"window": {"id": 1234}}, {"window": {"name": "build"}} or {"window": "front"}',
+  'tab': '{"window": {"id": 1234}, "tab": {"index": 2}}, {"tab": {"tty": "/dev/ttys003"}} or {"tab": "selected"} (the front window\'s selected tab)',
+  'document': '{"document": {"name": "build"}} or {"document": "front"}',
+  'settings set': '{"settings_set": {"name": "Homebrew"}} or {"settings_set": "default"}'
+};
+
+// Schema for the `target` selector argument of a class, or null if the class
+// is not selectable
+function selectorProperty(className) {
+  if (!SELECTOR_EXAMPLES[className]) return null;
+  return {
+    type: 'object',
+    description: `Selector for the ${className}, used instead of the target_* strings, e.g. ${SELECTOR_EXAMPLES[className]}`
+  };
+}
+
+function buildPropertyTool(descriptor, access, classes) {
+  const cls = classes[descriptor.class];
+  const properties = {};
+  const required = [];
+  const selector = selectorProperty(cls.name);
+
+  for (const target of cls.targets) {
+    properties[target.arg] = {
+      type: 'string',
+      description: target.description
+    };
+    // A selector can stand in for the target strings
+    if (!selector) required.push(target.arg);
+  }
+  if (selector) {
+    properties.target = selector;
+  }
+
+  if (access === 'set') {
+    const info = typeInfo(descriptor.type, classes);
+    properties[valueArgName(descriptor, classes)] = {
+      type: info.schema,
+      description: `New value for ${descriptor.description}${info.hint ? ` Accepts ${info.hint}.` : ''}`
+    };
+    required.push(valueArgName(descriptor, classes));
+  }
+
+  return {
+    name: `${access}_${snakeCase(descriptor.property)}_of_${descriptor.class}`,
+    description: `${access === 'get' ? 'Get' : 'Set'} ${descriptor.description}`,
+    inputSchema: {
+      type: 'object',
+      properties,
+      required,
+      additionalProperties: false
+    }
+  };
+}
+
+// Tool definitions and dispatch entries for every property, in table order
+function buildPropertyTools(dict) {
+  const classes = buildClasses(dict.classes);
+  const tools = new Map();
+  for (const descriptor of dict.properties) {
+    if (!classes[descriptor.class]) {
+      throw new Error(`Property '${descriptor.property}' refers to unknown class ${descriptor.class}`);
+    }
+    const accesses = descriptor.access === 'r' ? ['get'] : ['get', 'set'];
+    for (const access of accesses) {
+      const tool = buildPropertyTool(descriptor, access, classes);
+      tools.set(tool.name, { descriptor, access, tool });
+    }
+  }
+  return tools;
+}
+
+const CLASSES = buildClasses(dictionary.classes);
+const PROPERTIES = dictionary.properties;
+const PROPERTY_TOOLS = buildPropertyTools(dictionary);
+
+function getPropertyTools() {
+  return Array.from(PROPERTY_TOOLS.values(), entry => entry.tool);
+}
+
+function findPropertyTool(name) {
+  return PROPERTY_TOOLS.get(name) || null;
+}
+
+function findProperty(className, property) {
+  const descriptor = PROPERTIES.find(d => d.class === className && d.property === property);
+  if (!descriptor) {
+    throw new Error(`Unknown property '${property}' of ${className}`);
+  }
+  return descriptor;
+}
+
+module.exports = {
+  CLASSES,
+  TYPES,
+  PROPERTIES,
+  buildClasses,
+  buildPropertyTools,
+  snakeCase,
+  typeInfo,
+  getPropertyTools,
+  findPropertyTool,
+  findProperty,
+  valueArgName,
+  selectorProperty,
+};
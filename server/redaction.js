@@ -0,0 +1,251 @@
+// Secret redaction for text the server returns.
+//
+// Every string in a tool's result is run through a list of detectors and each
+// hit is replaced with a typed placeholder such as `[REDACTED:aws_access_key]`.
+// Built-in detectors cover AWS keys, GitHub tokens, JWTs, private-key blocks,
+// bearer tokens, `NAME=value` assignments of secret-looking names (as in .env
+// files) and high-entropy strings. A redaction file adds named regexes and
+// picks the detectors per tool:
+//
+//   {
+//     "detectors": ["aws_access_key", "github_token", "internal_host"],
+//     "patterns": [{"name": "internal_host", "pattern": "\\b[a-z0-9-]+\\.corp\\.example\\.com\\b", "flags": "i"}],
+//     "entropy": {"min_length": 24, "threshold": 4.2},
+//     "tools": {
+//       "get_name_of_window": false,
+//       "run_command": {"detectors": ["aws_access_key", "private_key"]}
+//     }
+//   }
+//
+// `detectors` defaults to every built-in detector and every pattern. A tool
+// set to false is not redacted. Resource reads and prompts are configured as
+// "resources/read" and "prompts/get". Audit log entries always get the
+// default detectors.
+//
+// Texts known to be secret, such as expect_script sends marked secret, are
+// masked separately with `maskTexts`, wherever they appear.
+
+const fs = require('fs');
+const { encodeValue } = require('./applescript');
+
+// Result fields that carry the server's own data rather than terminal text;
+// cursors and tokens would stop working if redacted
+const PRESERVED_KEYS = new Set(['cursor', 'confirm_token', 'tool', 'file', 'directory', 'uri']);
+const MASK = '********';
+
+const SECRET_NAME = '[A-Za-z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIALS?)[A-Za-z0-9_]*';
+
+// Built-in detectors. `group` names the capture group to replace when only
+// part of the match is secret.
+const BUILTIN_DETECTORS = [
+  {
+    name: 'private_key',
+    pattern: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----[\s\S]*?(?:-----END \1PRIVATE KEY\2-----|$)/g
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  {
+    name: 'aws_access_key',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g
+  },
+  {
+    name: 'aws_secret_key',
+    pattern: /\b(aws_?secret_?access_?key|aws_?secret)(\s*[=:]\s*["']?)([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    group: 3
+  },
+  {
+    name: 'github_token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+  },
+  {
+    name: 'bearer_token',
+    pattern: /\b(Bearer\s+)([A-Za-z0-9._~+/=-]{8,})/g,
+    group: 2
+  },
+  {
+    name: 'secret_assignment',
+    // Values an earlier detector already replaced are left as they are
+    pattern: new RegExp(`\\b(${SECRET_NAME})(\\s*[=:]\\s*)(?!\\[REDACTED:)("[^"\\n]*"|'[^'\\n]*'|[^\\s"',;&|]+)`, 'gi'),
+    group: 3
+  },
+  {
+    name: 'high_entropy',
+    pattern: /(?<![A-Za-z0-9+/=_~.-])[A-Za-z0-9+/=_-]{16,}(?![A-Za-z0-9+/=_-])/g,
+    entropy: true
+  }
+];
+
+const DEFAULT_ENTROPY = { min_length: 24, threshold: 4.2 };
+
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = new Map();
+  for (const char of text) counts.set(char, (counts.get(char) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// A random-looking token: long, mixing upper and lower case letters and
+// digits, with high entropy. Hex digests and UUIDs have no upper case and
+// are left alone, as are absolute paths and command-line options.
+function looksRandom(token, { min_length: minLength, threshold }) {
+  return token.length >= minLength && !/^[/-]/.test(token) &&
+    /[A-Z]/.test(token) && /[a-z]/.test(token) && /[0-9]/.test(token) &&
+    entropy(token) >= threshold;
+}
+
+function compilePattern(entry, where) {
+  if (!entry || typeof entry.name !== 'string' || entry.name === '' || typeof entry.pattern !== 'string') {
+    throw new Error(`${where} must have a name and a pattern`);
+  }
+  if (BUILTIN_DETECTORS.some(detector => detector.name === entry.name)) {
+    throw new Error(`${where}: ${entry.name} is a built-in detector`);
+  }
+  const flags = String(entry.flags || '').replace(/g/g, '');
+  try {
+    return { name: entry.name, pattern: new RegExp(entry.pattern, flags + 'g') };
+  } catch (error) {
+    throw new Error(`${where}.pattern: ${error.message}`);
+  }
+}
+
+// Check a redaction settings object and resolve its detector names
+function compileRedaction(settings = {}, source = 'redaction settings') {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${source} must be a JSON object`);
+  }
+  const patterns = (settings.patterns || []).map((entry, i) => compilePattern(entry, `${source}: patterns[${i}]`));
+  const detectors = new Map([...BUILTIN_DETECTORS, ...patterns].map(detector => [detector.name, detector]));
+  const pick = (names, where) => {
+    if (!Array.isArray(names)) {
+      throw new Error(`${where} must be a list of detector names`);
+    }
+    return names.map(name => {
+      if (!detectors.has(name)) {
+        throw new Error(`${where}: unknown detector '${name}'; known: ${Array.from(detectors.keys()).join(', ')}`);
+      }
+      return detectors.get(name);
+    });
+  };
+
+  const defaults = settings.detectors === undefined
+    ? Array.from(detectors.values())
+    : pick(settings.detectors, `${source}: detectors`);
+  const tools = new Map();
+  for (const [tool, entry] of Object.entries(settings.tools || {})) {
+    if (entry === false) {
+      tools.set(tool, []);
+    } else if (entry && typeof entry === 'object' && entry.detectors !== undefined) {
+      tools.set(tool, pick(entry.detectors, `${source}: tools.${tool}.detectors`));
+    } else if (entry !== true && !(entry && typeof entry === 'object')) {
+      throw new Error(`${source}: tools.${tool} must be false, true or {"detectors": [...]}`);
+    }
+  }
+  const entropyOptions = { ...DEFAULT_ENTROPY, ...(settings.entropy || {}) };
+  if (!Number.isInteger(entropyOptions.min_length) || entropyOptions.min_length < 1 || typeof entropyOptions.threshold !== 'number') {
+    throw new Error(`${source}: entropy needs an integer min_length and a numeric threshold`);
+  }
+
+  return { defaults, tools, entropy: entropyOptions };
+}
+
+// Load a redaction file, or return null when `optional` and it does not exist
+function loadRedaction(file, { optional = false } = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') return null;
+    throw new Error(`Cannot read redaction file ${file}: ${error.message}`);
+  }
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Redaction file ${file} is not valid JSON: ${error.message}`);
+  }
+  return compileRedaction(settings, file);
+}
+
+// Replace each detector's hits in `text`, counting them by detector name
+function redactText(text, detectors, entropyOptions, counts) {
+  let result = text;
+  for (const detector of detectors) {
+    detector.pattern.lastIndex = 0;
+    result = result.replace(detector.pattern, (...match) => {
+      if (detector.entropy && !looksRandom(match[0], entropyOptions)) return match[0];
+      counts[detector.name] = (counts[detector.name] || 0) + 1;
+      const placeholder = `[REDACTED:${detector.name}]`;
+      if (!detector.group) return placeholder;
+      // Keep the text around the secret group (the variable name and `=`)
+      return match.slice(1, detector.group).join('') + placeholder;
+    });
+  }
+  return result;
+}
+
+// A redactor for compiled settings (built-in defaults when null). `redact`
+// returns a copy of `value` with every string redacted, and the count of
+// redactions by detector.
+function createRedactor(compiled) {
+  const settings = compiled || compileRedaction();
+  return {
+    redact(tool, value) {
+      const detectors = settings.tools.has(tool) ? settings.tools.get(tool) : settings.defaults;
+      const counts = {};
+      const walk = (item, key) => {
+        if (typeof item === 'string') {
+          return PRESERVED_KEYS.has(key) ? item : redactText(item, detectors, settings.entropy, counts);
+        }
+        if (Array.isArray(item)) return item.map(entry => walk(entry, key));
+        if (item && typeof item === 'object') {
+          return Object.fromEntries(Object.entries(item).map(([name, entry]) => [name, PRESERVED_KEYS.has(name) ? entry : walk(entry, name)]));
+        }
+        return item;
+      };
+      const redacted = detectors.length > 0 ? walk(value, null) : value;
+      const count = Object.values(counts).reduce((sum, n) => sum + n, 0);
+      return { value: redacted, count, counts };
+    }
+  };
+}
+
+// Copy of `value` with each of `texts` masked in every string, also in the
+// escaped form it takes inside a generated script
+function maskTexts(value, texts) {
+  const forms = new Set();
+  for (const text of texts) {
+    if (typeof text !== 'string' || text === '') continue;
+    forms.add(text);
+    forms.add(encodeValue('text', text).slice(1, -1));
+  }
+  if (forms.size === 0) return value;
+  const pattern = new RegExp(Array.from(forms)
+    .sort((a, b) => b.length - a.length)
+    .map(form => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|'), 'g');
+
+  const walk = item => {
+    if (typeof item === 'string') return item.replace(pattern, MASK);
+    if (Array.isArray(item)) return item.map(walk);
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, walk(entry)]));
+    }
+    return item;
+  };
+  return walk(value);
+}
+
+module.exports = {
+  BUILTIN_DETECTORS,
+  maskTexts,
+  compileRedaction,
+  loadRedaction,
+  createRedactor,
+};
@@ -0,0 +1,229 @@
+// MCP resources.
+//
+// Terminal state a client can attach as context instead of calling getters:
+//
+//   terminal://windows                              every window and its tabs (JSON)
+//   terminal://window/{id}/tab/{n}/contents         a tab's visible screen (text)
+//   terminal://window/{id}/tab/{n}/history          a tab's scrollback (text)
+//   terminal://settings/{name}                      a settings set's properties (JSON)
+//
+// This module maps URIs to the scripts that read them and turns script
+// output into resource contents; TerminalMCPServer handles the protocol.
+
+const { PROPERTIES } = require('./properties');
+const { encodeValue, decodeValue } = require('./applescript');
+
+const SCHEME = 'terminal://';
+
+// Separators for multi-field script output: fields within a row, then rows.
+// Neither occurs in window titles, ttys or settings values.
+const FIELD_SEPARATOR = '\u001f';
+const ROW_SEPARATOR = '\u001e';
+
+const TEMPLATES = [
+  {
+    uriTemplate: 'terminal://window/{id}/tab/{n}/contents',
+    name: 'Tab contents',
+    description: 'The currently visible contents of tab n of the window with the given id',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'terminal://window/{id}/tab/{n}/history',
+    name: 'Tab history',
+    description: 'The entire scrollback buffer of tab n of the window with the given id',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'terminal://settings/{name}',
+    name: 'Settings set',
+    description: 'The properties of the settings set (profile) with the given name',
+    mimeType: 'application/json'
+  }
+];
+
+// Settings set properties reported by terminal://settings/{name}
+const SETTINGS_PROPERTIES = PROPERTIES.filter(descriptor => descriptor.class === 'settings_set');
+
+function tabUri(windowId, tab, kind) {
+  return `${SCHEME}window/${windowId}/tab/${tab}/${kind}`;
+}
+
+function settingsUri(name) {
+  return `${SCHEME}settings/${encodeURIComponent(name)}`;
+}
+
+// What a URI refers to, or null if it names no resource this server has:
+// {kind: 'windows'}, {kind: 'contents'|'history', windowId, tab} or
+// {kind: 'settings', name}
+function parseResourceUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(SCHEME)) return null;
+  const path = uri.slice(SCHEME.length);
+  if (path === 'windows') {
+    return { kind: 'windows' };
+  }
+  const tab = /^window\/(\d+)\/tab\/(\d+)\/(contents|history)$/.exec(path);
+  if (tab) {
+    const index = Number(tab[2]);
+    return index < 1 ? null : { kind: tab[3], windowId: Number(tab[1]), tab: index };
+  }
+  const settings = /^settings\/([^/]+)$/.exec(path);
+  if (settings) {
+    try {
+      return { kind: 'settings', name: decodeURIComponent(settings[1]) };
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// One script listing every window, its tabs and every settings set, as rows
+// of fields: `window id index name`, `tab windowId index tty busy selected
+// customTitle settingsName` and `settings id name`
+const INVENTORY_SCRIPT = `
+      tell application "Terminal"
+        set fs to character id 31
+        set rows to {}
+        repeat with wi from 1 to count of windows
+          set w to window wi
+          set wid to id of w
+          set end of rows to "window" & fs & wid & fs & wi & fs & (name of w)
+          repeat with ti from 1 to count of tabs of w
+            set t to tab ti of w
+            set end of rows to "tab" & fs & wid & fs & ti & fs & (tty of t) & fs & (busy of t) & fs & (selected of t) & fs & ((custom title of t) as text) & fs & (name of current settings of t)
+          end repeat
+        end repeat
+        repeat with s in settings sets
+          set end of rows to "settings" & fs & (id of s) & fs & (name of s)
+        end repeat
+        set AppleScript's text item delimiters to character id 30
+        return rows as text
+      end tell
+    `;
+
+// Parse INVENTORY_SCRIPT output into {windows: [{id, index, name, tabs}],
+// settings: [{id, name}]}
+function parseInventory(output) {
+  const windows = [];
+  const settings = [];
+  const byId = new Map();
+  for (const row of output.split(ROW_SEPARATOR)) {
+    const fields = row.split(FIELD_SEPARATOR);
+    if (fields[0] === 'window') {
+      const window = { id: Number(fields[1]), index: Number(fields[2]), name: fields[3], tabs: [] };
+      windows.push(window);
+      byId.set(window.id, window);
+    } else if (fields[0] === 'tab') {
+      const window = byId.get(Number(fields[1]));
+      if (!window) continue;
+      const index = Number(fields[2]);
+      window.tabs.push({
+        index,
+        tty: fields[3],
+        busy: fields[4] === 'true',
+        selected: fields[5] === 'true',
+        custom_title: decodeValue('text', fields[6]),
+        settings: fields[7],
+        contents_uri: tabUri(window.id, index, 'contents'),
+        history_uri: tabUri(window.id, index, 'history')
+      });
+    } else if (fields[0] === 'settings') {
+      settings.push({ id: Number(fields[1]), name: fields[2], uri: settingsUri(fields[2]) });
+    }
+  }
+  return { windows, settings };
+}
+
+// Concrete resources for resources/list
+function listResources(inventory) {
+  const resources = [{
+    uri: `${SCHEME}windows`,
+    name: 'Terminal windows',
+    description: 'Every Terminal window with its tabs',
+    mimeType: 'application/json'
+  }];
+  for (const window of inventory.windows) {
+    for (const tab of window.tabs) {
+      const title = `${window.name} (tab ${tab.index})`;
+      resources.push(
+        { uri: tab.contents_uri, name: `Contents of ${title}`, mimeType: 'text/plain' },
+        { uri: tab.history_uri, name: `History of ${title}`, mimeType: 'text/plain' }
+      );
+    }
+  }
+  for (const set of inventory.settings) {
+    resources.push({ uri: set.uri, name: `Settings set ${set.name}`, mimeType: 'application/json' });
+  }
+  return resources;
+}
+
+function tabTextScript(kind, windowId, tab) {
+  return `
+      tell application "Terminal"
+        return ${kind} of tab ${tab} of window id ${windowId}
+      end tell
+    `;
+}
+
+// Every settings set property as text, in SETTINGS_PROPERTIES order; lists
+// and colors come out as ", "-separated items, as decodeValue expects
+function settingsScript(name) {
+  const reads = SETTINGS_PROPERTIES.map(descriptor =>
+    `        set end of values to (${descriptor.property} of s) as text`);
+  return `
+      tell application "Terminal"
+        set s to settings set ${encodeValue('text', name)}
+        set AppleScript's text item delimiters to ", "
+        set values to {}
+${reads.join('\n')}
+        set AppleScript's text item delimiters to character id 30
+        return values as text
+      end tell
+    `;
+}
+
+function parseSettings(output) {
+  const values = output.split(ROW_SEPARATOR);
+  const result = {};
+  SETTINGS_PROPERTIES.forEach((descriptor, i) => {
+    result[descriptor.property.replace(/ /g, '_')] = decodeValue(descriptor.type, values[i] === undefined ? '' : values[i]);
+  });
+  return result;
+}
+
+// The script that reads a parsed resource, the tool whose default timeout it
+// runs under and a function turning its output into {mimeType, text}
+function resourceReader(resource) {
+  switch (resource.kind) {
+    case 'windows':
+      return {
+        script: INVENTORY_SCRIPT,
+        timeoutTool: 'count_window',
+        render: output => ({ mimeType: 'application/json', text: JSON.stringify(parseInventory(output).windows, null, 2) })
+      };
+    case 'contents':
+    case 'history':
+      return {
+        script: tabTextScript(resource.kind, resource.windowId, resource.tab),
+        timeoutTool: `get_${resource.kind}_of_tab_of_window`,
+        render: output => ({ mimeType: 'text/plain', text: output })
+      };
+    case 'settings':
+      return {
+        script: settingsScript(resource.name),
+        timeoutTool: 'get_name_of_settings_set',
+        render: output => ({ mimeType: 'application/json', text: JSON.stringify(parseSettings(output), null, 2) })
+      };
+    default:
+      throw new Error(`Unknown resource kind '${resource.kind}'`);
+  }
+}
+
+module.exports = {
+  TEMPLATES,
+  INVENTORY_SCRIPT,
+  parseInventory,
+  listResources,
+  parseResourceUri,
+  resourceReader,
+};
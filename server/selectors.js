@@ -0,0 +1,219 @@
+// Structured target selectors.
+//
+// Tools that act on a window, tab, document or settings set accept a JSON
+// selector in place of a specifier string, e.g. `{window: {id: 1234}, tab:
+// {index: 2}}`, `{window: {name: "build"}}`, `{tab: {tty: "/dev/ttys003"}}`
+// or `{tab: "selected"}`. A selector is resolved by asking Terminal for the
+// objects it matches, and must match exactly one of them. Every window has a
+// selected tab, so `{tab: "selected"}` without a window means the front
+// window's.
+
+const { ScriptValueError, Specifier, encodeValue } = require('./applescript');
+
+// A selector that matched no object, or more than one
+class SelectorError extends Error {
+  constructor(message, matches = []) {
+    super(message);
+    this.name = 'SelectorError';
+    this.matches = matches;
+  }
+}
+
+// Selector keys, the element class each names and the fields it can be
+// matched on. Strings are shorthands for common field sets; `defaults` gives
+// a shorthand the outer levels it implies when the selector leaves them out.
+// `key` is the property that identifies a match in the resolved specifier;
+// objects without a stable id are identified by index.
+const LEVELS = {
+  window: {
+    className: 'window',
+    plural: 'windows',
+    key: 'id',
+    fields: { id: 'integer', index: 'integer', name: 'text' },
+    shorthands: { front: { index: 1 } }
+  },
+  tab: {
+    className: 'tab',
+    plural: 'tabs',
+    key: 'index',
+    fields: { index: 'integer', tty: 'text', custom_title: 'text', selected: 'boolean' },
+    shorthands: { selected: { selected: true } },
+    defaults: { selected: { window: 'front' } }
+  },
+  document: {
+    className: 'document',
+    plural: 'documents',
+    key: 'index',
+    fields: { index: 'integer', name: 'text' },
+    shorthands: { front: { index: 1 } }
+  },
+  settings_set: {
+    className: 'settings set',
+    plural: 'settings sets',
+    key: 'id',
+    fields: { id: 'integer', index: 'integer', name: 'text' },
+    shorthands: {}
+  }
+};
+
+// Settings sets the application refers to by property rather than by element
+const SETTINGS_PROPERTIES = { default: 'default settings', startup: 'startup settings' };
+
+// Selector keys from outermost to innermost that locate an object of a class
+const CHAINS = {
+  'window': ['window'],
+  'tab': ['window', 'tab'],
+  'document': ['document'],
+  'settings set': ['settings_set']
+};
+
+function isSelector(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The class a selector refers to when the tool does not fix one, e.g. for
+// `delete`: its innermost key
+function selectorClass(selector) {
+  if (selector.tab !== undefined) return 'tab';
+  const keys = Object.keys(selector);
+  if (keys.length !== 1 || !LEVELS[keys[0]]) {
+    throw new ScriptValueError(`Selector must name one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  return LEVELS[keys[0]].className;
+}
+
+// Check a selector's shape and render each field as an AppleScript literal
+function normalizeSelector(selector, className) {
+  if (!isSelector(selector)) {
+    throw new ScriptValueError("Selector must be an object");
+  }
+  const chain = CHAINS[className];
+  if (!chain) {
+    throw new ScriptValueError(`Selectors cannot target a ${className}`);
+  }
+  for (const key of Object.keys(selector)) {
+    if (!chain.includes(key)) {
+      throw new ScriptValueError(`Unexpected "${key}" in a ${className} selector; expected ${chain.join(', ')}`);
+    }
+  }
+  let scoped = selector;
+  for (const key of chain) {
+    const implied = LEVELS[key].defaults && LEVELS[key].defaults[selector[key]];
+    if (implied) scoped = { ...implied, ...scoped };
+  }
+
+  return chain.map(key => {
+    const level = LEVELS[key];
+    let fields = scoped[key] === undefined ? {} : scoped[key];
+    if (typeof fields === 'string') {
+      if (!level.shorthands[fields]) {
+        const names = Object.keys(level.shorthands);
+        throw new ScriptValueError(names.length > 0
+          ? `${key} selector "${fields}" is not one of ${names.join(', ')}`
+          : `${key} selector must be an object`);
+      }
+      fields = level.shorthands[fields];
+    }
+    if (!isSelector(fields)) {
+      throw new ScriptValueError(`${key} selector must be an object or a string`);
+    }
+    const conditions = Object.entries(fields).map(([field, value]) => {
+      const type = level.fields[field];
+      if (!type) {
+        throw new ScriptValueError(`Cannot select a ${level.className} by "${field}"; use ${Object.keys(level.fields).join(', ')}`);
+      }
+      try {
+        return { field, literal: encodeValue(type, value) };
+      } catch (error) {
+        throw new ScriptValueError(`${key}.${field}: ${error.message}`);
+      }
+    });
+    return { key, level, conditions };
+  });
+}
+
+// AppleScript test for one level's conditions against the loop variables
+function conditionSource(conditions, obj, index) {
+  if (conditions.length === 0) return 'true';
+  return conditions.map(({ field, literal }) => field === 'index'
+    ? `${index} is ${literal}`
+    : `(${field.replace(/_/g, ' ')} of ${obj}) is ${literal}`).join(' and ');
+}
+
+// A script that walks the objects named by the chain and returns one line
+// per match, with each level's key joined by ":"
+function buildResolveScript(levels) {
+  const lines = [];
+  const keys = [];
+  levels.forEach(({ level, conditions }, depth) => {
+    const indent = '  '.repeat(depth * 2);
+    const obj = `obj${depth}`;
+    const index = `i${depth}`;
+    const container = depth === 0 ? '' : ` of obj${depth - 1}`;
+    keys.push(level.key === 'index' ? `(${index} as text)` : `((${level.key} of ${obj}) as text)`);
+    lines.push(`${indent}repeat with ${index} from 1 to count of ${level.plural}${container}`);
+    lines.push(`${indent}  set ${obj} to ${level.className} ${index}${container}`);
+    lines.push(`${indent}  if ${conditionSource(conditions, obj, index)} then`);
+  });
+  lines.push(`${'  '.repeat(levels.length * 2)}set end of matches to ${keys.join(' & ":" & ')}`);
+  for (let depth = levels.length - 1; depth >= 0; depth--) {
+    const indent = '  '.repeat(depth * 2);
+    lines.push(`${indent}  end if`, `${indent}end repeat`);
+  }
+
+  return `
+      tell application "Terminal"
+        set matches to {}
+${lines.map(line => `        ${line}`).join('\n')}
+        set AppleScript's text item delimiters to linefeed
+        return matches as text
+      end tell
+    `;
+}
+
+// Turn a result line such as "1234:2" into a specifier path
+function matchSpecifier(levels, line) {
+  const parts = line.split(':');
+  if (parts.length !== levels.length || parts.some(part => !/^\d+$/.test(part))) {
+    throw new Error(`Unexpected selector result "${line}"`);
+  }
+  const path = levels.map(({ level }, i) => ({
+    class: level.className,
+    form: level.key === 'id' ? 'id' : 'index',
+    value: Number(parts[i])
+  }));
+  return new Specifier(path.reverse());
+}
+
+// Resolve a selector to the specifier of the one object it matches. `run`
+// executes a script and returns its output.
+async function resolveSelector(selector, className, run) {
+  if (!isSelector(selector)) {
+    throw new ScriptValueError("Selector must be an object");
+  }
+  const target = className || selectorClass(selector);
+
+  if (target === 'settings set' && typeof selector.settings_set === 'string' && SETTINGS_PROPERTIES[selector.settings_set]) {
+    return new Specifier([{ class: 'settings set', form: 'property', value: SETTINGS_PROPERTIES[selector.settings_set] }]);
+  }
+
+  const levels = normalizeSelector(selector, target);
+  const output = await run(buildResolveScript(levels));
+  const matches = output.split(/\r?\n/).filter(line => line.trim() !== '').map(line => matchSpecifier(levels, line.trim()));
+
+  const description = JSON.stringify(selector);
+  if (matches.length === 0) {
+    throw new SelectorError(`Selector ${description} matched no ${target}`);
+  }
+  if (matches.length > 1) {
+    const names = matches.map(String);
+    throw new SelectorError(`Selector ${description} matched ${matches.length} objects (${names.join(', ')}); add fields to narrow it to one ${target}`, names);
+  }
+  return matches[0];
+}
+
+module.exports = {
+  SelectorError,
+  isSelector,
+  resolveSelector,
+};
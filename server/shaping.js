@@ -0,0 +1,57 @@
+// How much of a tool result goes back to the client.
+//
+// Tool methods return everything they know: the value, metadata, the
+// generated script and the arguments they were called with. The verbosity
+// level decides what is kept:
+//
+//   minimal  only the value: the script, echoed arguments, empty fields and
+//            the success flag (isError says as much) are dropped, and a
+//            result left with a single field is returned as that field alone
+//   normal   the value and its metadata, without the script
+//   debug    everything, plus each script the call ran with its duration and
+//            raw output
+//
+// The level comes from the server's `verbosity` option or, for one call,
+// from `_meta.verbosity` in the tools/call params.
+
+const VERBOSITY_LEVELS = ['minimal', 'normal', 'debug'];
+
+// Fields that describe the call rather than its result
+const CALL_FIELDS = ['success', 'tool', 'args'];
+
+function isVerbosity(level) {
+  return VERBOSITY_LEVELS.includes(level);
+}
+
+// Shape a result (or error payload) for `level`. `echoed` names the fields
+// that repeat the call's arguments.
+function shapeResult(result, level, echoed = []) {
+  if (level === 'debug' || !result || typeof result !== 'object' || Array.isArray(result)) {
+    return result;
+  }
+  const { script, ...rest } = result;
+  if (level === 'normal') {
+    return rest;
+  }
+
+  const kept = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (CALL_FIELDS.includes(key) || echoed.includes(key) || value === null || value === undefined) continue;
+    kept[key] = value;
+  }
+  const keys = Object.keys(kept);
+  return keys.length === 1 ? kept[keys[0]] : kept;
+}
+
+// The text content for a shaped result: strings as they are, anything else
+// as JSON
+function resultText(shaped) {
+  return typeof shaped === 'string' ? shaped : JSON.stringify(shaped, null, 2);
+}
+
+module.exports = {
+  VERBOSITY_LEVELS,
+  isVerbosity,
+  shapeResult,
+  resultText,
+};
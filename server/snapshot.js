@@ -0,0 +1,125 @@
+// The terminal_snapshot script.
+//
+// One AppleScript that reads every window, its tabs and the settings sets,
+// instead of a count and a getter per object. Each object is one row of
+// fields; lists, bounds and colors are joined with ", " as decodeValue
+// expects. Rows and fields are split on ASCII record and unit separators,
+// which Terminal does not keep in a tab's text.
+
+const { decodeValue } = require('./applescript');
+
+const FIELD_SEPARATOR = '\u001f';
+const ROW_SEPARATOR = '\u001e';
+
+// Fields of each row kind after the kind itself, with their types
+const WINDOW_FIELDS = [
+  ['id', 'integer'], ['index', 'integer'], ['name', 'text'], ['bounds', 'rectangle'],
+  ['frontmost', 'boolean'], ['miniaturized', 'boolean'], ['visible', 'boolean'], ['zoomed', 'boolean']
+];
+const TAB_FIELDS = [
+  ['window_id', 'integer'], ['index', 'integer'], ['tty', 'text'], ['busy', 'boolean'],
+  ['processes', 'list of text'], ['custom_title', 'text'], ['selected', 'boolean'],
+  ['number_of_rows', 'integer'], ['number_of_columns', 'integer'], ['current_settings', 'text']
+];
+const SETTINGS_FIELDS = [['id', 'integer'], ['name', 'text']];
+
+// `includeContents` adds each tab's visible contents; `historyLines` adds
+// the last that many lines of its scrollback (0 for none)
+function buildSnapshotScript({ includeContents = false, historyLines = 0 } = {}) {
+  const extras = [];
+  if (includeContents) {
+    extras.push(`            set end of fields to (contents of t) as text`);
+  }
+  if (historyLines > 0) {
+    // Blank lines below the prompt do not count towards the limit
+    extras.push(
+      `            set h to history of t`,
+      `            set n to count of paragraphs of h`,
+      `            repeat while n > 0 and paragraph n of h is ""`,
+      `              set n to n - 1`,
+      `            end repeat`,
+      `            if n is 0 then`,
+      `              set h to ""`,
+      `            else`,
+      `              set firstLine to n - ${historyLines - 1}`,
+      `              if firstLine < 1 then set firstLine to 1`,
+      `              set AppleScript's text item delimiters to linefeed`,
+      `              set h to (paragraphs firstLine thru n of h) as text`,
+      `              set AppleScript's text item delimiters to ", "`,
+      `            end if`,
+      `            set end of fields to h`
+    );
+  }
+
+  return `
+      tell application "Terminal"
+        set fs to character id 31
+        set rows to {}
+        set AppleScript's text item delimiters to ", "
+        repeat with wi from 1 to count of windows
+          set w to window wi
+          set wid to id of w
+          set end of rows to "window" & fs & wid & fs & wi & fs & (name of w) & fs & ((bounds of w) as text) & fs & (frontmost of w) & fs & (miniaturized of w) & fs & (visible of w) & fs & (zoomed of w)
+          repeat with ti from 1 to count of tabs of w
+            set t to tab ti of w
+            set fields to {"tab", wid as text, ti as text, tty of t, (busy of t) as text, (processes of t) as text, (custom title of t) as text, (selected of t) as text, (number of rows of t) as text, (number of columns of t) as text, name of current settings of t}
+${extras.join('\n')}
+            set AppleScript's text item delimiters to fs
+            set end of rows to fields as text
+            set AppleScript's text item delimiters to ", "
+          end repeat
+        end repeat
+        repeat with s in settings sets
+          set end of rows to "settings" & fs & (id of s) & fs & (name of s)
+        end repeat
+        set end of rows to "defaults" & fs & (name of default settings) & fs & (name of startup settings)
+        set AppleScript's text item delimiters to character id 30
+        return rows as text
+      end tell
+    `;
+}
+
+function decodeFields(spec, values) {
+  const result = {};
+  spec.forEach(([name, type], i) => {
+    result[name] = decodeValue(type, values[i] === undefined ? '' : values[i]);
+  });
+  return result;
+}
+
+// Parse the script's output into {windows, settings_sets, default_settings,
+// startup_settings}; tabs are nested in their windows
+function parseSnapshot(output, { includeContents = false, historyLines = 0 } = {}) {
+  const snapshot = { windows: [], settings_sets: [], default_settings: null, startup_settings: null };
+  const windows = new Map();
+  for (const row of output.split(ROW_SEPARATOR)) {
+    const [kind, ...values] = row.split(FIELD_SEPARATOR);
+    if (kind === 'window') {
+      const window = { ...decodeFields(WINDOW_FIELDS, values), tabs: [] };
+      snapshot.windows.push(window);
+      windows.set(window.id, window);
+    } else if (kind === 'tab') {
+      const { window_id: windowId, ...tab } = decodeFields(TAB_FIELDS, values);
+      const extras = values.slice(TAB_FIELDS.length);
+      if (includeContents) {
+        tab.contents = (extras.shift() || '').replace(/\s+$/, '');
+      }
+      if (historyLines > 0) {
+        tab.history = (extras.shift() || '').replace(/\s+$/, '');
+      }
+      const window = windows.get(windowId);
+      if (window) window.tabs.push(tab);
+    } else if (kind === 'settings') {
+      snapshot.settings_sets.push(decodeFields(SETTINGS_FIELDS, values));
+    } else if (kind === 'defaults') {
+      snapshot.default_settings = values[0] || null;
+      snapshot.startup_settings = values[1] || null;
+    }
+  }
+  return snapshot;
+}
+
+module.exports = {
+  buildSnapshotScript,
+  parseSnapshot,
+};
@@ -0,0 +1,115 @@
+// Incremental scrollback reads for tail_history.
+//
+// A cursor marks how far into a tab's history a client has read. It is an
+// opaque token holding the tab's identity (its tty and window id), the
+// character offset read up to, and a hash of the text just before that
+// offset. The next read returns only what follows the offset; if the history
+// got shorter or the text before the offset changed, the history was cleared
+// (or scrolled out) and the read starts over from the top.
+//
+// Offsets count characters the way AppleScript does and are only ever
+// compared by the script, so they stay consistent whatever the text holds.
+// Trailing blank lines are ignored: they are the empty part of the screen,
+// which later output overwrites.
+
+const crypto = require('crypto');
+const { ScriptValueError } = require('./errors');
+const { encodeValue } = require('./applescript');
+
+const CURSOR_VERSION = 1;
+const ANCHOR_LENGTH = 64;
+const FIELD_SEPARATOR = '\u001f';
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...cursor })).toString('base64url');
+}
+
+function decodeCursor(token) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    cursor = null;
+  }
+  if (!cursor || cursor.v !== CURSOR_VERSION || typeof cursor.tty !== 'string' ||
+      !Number.isInteger(cursor.window_id) || !Number.isInteger(cursor.offset) || cursor.offset < 0 ||
+      typeof cursor.anchor !== 'string') {
+    throw new ScriptValueError("cursor_optional_text is not a cursor returned by tail_history");
+  }
+  return cursor;
+}
+
+function anchorHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// A script that reads the history of `tab` (a specifier, or null to find the
+// tab by `tty` in the window with id `windowId`) after character `offset`.
+// The last `maxLines` lines of the new text are returned with: the tab's tty
+// and window id, the trimmed history length, the anchor text before the old
+// offset and before the new end, and how many lines were left out.
+function buildTailScript({ tab = null, tty = null, windowId = null, offset = 0, maxLines }) {
+  const locate = tab
+    ? `set t to ${tab}\n        set wid to id of ${tab.container}`
+    : `set wid to ${windowId}\n        set t to first tab of window id wid whose tty is ${encodeValue('text', tty)}`;
+  return `
+      tell application "Terminal"
+        ${locate}
+        set h to history of t
+        set n to length of h
+        repeat while n > 0 and (character n of h is in {space, character id 9, linefeed, return})
+          set n to n - 1
+        end repeat
+        set startAt to ${offset}
+        set oldAnchor to ""
+        if startAt > 0 and startAt <= n then
+          set a to startAt - ${ANCHOR_LENGTH - 1}
+          if a < 1 then set a to 1
+          set oldAnchor to text a thru startAt of h
+        end if
+        set newAnchor to ""
+        if n > 0 then
+          set a to n - ${ANCHOR_LENGTH - 1}
+          if a < 1 then set a to 1
+          set newAnchor to text a thru n of h
+        end if
+        set newText to ""
+        if startAt < n then set newText to text (startAt + 1) thru n of h
+        set skipped to 0
+        set lineCount to count of paragraphs of newText
+        if lineCount > ${maxLines} then
+          set skipped to lineCount - ${maxLines}
+          set AppleScript's text item delimiters to linefeed
+          set newText to (paragraphs (skipped + 1) thru lineCount of newText) as text
+        end if
+        set fs to character id 31
+        return (tty of t) & fs & wid & fs & n & fs & skipped & fs & oldAnchor & fs & newAnchor & fs & newText
+      end tell
+    `;
+}
+
+// Split the script's output into its fields. The text comes last and is
+// everything after the sixth separator.
+function parseTail(output) {
+  const fields = output.split(FIELD_SEPARATOR);
+  if (fields.length < 7) {
+    throw new Error(`Unexpected tail_history result "${output.slice(0, 200)}"`);
+  }
+  return {
+    tty: fields[0],
+    windowId: Number(fields[1]),
+    length: Number(fields[2]),
+    skipped: Number(fields[3]),
+    oldAnchor: fields[4],
+    newAnchor: fields[5],
+    text: fields.slice(6).join(FIELD_SEPARATOR)
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  anchorHash,
+  buildTailScript,
+  parseTail,
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScriptValueError, asString, encodeValue, parseSpecifier, parseLocation } = require('../server/applescript');
+
+function rejects(text, message) {
+  assert.throws(() => parseSpecifier(text), error => error instanceof ScriptValueError && message.test(error.message));
+}
+
+test('escapes quotes, backslashes and line breaks in string literals', () => {
+  assert.equal(asString('say "hi"'), '"say \\"hi\\""');
+  assert.equal(asString('C:\\temp\\'), '"C:\\\\temp\\\\"');
+  assert.equal(asString('a\nb\r\tc'), '"a\\nb\\r\\tc"');
+  assert.equal(asString('\\" & (do shell script "x") & "'), '"\\\\\\" & (do shell script \\"x\\") & \\""');
+  assert.equal(asString('café ☕ 日本'), '"café ☕ 日本"');
+});
+
+test('parses the specifier shapes Terminal understands', () => {
+  assert.equal(String(parseSpecifier('window id 1234')), 'window id 1234');
+  assert.equal(String(parseSpecifier('Tab 2 of Window 1')), 'tab 2 of window 1');
+  assert.equal(String(parseSpecifier('selected tab of front window')), 'selected tab of front window');
+  assert.equal(String(parseSpecifier('settings set "Home\\"brew"')), 'settings set "Home\\"brew"');
+  assert.equal(String(parseSpecifier('default settings')), 'default settings');
+  assert.equal(String(parseSpecifier('tab 2 of window 1 of application "Terminal"')), 'tab 2 of window 1');
+});
+
+test('rejects anything after or around a specifier', () => {
+  rejects('window 1 & (do shell script "x")', /Unexpected character/);
+  rejects('window 1" & (do shell script "x") & "', /Expected "of"/);
+  rejects('window 1 of application "Finder"', /Only application "Terminal"/);
+  rejects('tab 1 of (window 1', /Unexpected character/);
+  rejects('window 1)', /Unexpected character/);
+  rejects('window "build', /Unexpected character/);
+});
+
+test('rejects malformed of chains', () => {
+  rejects('tab 1 window 1', /Expected "of"/);
+  rejects('window 1 of', /ends with "of"/);
+  rejects('tab 1 of of window 1', /Unknown class "of"/);
+  rejects('tab 1 of tab 2', /cannot be inside a tab/);
+  rejects('window id x', /numeric id/);
+  rejects('window 0', /start at 1/);
+  rejects('selected window', /Only tabs/);
+  assert.throws(() => parseSpecifier('window 1', { expect: 'tab' }), /Expected a tab specifier/);
+  assert.throws(() => parseSpecifier('tab 1', { contained: true }), /must be given with its window/);
+  assert.throws(() => parseSpecifier('tab 1 of window 1', { standalone: true }), /must not include its container/);
+});
+
+test('parses insertion locations', () => {
+  assert.equal(parseLocation('end of tabs of window 1'), 'end of tabs of window 1');
+  assert.equal(parseLocation('Beginning of windows'), 'beginning of windows');
+  assert.equal(parseLocation('before window 2'), 'before window 2');
+  assert.equal(parseLocation('after tab 1 of window id 7'), 'after tab 1 of window id 7');
+  assert.equal(parseLocation('window 3'), 'window 3');
+  assert.throws(() => parseLocation('end of tabs'), /must be given with their window/);
+  assert.throws(() => parseLocation('end of windows of window 1'), /cannot be inside a window/);
+  assert.throws(() => parseLocation('end of windows & beep'), ScriptValueError);
+});
+
+test('encodes lists and records item by item', () => {
+  assert.equal(encodeValue('list of text', 'a, "b"'), '{"a", "\\"b\\""}');
+  assert.equal(encodeValue('list of integer', [1, 2]), '{1, 2}');
+  assert.equal(encodeValue('list of file', ['/tmp/a"b']), '{POSIX file "/tmp/a\\"b"}');
+  assert.throws(() => encodeValue('list of file', ['relative/path']), /absolute POSIX path/);
+  assert.equal(encodeValue('print settings', { copies: 2, target_printer: 'Office "B"' }), '{copies:2, target printer:"Office \\"B\\""}');
+  assert.equal(encodeValue('print settings', '{"collating": true}'), '{collating:true}');
+  assert.throws(() => encodeValue('print settings', { copies: 2, evil: 1 }), /has no property "evil"/);
+  assert.throws(() => encodeValue('print settings', [1]), /must be an object/);
+});
+
+test('validates scalar values instead of passing them through', () => {
+  assert.throws(() => encodeValue('integer', '1; beep'), /Expected an integer/);
+  assert.throws(() => encodeValue('boolean', 'yes'), /Expected a boolean/);
+  assert.throws(() => encodeValue('save options', 'never'), /Expected one of/);
+  assert.equal(encodeValue('save options', 'No'), 'no');
+  assert.equal(encodeValue('rectangle', '0, 22, 800, 600'), '{0, 22, 800, 600}');
+  assert.equal(encodeValue('tab', 'tab 1 of window 2'), 'tab 1 of window 2');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog } = require('../server/audit');
+const { startServer } = require('./helpers/server');
+
+test('rotates the file once it would pass maxBytes and keeps maxFiles old ones', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-mcp-test-'));
+  try {
+    const file = path.join(dir, 'logs', 'audit.jsonl');
+    const audit = createAuditLog({ file, maxBytes: 300, maxFiles: 2 });
+    for (let i = 0; i < 12; i++) {
+      audit.append({ tool: 'count_window', n: i, script: 'x'.repeat(40) });
+    }
+    const entries = await audit.query(() => true, 100);
+
+    assert.deepEqual(fs.readdirSync(path.dirname(file)).sort(), ['audit.jsonl', 'audit.jsonl.1', 'audit.jsonl.2']);
+    for (const name of fs.readdirSync(path.dirname(file))) {
+      assert.ok(fs.statSync(path.join(path.dirname(file), name)).size <= 300);
+    }
+    // Two entries fit in each file; the oldest went with the dropped files
+    assert.deepEqual(entries.map(entry => entry.n), [6, 7, 8, 9, 10, 11]);
+    assert.deepEqual((await audit.query(entry => entry.n % 2 === 0, 2)).map(entry => entry.n), [8, 10]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('passes each entry through redact before writing it', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-mcp-test-'));
+  try {
+    const file = path.join(dir, 'audit.jsonl');
+    const redact = entry => ({ ...entry, script: entry.script.replace('hunter2', '********') });
+    const audit = createAuditLog({ file, maxBytes: 1000, maxFiles: 1, redact });
+    audit.append({ tool: 'do_script', script: 'do script "hunter2"' });
+    const [entry] = await audit.query(() => true, 10);
+    assert.equal(entry.script, 'do script "********"');
+    assert.doesNotMatch(fs.readFileSync(file, 'utf8'), /hunter2/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('logs each script a tool call runs and reads entries back', async () => {
+  const server = startServer([{ match: 'return name of it', stdout: 'build' }]);
+  try {
+    await server.call('get_name_of_window', { target_window_required_string: 'window 1' });
+    const { result } = await server.call('get_audit_log', { tool_optional_text: 'get_name_of_window' });
+    assert.equal(result.count, 1);
+    const [entry] = result.entries;
+    assert.equal(entry.method, 'tools/call');
+    assert.deepEqual(entry.arguments, { target_window_required_string: 'window 1' });
+    assert.match(entry.script, /return name of it/);
+    assert.equal(entry.outcome, 'success');
+    assert.equal(result.file, path.join(server.dir, 'audit.jsonl'));
+
+    const invalid = await server.request('tools/call', { name: 'get_audit_log', arguments: { limit_optional_integer: 0 } });
+    assert.equal(invalid.error.code, -32602);
+  } finally {
+    await server.close();
+  }
+});
+
+test('logs a polling tool once per call and background scripts by origin', async () => {
+  const server = startServer([
+    { match: 'return busy of it', stdout: 'true' },
+    { match: 'return contents of it', responses: [{ stdout: '$ make' }, { stdout: '$ make\nbuilding' }, { stdout: '$ make\nbuilding\ndone' }] },
+    { match: 'return contents of tab 1 of window id 5', stdout: '$ ' }
+  ], { flags: ['--resource-poll-interval', '50'] });
+  try {
+    const waited = await server.call('wait_for_output', {
+      target_tab_required_string: 'tab 1',
+      target_window_required_string: 'window id 5',
+      pattern_required_text: 'done'
+    });
+    assert.equal(waited.result.success, true);
+    await server.request('resources/subscribe', { uri: 'terminal://window/5/tab/1/contents' });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await server.request('resources/unsubscribe', { uri: 'terminal://window/5/tab/1/contents' });
+
+    const { entries } = (await server.call('get_audit_log', { limit_optional_integer: 1000 })).result;
+    const polled = entries.filter(entry => entry.tool === 'wait_for_output');
+    assert.equal(polled.length, 1);
+    assert.equal(polled[0].polls, 6);
+    assert.equal(polled[0].scripts.length, 2);
+    assert.equal(polled[0].outcome, 'success');
+    assert.equal(entries.filter(entry => entry.origin === 'health_probe').length, 1);
+    const resourcePolls = entries.filter(entry => entry.origin === 'resource_poll');
+    assert.ok(resourcePolls.length >= 2);
+    assert.equal(resourcePolls[0].polls, 1);
+    assert.match(resourcePolls[0].scripts[0], /return contents of tab 1 of window id 5/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCommandTools, findCommandTool } = require('../server/commands');
+const { startServer } = require('./helpers/server');
+
+function scriptOf(result) {
+  return result.script.trim().replace(/\s+/g, ' ');
+}
+
+test('generates one tool per command and class the dictionary defines', () => {
+  assert.deepEqual(getCommandTools().map(tool => tool.name), [
+    'open', 'close_for_document', 'close_for_window', 'save_for_document', 'save_for_window',
+    'print_file', 'print_for_document', 'print_for_window', 'quit',
+    'count_document', 'count_window', 'count_settings_set', 'count_tab_of_window',
+    'delete', 'duplicate', 'exists', 'make_document', 'make_window', 'make_settings_set', 'make_tab_of_window',
+    'move', 'do_script', 'get_url'
+  ]);
+  assert.deepEqual(findCommandTool('make_tab_of_window').tool.inputSchema.required, ['at_required_location_specifier_window']);
+  assert.ok('with_command_optional_text' in findCommandTool('do_script').tool.inputSchema.properties);
+  assert.equal(findCommandTool('get_name_of_window'), null);
+});
+
+test('builds each command script from its tool arguments', async () => {
+  const server = startServer([{ pattern: '[\\s\\S]*', stdout: '3' }]);
+  try {
+    const made = await server.call('make_tab_of_window', { at_required_location_specifier_window: 'window id 5', with_properties_optional_text_custom_title: 'build' });
+    assert.equal(scriptOf(made.result), 'tell application "Terminal" tell window id 5 make new tab at it with properties {custom title:"build"} end tell end tell');
+    assert.equal(made.result.at, 'window id 5');
+
+    const counted = await server.call('count_tab_of_window', { target_window_required_string: 'window id 5' });
+    assert.equal(scriptOf(counted.result), 'tell application "Terminal" tell window id 5 count each tab of it end tell end tell');
+    assert.equal(counted.result.message, '3');
+
+    const closed = await server.call('close_for_window', { target_window_required_string: 'window id 5', saving_optional_save_options: 'no' });
+    assert.equal(scriptOf(closed.result), 'tell application "Terminal" tell window id 5 close it saving no end tell end tell');
+
+    const ran = await server.call('do_script', { direct_parameter_optional_text: 'ls', inParam_optional_tab: 'tab 1 of window id 5' });
+    assert.equal(scriptOf(ran.result), 'tell application "Terminal" do script "ls" in tab 1 of window id 5 end tell');
+    assert.equal(ran.result.in, 'tab 1 of window id 5');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AppleScriptError, affectsAvailability } = require('../server/errors');
+const { startServer } = require('./helpers/server');
+
+const SCRIPT = 'tell application "Terminal"\n  get name of window 9\nend tell';
+
+function failure(stderr, code = 1) {
+  const error = new Error(`Command failed: osascript\n${stderr}`);
+  error.code = code;
+  error.stderr = stderr;
+  return error;
+}
+
+test('reads the code, message and failing line from osascript stderr', () => {
+  const error = AppleScriptError.from(failure('30:50: execution error: Terminal got an error: Can’t get window 9. (-1719)'), SCRIPT);
+  assert.equal(error.code, -1719);
+  assert.equal(error.kind, 'invalid_index');
+  assert.equal(error.transient, false);
+  assert.equal(error.message, 'Terminal got an error: Can’t get window 9.');
+  assert.equal(error.line, 'get name of window 9');
+});
+
+test('marks errors that may pass on a second run as transient', () => {
+  assert.equal(AppleScriptError.from(failure('execution error: Connection is invalid. (-609)')).transient, true);
+  assert.equal(AppleScriptError.from(failure('execution error: AppleEvent timed out. (-1712)')).transient, true);
+  assert.equal(AppleScriptError.from(failure('execution error: Not authorized to send Apple events to Terminal. (-1743)')).transient, false);
+});
+
+test('classifies unknown codes by the kind of error', () => {
+  const execution = AppleScriptError.from(failure('execution error: Something odd. (-42)'));
+  assert.equal(execution.kind, 'execution');
+  assert.equal(execution.code, -42);
+  assert.equal(AppleScriptError.from(failure('1:4: syntax error: Expected end of line. (-2799)')).kind, 'syntax');
+});
+
+test('does not retry a script killed for running past its time limit', () => {
+  const killed = new Error('Command failed: osascript (timed out after 200ms)');
+  killed.killed = true;
+  killed.signal = 'SIGTERM';
+  const error = AppleScriptError.from(killed);
+  assert.equal(error.code, -1712);
+  assert.equal(error.kind, 'timeout');
+  assert.equal(error.transient, false);
+});
+
+test('reports cancellation and process failures', () => {
+  const abort = new Error('aborted');
+  abort.name = 'AbortError';
+  assert.equal(AppleScriptError.from(abort).kind, 'canceled');
+
+  const crashed = AppleScriptError.from(failure('Segmentation fault', 139));
+  assert.equal(crashed.kind, 'process');
+  assert.equal(crashed.transient, true);
+
+  const missing = new Error('spawn osascript ENOENT');
+  missing.code = 'ENOENT';
+  assert.equal(AppleScriptError.from(missing).transient, false);
+});
+
+test('checks availability again only after failures that concern Terminal', async () => {
+  const notAuthorized = "execution error: Not authorized to send Apple events to Terminal. (-1743)";
+  assert.equal(affectsAvailability(AppleScriptError.from(failure(notAuthorized))), true);
+  assert.equal(affectsAvailability(AppleScriptError.from(failure('Segmentation fault', 139))), true);
+  assert.equal(affectsAvailability(AppleScriptError.from(failure("execution error: Terminal got an error: Can't get window 9. (-1719)"))), false);
+  assert.equal(affectsAvailability(new Error('window 9 is not a window')), false);
+
+  const server = startServer([
+    { match: 'return name of it', responses: [
+      { error: "execution error: Terminal got an error: Can't get window 9. (-1719)" },
+      { error: "execution error: Terminal got an error: Application isn't running. (-600)" },
+      { stdout: 'build' }
+    ] }
+  ]);
+  try {
+    const probes = async () => (await server.call('get_audit_log', { limit_optional_integer: 1000 })).result.entries
+      .filter(entry => entry.origin === 'health_probe').length;
+    await server.call('get_name_of_window', { target_window_required_string: 'window 9' });
+    await server.call('get_name_of_window', { target_window_required_string: 'window 1' });
+    assert.equal(await probes(), 1);
+    await server.call('get_name_of_window', { target_window_required_string: 'window 1' });
+    assert.equal(await probes(), 2);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReplayExecutor } = require('../server/executors');
+
+test('answers from the first fixture that matches the normalized script', async () => {
+  const executor = createReplayExecutor([
+    { match: 'tell window 1\nreturn name of it', stdout: 'build' },
+    { pattern: 'return \\w+ of it', stdout: 'other' }
+  ]);
+  assert.equal((await executor.run('  tell window 1\n    return name of it\n')).stdout, 'build\n');
+  assert.equal((await executor.run('tell window 2\nreturn id of it')).stdout, 'other\n');
+});
+
+test('fails scripts that no fixture matches', async () => {
+  const executor = createReplayExecutor([]);
+  await assert.rejects(executor.run('count windows'), { code: 'ENOFIXTURE' });
+});
+
+test('plays responses in turn and repeats the last one', async () => {
+  const executor = createReplayExecutor([
+    { match: 'count', responses: [{ error: 'execution error: Connection is invalid. (-609)' }, { stdout: '2' }] }
+  ]);
+  await assert.rejects(executor.run('count windows'), { stderr: 'execution error: Connection is invalid. (-609)', code: 1 });
+  assert.equal((await executor.run('count windows')).stdout, '2\n');
+  assert.equal((await executor.run('count windows')).stdout, '2\n');
+});
+
+test('times out a delayed response that outlasts the timeout', async () => {
+  const executor = createReplayExecutor([{ match: 'count', delay_ms: 5000, stdout: '2' }]);
+  const started = Date.now();
+  await assert.rejects(executor.run('count windows', { timeout: 50 }), { killed: true });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('fills in text captured from an earlier script', async () => {
+  const executor = createReplayExecutor([
+    { pattern: 'do script "echo (?<marker>M_\\w+)"', stdout: 'tab 1 of window id 3' },
+    { match: 'return history', stdout: '$ echo {{marker}}\n{{marker}}\n{{other}}' }
+  ]);
+  assert.equal((await executor.run('return history of tab 1')).stdout, '$ echo {{marker}}\n{{marker}}\n{{other}}\n');
+  await executor.run('do script "echo M_1a2b"');
+  assert.equal((await executor.run('return history of tab 1')).stdout, '$ echo M_1a2b\nM_1a2b\n{{other}}\n');
+});
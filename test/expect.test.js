@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { normalizeSteps } = require('../server/expect');
+const { startServer } = require('./helpers/server');
+
+const TAB = { target_tab_required_string: 'tab 1', target_window_required_string: 'window id 5' };
+const SECRET = 'hunter"2\\x';
+
+test('checks steps before anything is sent', () => {
+  assert.deepEqual(normalizeSteps([{ send: 'ls', secret: 'yes' }]), [{ send: 'ls', secret: false }]);
+  assert.throws(() => normalizeSteps([]), /non-empty array/);
+  assert.throws(() => normalizeSteps([{ send: 'a', expect: 'b' }]), /exactly one of/);
+  assert.throws(() => normalizeSteps([{ expect: 'x', timeout: -1 }]), /positive integer/);
+});
+
+test('sends each step once its expectation shows up', async () => {
+  const server = startServer([
+    { match: 'busy of it', stdout: 'false' },
+    { match: 'history of it', responses: [{ stdout: '$ ' }, { stdout: '$ ssh host\nPassword:' }, { stdout: '$ ssh host\nPassword:\nhost$ ' }] },
+    { match: 'do script', stdout: 'tab 1 of window id 5' }
+  ]);
+  try {
+    const { result, isError } = await server.call('expect_script', {
+      ...TAB,
+      steps_required_array: [{ send: 'ssh host' }, { expect: 'Password:' }, { send: SECRET, secret: true }, { expect: 'host$' }]
+    }, 'normal');
+    assert.equal(isError, false);
+    assert.deepEqual(result.steps.filter(step => step.send !== undefined).map(step => step.send), ['ssh host', '********']);
+    assert.ok(!JSON.stringify(result).includes('hunter'));
+  } finally {
+    await server.close();
+  }
+});
+
+test('masks secret sends in error payloads, debug scripts and the audit log', async () => {
+  const server = startServer([
+    { match: 'busy of it', stdout: 'false' },
+    { match: 'history of it', responses: [{ stdout: '$ ' }, { error: "execution error: Terminal got an error: Can't get tab 1. (-1728)" }] },
+    { match: 'do script', stdout: 'tab 1 of window id 5' }
+  ]);
+  try {
+    const { result, text, isError } = await server.call('expect_script', {
+      ...TAB,
+      steps_required_array: [{ send: SECRET, secret: true }, { expect: 'done', timeout: 200 }]
+    });
+    assert.equal(isError, true);
+    assert.equal(result.args.steps_required_array[0].send, '********');
+    assert.ok(result.debug.scripts.some(entry => entry.script.includes('do script "********"')));
+    assert.doesNotMatch(text, /hunter/);
+
+    const audit = await server.call('get_audit_log', {});
+    assert.ok(audit.result.entries.some(entry => entry.tool === 'expect_script' && entry.arguments.steps_required_array[0].send === '********'));
+    assert.doesNotMatch(audit.text, /hunter/);
+    assert.doesNotMatch(fs.readFileSync(path.join(server.dir, 'audit.jsonl'), 'utf8'), /hunter/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,106 @@
+// Run the server over stdio with the replay executor, so tests drive the
+// whole tools/call path without Terminal. The suite runs with
+// `node --test test/`.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', '..', 'server', 'index.js');
+
+// Answer the availability probe so the health gate lets calls through
+const AVAILABLE = { match: 'path to application id', stdout: 'available' };
+
+// Start a server answering scripts from `fixtures`. `files` are written to
+// its config directory (layouts and other saved state); `flags` are extra
+// command-line flags.
+function startServer(fixtures, { files = {}, flags = [] } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-mcp-test-'));
+  const fixturesFile = path.join(dir, 'fixtures.json');
+  fs.writeFileSync(fixturesFile, JSON.stringify([AVAILABLE, ...fixtures]));
+  for (const [name, contents] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(contents));
+  }
+
+  const child = spawn(process.execPath, [SERVER, '--executor', 'replay', '--fixtures', fixturesFile, '--config-dir', dir, ...flags], {
+    stdio: ['pipe', 'pipe', 'ignore']
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const pending = new Map();
+  // Every message the server wrote, and waiters for ones not yet written
+  const messages = [];
+  const waiters = [];
+  let nextId = 1;
+  let buffer = '';
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', data => {
+    buffer += data;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines.filter(Boolean)) {
+      const message = JSON.parse(line);
+      messages.push(message);
+      for (const waiter of waiters.filter(waiter => waiter.matches(message))) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(message);
+      }
+      if (pending.has(message.id)) {
+        pending.get(message.id)(message);
+        pending.delete(message.id);
+      }
+    }
+  });
+
+  const send = line => child.stdin.write(line + '\n');
+
+  const request = (method, params) => new Promise(resolve => {
+    const id = nextId++;
+    pending.set(id, resolve);
+    send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+  });
+
+  return {
+    dir,
+    messages,
+    request,
+
+    // Write a raw line, e.g. malformed JSON
+    send,
+
+    notify(method, params) {
+      send(JSON.stringify({ jsonrpc: '2.0', method, params }));
+    },
+
+    // The first message, already written or still to come, that `matches`
+    waitFor(matches) {
+      const message = messages.find(matches);
+      if (message) return Promise.resolve(message);
+      return new Promise(resolve => waiters.push({ matches, resolve }));
+    },
+
+    // Call a tool and parse its result text; `verbosity` is sent as _meta
+    async call(name, args = {}, verbosity = 'debug') {
+      const response = await request('tools/call', { name, arguments: args, _meta: { verbosity } });
+      if (response.error) {
+        throw new Error(`${name}: ${response.error.message}`);
+      }
+      const text = response.result.content[0].text;
+      let result;
+      try {
+        result = JSON.parse(text);
+      } catch (error) {
+        result = text;
+      }
+      return { result, text, isError: response.result.isError === true };
+    },
+
+    async close() {
+      child.kill();
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,212 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startHttpTransport } = require('../server/http');
+
+const TOKEN = 'test-token';
+
+// A stand-in for TerminalMCPServer: answers requests with their method and
+// ignores notifications; `write` sends a message of its own, and
+// `notify_later` sends one from a timer started while handling the POST
+function fakeServer(write) {
+  return {
+    write,
+    closed: false,
+    async handleMessage(body) {
+      const message = JSON.parse(body);
+      if (message.id === undefined) return;
+      if (message.method === 'notify_later') {
+        setTimeout(() => write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/later' })), 50);
+      }
+      write(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { method: message.method } }));
+    },
+    close() {
+      this.closed = true;
+    }
+  };
+}
+
+async function startTransport(options = {}) {
+  const servers = [];
+  const httpServer = await startHttpTransport({
+    ...options,
+    createServer: write => {
+      const server = fakeServer(write);
+      servers.push(server);
+      return server;
+    },
+    port: 0,
+    token: TOKEN
+  });
+  const url = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+
+  const send = (method, { headers = {}, body } = {}) => fetch(url, {
+    method,
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  // Start a session and return its id
+  const initialize = async () => {
+    const response = await send('POST', { body: { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} } });
+    assert.equal(response.status, 200);
+    return response.headers.get('mcp-session-id');
+  };
+
+  return {
+    url,
+    servers,
+    send,
+    initialize,
+    close: () => new Promise(resolve => {
+      httpServer.closeAllConnections();
+      httpServer.close(resolve);
+    })
+  };
+}
+
+test('requires the bearer token and a same-machine origin', async () => {
+  const transport = await startTransport();
+  try {
+    const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize' };
+    for (const authorization of [undefined, 'Bearer wrong-token', `Basic ${TOKEN}`]) {
+      const response = await fetch(transport.url, {
+        method: 'POST',
+        headers: authorization ? { Authorization: authorization } : {},
+        body: JSON.stringify(initialize)
+      });
+      assert.equal(response.status, 401);
+    }
+    const crossOrigin = await transport.send('POST', { headers: { Origin: 'https://evil.example' }, body: initialize });
+    assert.equal(crossOrigin.status, 403);
+    const local = await transport.send('POST', { headers: { Origin: 'http://localhost:5173' }, body: initialize });
+    assert.equal(local.status, 200);
+    assert.equal((await transport.send('POST', { body: initialize })).status, 200);
+    assert.equal(transport.servers.length, 2);
+    const elsewhere = await fetch(transport.url.replace('/mcp', '/other'), { headers: { Authorization: `Bearer ${TOKEN}` } });
+    assert.equal(elsewhere.status, 404);
+  } finally {
+    await transport.close();
+  }
+});
+
+test('routes requests by Mcp-Session-Id', async () => {
+  const transport = await startTransport();
+  try {
+    const session = await transport.initialize();
+    assert.match(session, /^[0-9a-f-]{36}$/);
+
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    const reply = await transport.send('POST', { headers: { 'Mcp-Session-Id': session }, body: ping });
+    assert.equal(reply.status, 200);
+    assert.deepEqual(await reply.json(), { jsonrpc: '2.0', id: 2, result: { method: 'ping' } });
+
+    assert.equal((await transport.send('POST', { body: ping })).status, 400);
+    assert.equal((await transport.send('POST', { headers: { 'Mcp-Session-Id': 'nope' }, body: ping })).status, 404);
+    assert.equal((await transport.send('PUT', { headers: { 'Mcp-Session-Id': session }, body: ping })).status, 405);
+  } finally {
+    await transport.close();
+  }
+});
+
+test('answers notifications with 202 and no body', async () => {
+  const transport = await startTransport();
+  try {
+    const session = await transport.initialize();
+    const response = await transport.send('POST', {
+      headers: { 'Mcp-Session-Id': session },
+      body: { jsonrpc: '2.0', method: 'notifications/initialized' }
+    });
+    assert.equal(response.status, 202);
+    assert.equal(await response.text(), '');
+  } finally {
+    await transport.close();
+  }
+});
+
+test('DELETE ends the session', async () => {
+  const transport = await startTransport();
+  try {
+    const session = await transport.initialize();
+    const headers = { 'Mcp-Session-Id': session };
+    assert.equal((await transport.send('DELETE', { headers })).status, 204);
+    assert.equal(transport.servers[0].closed, true);
+    const after = await transport.send('POST', { headers, body: { jsonrpc: '2.0', id: 2, method: 'ping' } });
+    assert.equal(after.status, 404);
+    assert.equal((await transport.send('DELETE', { headers })).status, 404);
+  } finally {
+    await transport.close();
+  }
+});
+
+test('sends messages outside a POST on the event stream', async () => {
+  const transport = await startTransport();
+  try {
+    const session = await transport.initialize();
+    const headers = { 'Mcp-Session-Id': session };
+    assert.equal((await transport.send('GET', { headers })).status, 405);
+
+    const stream = await transport.send('GET', { headers: { ...headers, Accept: 'text/event-stream' } });
+    assert.equal(stream.status, 200);
+    assert.equal(stream.headers.get('content-type'), 'text/event-stream');
+    assert.equal((await transport.send('GET', { headers: { ...headers, Accept: 'text/event-stream' } })).status, 409);
+
+    const reply = await transport.send('POST', { headers, body: { jsonrpc: '2.0', id: 2, method: 'ping' } });
+    assert.deepEqual(await reply.json(), { jsonrpc: '2.0', id: 2, result: { method: 'ping' } });
+    transport.servers[0].write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/now' }));
+    // A timer started during a POST writes after its reply was sent
+    await transport.send('POST', { headers, body: { jsonrpc: '2.0', id: 3, method: 'notify_later' } });
+
+    const reader = stream.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    while (!text.includes('notifications/later')) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value);
+    }
+    assert.match(text, /^: connected\n\n/);
+    assert.match(text, /event: message\ndata: \{"jsonrpc":"2\.0","method":"notifications\/now"\}\n\n/);
+    assert.match(text, /event: message\ndata: \{"jsonrpc":"2\.0","method":"notifications\/later"\}\n\n/);
+    await reader.cancel();
+  } finally {
+    await transport.close();
+  }
+});
+
+test('closes sessions left idle and keeps those with an event stream', async () => {
+  const transport = await startTransport({ sessionTtl: 200 });
+  try {
+    const idle = await transport.initialize();
+    const streaming = await transport.initialize();
+    const stream = await transport.send('GET', { headers: { 'Mcp-Session-Id': streaming, Accept: 'text/event-stream' } });
+    assert.equal(stream.status, 200);
+    await new Promise(resolve => setTimeout(resolve, 600));
+
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    assert.equal((await transport.send('POST', { headers: { 'Mcp-Session-Id': idle }, body: ping })).status, 404);
+    assert.equal(transport.servers[0].closed, true);
+    assert.equal((await transport.send('POST', { headers: { 'Mcp-Session-Id': streaming }, body: ping })).status, 200);
+    await stream.body.cancel();
+  } finally {
+    await transport.close();
+  }
+});
+
+test('closes the least recently used session past maxSessions', async () => {
+  const transport = await startTransport({ maxSessions: 2 });
+  try {
+    const first = await transport.initialize();
+    const second = await transport.initialize();
+    // Use the first session again, a little later than the second
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    assert.equal((await transport.send('POST', { headers: { 'Mcp-Session-Id': first }, body: ping })).status, 200);
+    await transport.initialize();
+
+    assert.equal((await transport.send('POST', { headers: { 'Mcp-Session-Id': second }, body: ping })).status, 404);
+    assert.equal(transport.servers[1].closed, true);
+    assert.equal((await transport.send('POST', { headers: { 'Mcp-Session-Id': first }, body: ping })).status, 200);
+  } finally {
+    await transport.close();
+  }
+});
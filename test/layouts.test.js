@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLayoutStore, layoutFromSnapshot, planRestore, fillPlaceholders } = require('../server/layouts');
+const { startServer } = require('./helpers/server');
+
+const SNAPSHOT = {
+  windows: [
+    { index: 1, name: 'editor', bounds: { left: 0, top: 22, right: 800, bottom: 600 }, tabs: [{ index: 1, current_settings: 'Basic', custom_title: '' }] },
+    { index: 2, name: 'servers', bounds: null, tabs: [{ index: 1, current_settings: 'Pro', custom_title: 'api' }, { index: 2, current_settings: 'Pro', custom_title: '' }] }
+  ]
+};
+
+test('plans one make_window per saved window and fills in the ids it creates', () => {
+  const layout = layoutFromSnapshot('dev', SNAPSHOT, { '2.2': 'npm run dev' });
+  const steps = planRestore(layout);
+  assert.deepEqual(steps.map(step => step.tool), [
+    'make_window', 'set_bounds_of_window', 'set_current_settings_of_tab_of_window',
+    'make_window', 'set_current_settings_of_tab_of_window', 'set_custom_title_of_tab_of_window',
+    'make_tab_of_window', 'set_current_settings_of_tab_of_window', 'do_script'
+  ]);
+  const command = steps[steps.length - 1].arguments;
+  assert.deepEqual(fillPlaceholders(command, [41, 42]), {
+    direct_parameter_optional_text: 'npm run dev',
+    inParam_optional_tab: 'tab 2 of window id 42'
+  });
+  assert.equal(fillPlaceholders(steps[1].arguments, [41]).target_window_required_string, 'window id 41');
+});
+
+test('refuses placeholders and commands for windows that do not exist', () => {
+  const steps = planRestore(layoutFromSnapshot('dev', SNAPSHOT));
+  assert.throws(() => fillPlaceholders(steps[4].arguments, [41]), /Window 2 of the layout was not created/);
+  assert.throws(() => layoutFromSnapshot('dev', SNAPSHOT, { '3.1': 'ls' }), /'3.1' does not name a tab/);
+  assert.throws(() => layoutFromSnapshot('dev', SNAPSHOT, { '1.2': 'ls' }), /'1.2' does not name a tab/);
+  assert.throws(() => planRestore({ name: 'old', version: 0, windows: [] }), /not a version 1 layout/);
+});
+
+test('keeps layout names inside the layouts directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-mcp-test-'));
+  try {
+    const store = createLayoutStore(dir);
+    for (const name of ['../escape', 'a/b', '.hidden', '', 'x'.repeat(65)]) {
+      await assert.rejects(store.load(name), /Layout name must be/);
+    }
+    await assert.rejects(store.save({ name: '../../etc/evil', windows: [] }), /Layout name must be/);
+    await store.save(layoutFromSnapshot('dev.1', SNAPSHOT));
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'layouts')), ['dev.1.json']);
+    assert.deepEqual((await store.list()).map(layout => layout.name), ['dev.1']);
+    await assert.rejects(store.load('missing'), /No layout named 'missing'/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('restore_layout runs the plan through the tools', async () => {
+  const server = startServer([
+    { match: 'make new window', responses: [{ stdout: 'window id 41' }, { stdout: 'window id 42' }] },
+    // The command runs in the second tab of the second new window, or fails
+    { match: 'do script "npm run dev" in tab 2 of window id 42', stdout: 'tab 2 of window id 42' },
+    { match: 'do script', error: "execution error: Terminal got an error: Can't get tab 2. (-1728)" },
+    { pattern: '[\\s\\S]*', stdout: '' }
+  ]);
+  try {
+    await createLayoutStore(server.dir).save(layoutFromSnapshot('dev', SNAPSHOT, { '2.2': 'npm run dev' }));
+    const planned = await server.call('restore_layout', { name_required_text: 'dev', dry_run_optional_boolean: true });
+    assert.equal(planned.result.steps.length, 9);
+    assert.equal(planned.result.dry_run, true);
+
+    const { result, isError } = await server.call('restore_layout', { name_required_text: 'dev' });
+    assert.equal(isError, false);
+    assert.deepEqual(result.window_ids, [41, 42]);
+    assert.equal(result.steps[8].arguments.inParam_optional_tab, 'tab 2 of window id 42');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const TAB = [
+  { match: 'return contents of it', stdout: '$ npm test\nError: Cannot find module \'left-pad\'' },
+  { match: 'return history of it', stdout: 'one\ntwo\nthree\n$ npm test\nError: Cannot find module \'left-pad\'' },
+  { match: 'return processes of it', stdout: 'login, -zsh' },
+  { match: 'return busy of it', stdout: 'false' }
+];
+
+test('lists each prompt with its arguments', async () => {
+  const server = startServer([]);
+  try {
+    const { prompts } = (await server.request('prompts/list')).result;
+    assert.deepEqual(prompts.map(prompt => prompt.name), ['diagnose_failing_command', 'summarize_scrollback', 'dev_workspace']);
+    const workspace = prompts.find(prompt => prompt.name === 'dev_workspace');
+    assert.deepEqual(workspace.arguments[0], {
+      name: 'layout',
+      description: workspace.arguments[0].description,
+      required: true
+    });
+    assert.ok(prompts.every(prompt => prompt.arguments.every(argument => !('type' in argument))));
+  } finally {
+    await server.close();
+  }
+});
+
+test('fills the prompt with its arguments and the tab it reads', async () => {
+  const server = startServer(TAB);
+  try {
+    const response = await server.request('prompts/get', {
+      name: 'diagnose_failing_command',
+      arguments: { window: 'window id 7', tab: 'tab 2', command: 'npm test', history_lines: '2' }
+    });
+    const { text } = response.result.messages[0].content;
+    assert.match(text, /The command `npm test` failed in this Terminal tab\./);
+    assert.match(text, /The tab is idle; its processes: login, -zsh\./);
+    assert.match(text, /Recent scrollback \(last 2 lines\):\n```\n\[\.\.\. 3 earlier lines omitted \.\.\.\]\n\$ npm test\n/);
+    assert.doesNotMatch(text, /three/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects unknown prompts and missing or malformed arguments', async () => {
+  const server = startServer(TAB);
+  try {
+    const unknown = await server.request('prompts/get', { name: 'no_such_prompt' });
+    assert.equal(unknown.error.code, -32602);
+
+    const missing = await server.request('prompts/get', { name: 'dev_workspace', arguments: {} });
+    assert.equal(missing.error.code, -32602);
+    assert.deepEqual(missing.error.data.problems, ['layout is required']);
+
+    const malformed = await server.request('prompts/get', {
+      name: 'summarize_scrollback',
+      arguments: { max_lines: 'all', extra: 'x' }
+    });
+    assert.equal(malformed.error.code, -32602);
+    assert.deepEqual(malformed.error.data.problems, ['max_lines must be a positive integer', 'unexpected argument extra']);
+
+    const badTab = await server.request('prompts/get', { name: 'summarize_scrollback', arguments: { tab: 'tab 1 & beep' } });
+    assert.equal(badTab.error.code, -32602);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+test('answers malformed messages with parse and invalid request errors', async () => {
+  const server = startServer([]);
+  try {
+    server.send('{"jsonrpc": "2.0", "id": 1, "method": ');
+    const parse = await server.waitFor(message => message.error && message.error.code === -32700);
+    assert.equal(parse.id, null);
+
+    server.send('{"jsonrpc": "1.0", "id": 7, "method": "ping"}');
+    server.send('[{"jsonrpc": "2.0", "id": 8, "method": "ping"}]');
+    server.send('{"jsonrpc": "2.0", "id": 9, "method": 42}');
+    const invalid = await server.waitFor(message => message.id === 9);
+    assert.equal(invalid.error.code, -32600);
+    assert.equal(server.messages.find(message => message.id === 7).error.code, -32600);
+    assert.ok(server.messages.some(message => message.id === null && message.error.code === -32600));
+  } finally {
+    await server.close();
+  }
+});
+
+test('answers initialize with the client protocol version when it is supported', async () => {
+  const server = startServer([]);
+  try {
+    const version = async protocolVersion => (await server.request('initialize', { protocolVersion, capabilities: {} })).result.protocolVersion;
+    assert.equal(await version('2025-03-26'), '2025-03-26');
+    assert.equal(await version('2024-11-05'), '2024-11-05');
+    assert.equal(await version('1999-01-01'), '2025-03-26');
+  } finally {
+    await server.close();
+  }
+});
+
+test('reports unknown methods and tools and invalid arguments', async () => {
+  const server = startServer([]);
+  try {
+    assert.equal((await server.request('tools/unknown')).error.code, -32601);
+    assert.equal((await server.request('tools/call', { name: 'no_such_tool', arguments: {} })).error.code, -32602);
+    const invalid = await server.request('tools/call', {
+      name: 'get_name_of_window',
+      arguments: { target_window_required_string: 1, color: 'red' }
+    });
+    assert.equal(invalid.error.code, -32602);
+    assert.deepEqual(invalid.error.data.problems, [
+      'target_window_required_string must be of type string',
+      'color is not a known argument'
+    ]);
+    const notObject = await server.request('tools/call', { name: 'get_name_of_window', arguments: ['window 1'] });
+    assert.equal(notObject.error.code, -32602);
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects a missing target or value as invalid params before any script runs', async () => {
+  const server = startServer([]);
+  try {
+    const calls = [
+      ['get_name_of_window', {}, /target_window_required_string is required unless a target selector is given/],
+      ['close_for_window', { saving_optional_save_options: 'no' }, /target_window_required_string is required/],
+      ['make_tab_of_window', { at_required_location_specifier_window: '' }, /at_required_location_specifier_window is required/],
+      ['run_command', { command_required_text: 'ls' }, /target_tab_required_string is required/],
+      ['tail_history', {}, /target_tab_required_string or a target selector is required/]
+    ];
+    for (const [name, args, message] of calls) {
+      const response = await server.request('tools/call', { name, arguments: args });
+      assert.equal(response.error.code, -32602, name);
+      assert.match(response.error.message, message);
+    }
+  } finally {
+    await server.close();
+  }
+});
+
+test('flags a tool whose script failed as an error result', async () => {
+  const server = startServer([
+    { match: 'return name of it', error: "execution error: Terminal got an error: Can't get window 9. (-1719)" }
+  ]);
+  try {
+    const { result, isError } = await server.call('get_name_of_window', { target_window_required_string: 'window 9' });
+    assert.equal(isError, true);
+    assert.equal(result.success, false);
+    assert.match(result.error, /Can't get window 9/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('never answers notifications', async () => {
+  const server = startServer([]);
+  try {
+    server.notify('notifications/initialized');
+    server.notify('notifications/unknown', { x: 1 });
+    server.notify('tools/call', { name: 'no_such_tool' });
+    const ping = await server.request('ping');
+    assert.deepEqual(ping.result, {});
+    assert.deepEqual(server.messages, [ping]);
+  } finally {
+    await server.close();
+  }
+});
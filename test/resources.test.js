@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseResourceUri } = require('../server/resources');
+const { startServer } = require('./helpers/server');
+
+const INVENTORY = {
+  match: 'set end of rows to "settings"',
+  stdout: [
+    ['window', '5', '1', 'build'],
+    ['tab', '5', '1', '/dev/ttys001', 'false', 'true', 'missing value', 'Basic'],
+    ['settings', '1', 'Home Brew']
+  ].map(fields => fields.join('\u001f')).join('\u001e')
+};
+
+const CONTENTS_URI = 'terminal://window/5/tab/1/contents';
+
+test('maps URIs to what they name', () => {
+  assert.deepEqual(parseResourceUri('terminal://windows'), { kind: 'windows' });
+  assert.deepEqual(parseResourceUri(CONTENTS_URI), { kind: 'contents', windowId: 5, tab: 1 });
+  assert.deepEqual(parseResourceUri('terminal://settings/Home%20Brew'), { kind: 'settings', name: 'Home Brew' });
+  assert.equal(parseResourceUri('terminal://window/5/tab/0/history'), null);
+  assert.equal(parseResourceUri('terminal://settings/%E0'), null);
+  assert.equal(parseResourceUri('file:///etc/passwd'), null);
+});
+
+test('lists the windows, each tab and each settings set', async () => {
+  const server = startServer([INVENTORY]);
+  try {
+    const { resources } = (await server.request('resources/list')).result;
+    assert.deepEqual(resources.map(resource => resource.uri), [
+      'terminal://windows',
+      CONTENTS_URI,
+      'terminal://window/5/tab/1/history',
+      'terminal://settings/Home%20Brew'
+    ]);
+    assert.equal(resources[1].name, 'Contents of build (tab 1)');
+  } finally {
+    await server.close();
+  }
+});
+
+test('reads a resource and reports ones that do not exist', async () => {
+  const server = startServer([
+    INVENTORY,
+    { match: 'return contents of tab 1 of window id 5', stdout: '$ ls\nREADME.md' },
+    { match: 'return history of tab 1 of window id 9', error: "execution error: Terminal got an error: Can't get window id 9. (-1728)" }
+  ]);
+  try {
+    const read = await server.request('resources/read', { uri: CONTENTS_URI });
+    assert.deepEqual(read.result.contents, [{ uri: CONTENTS_URI, mimeType: 'text/plain', text: '$ ls\nREADME.md' }]);
+
+    const windows = await server.request('resources/read', { uri: 'terminal://windows' });
+    assert.equal(JSON.parse(windows.result.contents[0].text)[0].tabs[0].tty, '/dev/ttys001');
+
+    const gone = await server.request('resources/read', { uri: 'terminal://window/9/tab/1/history' });
+    assert.equal(gone.error.code, -32002);
+    const unknown = await server.request('resources/read', { uri: 'terminal://nothing' });
+    assert.equal(unknown.error.code, -32002);
+    assert.equal(unknown.error.data.uri, 'terminal://nothing');
+  } finally {
+    await server.close();
+  }
+});
+
+test('notifies subscribers when a resource changes, until they unsubscribe', async () => {
+  // Every read after the first sees new contents
+  const responses = Array.from({ length: 50 }, (_, i) => ({ stdout: `line ${i}` }));
+  const server = startServer([{ match: 'return contents of tab 1 of window id 5', responses }], {
+    flags: ['--resource-poll-interval', '50']
+  });
+  const updated = message => message.method === 'notifications/resources/updated';
+  try {
+    assert.deepEqual((await server.request('resources/subscribe', { uri: CONTENTS_URI })).result, {});
+    const notification = await server.waitFor(updated);
+    assert.deepEqual(notification.params, { uri: CONTENTS_URI });
+
+    assert.deepEqual((await server.request('resources/unsubscribe', { uri: CONTENTS_URI })).result, {});
+    const count = server.messages.filter(updated).length;
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(server.messages.filter(updated).length, count);
+
+    const missing = await server.request('resources/subscribe', { uri: 'terminal://nothing' });
+    assert.equal(missing.error.code, -32002);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const TAB = { target_tab_required_string: 'tab 1', target_window_required_string: 'window id 5' };
+
+// The do script that starts the command, keeping its marker token for the
+// history fixtures
+const DO_SCRIPT = { pattern: 'do script ".*__MCP_BEGIN:(?<token>\\w+)', stdout: 'tab 1 of window id 5' };
+const ZSH = { match: 'return processes of it', stdout: 'login, -zsh' };
+
+function history(...lines) {
+  return { stdout: lines.join('\n') };
+}
+
+test('returns the output between the markers and the exit status', async () => {
+  const server = startServer([
+    ZSH,
+    DO_SCRIPT,
+    { match: 'return busy of it', stdout: 'true' },
+    { match: 'return history of it', responses: [
+      history('$ printf ...', '__MCP_BEGIN:{{token}}', 'building'),
+      history('$ printf ...', '__MCP_BEGIN:{{token}}', 'building', 'error: no such file', '', '__MCP_END:{{token}}:3', '$ ')
+    ] }
+  ]);
+  try {
+    const { result } = await server.call('run_command', { ...TAB, command_required_text: 'make' });
+    assert.equal(result.success, false);
+    assert.equal(result.output, 'building\nerror: no such file');
+    assert.equal(result.exit_code, 3);
+    assert.equal(result.timed_out, false);
+    const doScript = result.debug.scripts.find(entry => entry.script.includes('do script'));
+    assert.match(doScript.script, /\{\\nmake\\n\}; printf '\\\\n%s:%s\\\\n' __MCP_END:\w+ \$\?" in tab 1 of window id 5/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('stops when the tab goes idle without printing the end marker', async () => {
+  const server = startServer([
+    ZSH,
+    DO_SCRIPT,
+    { match: 'return busy of it', stdout: 'false' },
+    { match: 'return history of it', stdout: '$ printf ...\n__MCP_BEGIN:{{token}}\nlogout\n[Process completed]' }
+  ]);
+  try {
+    const { result } = await server.call('run_command', { ...TAB, command_required_text: 'exit' });
+    assert.equal(result.success, false);
+    assert.equal(result.exit_code, null);
+    assert.equal(result.timed_out, false);
+    assert.equal(result.output, 'logout\n[Process completed]');
+    assert.ok(result.duration_ms > 1000);
+  } finally {
+    await server.close();
+  }
+});
+
+test('gives up at the timeout while the command is still running', async () => {
+  const server = startServer([
+    ZSH,
+    DO_SCRIPT,
+    { match: 'return busy of it', stdout: 'true' },
+    { match: 'return history of it', stdout: '$ printf ...\n__MCP_BEGIN:{{token}}\nwatching for changes' }
+  ]);
+  try {
+    const { result } = await server.call('run_command', { ...TAB, command_required_text: 'npm run watch', timeout_optional_integer: 600 });
+    assert.equal(result.success, false);
+    assert.equal(result.timed_out, true);
+    assert.equal(result.exit_code, null);
+    assert.equal(result.output, 'watching for changes');
+  } finally {
+    await server.close();
+  }
+});
+
+test('wraps the command for fish and refuses csh', async () => {
+  const server = startServer([
+    { match: 'return processes of it', responses: [{ stdout: 'login, -zsh, fish' }, { stdout: 'login, -tcsh' }] },
+    DO_SCRIPT,
+    { match: 'return busy of it', stdout: 'false' },
+    { match: 'return history of it', stdout: '> printf ...\n__MCP_BEGIN:{{token}}\nok\n\n__MCP_END:{{token}}:0' }
+  ]);
+  try {
+    const { result } = await server.call('run_command', { ...TAB, command_required_text: 'echo ok' });
+    assert.equal(result.success, true);
+    assert.equal(result.output, 'ok');
+    const doScript = result.debug.scripts.find(entry => entry.script.includes('do script'));
+    assert.match(doScript.script, /; begin\\necho ok\\nend; printf '\\\\n%s:%s\\\\n' __MCP_END:\w+ \$status"/);
+
+    const refused = await server.call('run_command', { ...TAB, command_required_text: 'echo ok' });
+    assert.equal(refused.isError, true);
+    assert.match(refused.result.error, /run_command does not support tcsh/);
+    assert.ok(!refused.result.debug.scripts.some(entry => entry.script.includes('do script')));
+  } finally {
+    await server.close();
+  }
+});
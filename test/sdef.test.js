@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { parseSdef } = require('../scripts/sdef');
+const { buildPropertyTools } = require('../server/properties');
+
+const ROOT = path.join(__dirname, '..');
+
+const SDEF = `<?xml version="1.0"?>
+<!DOCTYPE dictionary SYSTEM "file://localhost/System/Library/DTDs/sdef.dtd">
+<dictionary title="Mini">
+  <suite name="Mini Suite" code="mini">
+    <class name="window" code="cwin" plural="windows">
+      <property name="name" code="pnam" type="text" access="r" description="The title &amp; name of the window."/>
+      <property name="secret" code="psec" type="text" hidden="yes"/>
+      <element type="tab"/>
+    </class>
+    <class name="tab" code="ttab" plural="tabs">
+      <property name="custom title" code="titl" type="text" description="The tab&apos;s title."/>
+      <property name="processes" code="prcs" access="r" description="The processes."><type type="text" list="yes"/></property>
+    </class>
+  </suite>
+</dictionary>`;
+
+test('reads classes, their containers and visible properties from an sdef', () => {
+  const dictionary = parseSdef(SDEF);
+  assert.deepEqual(dictionary.classes, [
+    { key: 'window', name: 'window', containers: [] },
+    { key: 'tab_of_window', name: 'tab', containers: ['window'] }
+  ]);
+  assert.deepEqual(dictionary.properties.map(descriptor => [descriptor.class, descriptor.property, descriptor.type, descriptor.access]), [
+    ['window', 'name', 'text', 'r'],
+    ['tab_of_window', 'custom title', 'text', 'rw'],
+    ['tab_of_window', 'processes', 'list of text', 'r']
+  ]);
+  assert.equal(dictionary.properties[0].description, 'The title & name of the window.');
+  assert.throws(() => parseSdef('<suite/>'), /Not an sdef file/);
+});
+
+test('builds a getter for every property and a setter for writable ones', () => {
+  const tools = buildPropertyTools(parseSdef(SDEF));
+  assert.deepEqual([...tools.keys()], [
+    'get_name_of_window',
+    'get_custom_title_of_tab_of_window',
+    'set_custom_title_of_tab_of_window',
+    'get_processes_of_tab_of_window'
+  ]);
+  const { inputSchema } = tools.get('set_custom_title_of_tab_of_window').tool;
+  assert.deepEqual(Object.keys(inputSchema.properties), [
+    'target_tab_required_string', 'target_window_required_string', 'target', 'value_required_text'
+  ]);
+  // The target is given either as a selector or as specifier strings
+  assert.deepEqual(inputSchema.required, ['value_required_text']);
+});
+
+test('keeps the checked-in dictionary and manifest in step with the sdef', () => {
+  execFileSync(process.execPath, [path.join(ROOT, 'scripts', 'generate-tools.js'), '--check'], { stdio: 'pipe' });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSelector } = require('../server/selectors');
+const { startServer } = require('./helpers/server');
+
+// A run function answering with `output` and keeping the scripts it was given
+function fakeRun(output) {
+  const scripts = [];
+  const run = async script => {
+    scripts.push(script);
+    return output;
+  };
+  return { run, scripts };
+}
+
+test('scopes the selected tab to the front window', async () => {
+  const { run, scripts } = fakeRun('1234:2');
+  assert.equal(String(await resolveSelector({ tab: 'selected' }, 'tab', run)), 'tab 2 of window id 1234');
+  assert.match(scripts[0], /if i0 is 1 then/);
+  assert.match(scripts[0], /if \(selected of obj1\) is true then/);
+
+  const other = fakeRun('77:1');
+  await resolveSelector({ window: { name: 'build' }, tab: 'selected' }, 'tab', other.run);
+  assert.doesNotMatch(other.scripts[0], /i0 is 1/);
+  assert.match(other.scripts[0], /\(name of obj0\) is "build"/);
+});
+
+test('must match exactly one object', async () => {
+  await assert.rejects(resolveSelector({ window: { name: 'build' } }, null, fakeRun('1\n2').run), error => {
+    assert.equal(error.name, 'SelectorError');
+    assert.deepEqual(error.matches, ['window id 1', 'window id 2']);
+    return true;
+  });
+  await assert.rejects(resolveSelector({ tab: { tty: '/dev/ttys009' } }, 'tab', fakeRun('').run), /matched no tab/);
+});
+
+test('rejects selectors the class cannot be matched on', async () => {
+  const { run, scripts } = fakeRun('');
+  await assert.rejects(resolveSelector({ tab: { pid: 1 } }, 'tab', run), /Cannot select a tab by "pid"/);
+  await assert.rejects(resolveSelector({ document: 'front' }, 'tab', run), /Unexpected "document" in a tab selector/);
+  await assert.rejects(resolveSelector({ window: { id: 'one' } }, 'window', run), /window\.id/);
+  assert.deepEqual(scripts, []);
+});
+
+test('names the default and startup settings by property', async () => {
+  const { run, scripts } = fakeRun('');
+  assert.equal(String(await resolveSelector({ settings_set: 'default' }, null, run)), 'default settings');
+  assert.deepEqual(scripts, []);
+});
+
+test('tools accept a selector as their target', async () => {
+  const server = startServer([
+    { match: 'repeat with i0', stdout: '1234:2' },
+    { match: 'return custom title of it', stdout: 'build' }
+  ]);
+  try {
+    const { result, isError } = await server.call('get_custom_title_of_tab_of_window', { target: { tab: 'selected' } });
+    assert.equal(isError, false);
+    assert.equal(result.value, 'build');
+    assert.match(result.debug.scripts[1].script, /tell tab 2 of window id 1234/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { shapeResult, resultText } = require('../server/shaping');
+const { startServer } = require('./helpers/server');
+
+const RESULT = {
+  success: true,
+  message: 'tab 1 of window id 5',
+  script: 'tell application "Terminal" ...',
+  direct_parameter: 'ls',
+  in: 'tab 1 of window id 5',
+  with_command: null,
+  tool: 'do_script'
+};
+
+test('minimal keeps the value and drops the fields that echo arguments', () => {
+  assert.equal(shapeResult(RESULT, 'minimal', ['direct_parameter', 'in']), 'tab 1 of window id 5');
+  assert.deepEqual(shapeResult({ success: true, count: 2, lines: 2, max: 2 }, 'minimal', ['max']), { count: 2, lines: 2 });
+  assert.deepEqual(shapeResult({ success: true, value: 3 }, 'minimal', []), 3);
+  assert.equal(resultText(shapeResult(RESULT, 'minimal', ['direct_parameter', 'in'])), 'tab 1 of window id 5');
+});
+
+test('normal drops only the script and debug keeps everything', () => {
+  const { script, ...rest } = RESULT;
+  assert.deepEqual(shapeResult(RESULT, 'normal', ['direct_parameter', 'in']), rest);
+  assert.equal(shapeResult(RESULT, 'debug', ['direct_parameter', 'in']), RESULT);
+  assert.deepEqual(shapeResult(['a'], 'minimal', []), ['a']);
+});
+
+test('keeps counts that equal an argument and drops echoed targets', async () => {
+  const tail = ['/dev/ttys001', '5', '3', '0', '', 'a\nb', 'a\nb'].join('\u001f');
+  const server = startServer([
+    { match: 'set startAt to 0', stdout: tail },
+    { match: 'return name of it', stdout: 'build' },
+    { match: 'do script', stdout: 'tab 1 of window id 5' }
+  ]);
+  try {
+    const { result } = await server.call('tail_history', {
+      target_tab_required_string: 'tab 1',
+      target_window_required_string: 'window id 5',
+      max_lines_optional_integer: 2
+    }, 'minimal');
+    assert.equal(result.lines, 2);
+    assert.equal(result.text, 'a\nb');
+    assert.equal(result.script, undefined);
+
+    const named = await server.call('get_name_of_window', { target_window_required_string: 'window 1' }, 'minimal');
+    assert.equal(named.text, 'build');
+    const ran = await server.call('do_script', { direct_parameter_optional_text: 'ls', inParam_optional_tab: 'tab 1 of window id 5' }, 'minimal');
+    assert.equal(ran.text, 'tab 1 of window id 5');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSnapshotScript, parseSnapshot } = require('../server/snapshot');
+const { startServer } = require('./helpers/server');
+
+// Script output rows: fields joined by the unit separator, rows by the
+// record separator
+function rows(...items) {
+  return items.map(fields => fields.join('\u001f')).join('\u001e');
+}
+
+const WINDOW = ['window', '5', '1', 'build, test', '0, 22, 800, 600', 'true', 'false', 'true', 'false'];
+const TAB = ['tab', '5', '1', '/dev/ttys001', 'true', 'login, -zsh, npm', 'dev, server', 'true', '24', '80', 'Basic'];
+const DEFAULTS = ['defaults', 'Basic', 'Pro'];
+
+test('nests tabs in their windows and decodes each field', () => {
+  const snapshot = parseSnapshot(rows(WINDOW, TAB, ['settings', '1', 'Basic'], DEFAULTS));
+  assert.deepEqual(snapshot.windows, [{
+    id: 5,
+    index: 1,
+    name: 'build, test',
+    bounds: { left: 0, top: 22, right: 800, bottom: 600 },
+    frontmost: true,
+    miniaturized: false,
+    visible: true,
+    zoomed: false,
+    tabs: [{
+      index: 1,
+      tty: '/dev/ttys001',
+      busy: true,
+      processes: ['login', '-zsh', 'npm'],
+      custom_title: 'dev, server',
+      selected: true,
+      number_of_rows: 24,
+      number_of_columns: 80,
+      current_settings: 'Basic'
+    }]
+  }]);
+  assert.deepEqual(snapshot.settings_sets, [{ id: 1, name: 'Basic' }]);
+  assert.equal(snapshot.default_settings, 'Basic');
+  assert.equal(snapshot.startup_settings, 'Pro');
+});
+
+test('keeps windows without tabs and tabs without processes or a title', () => {
+  const idle = ['tab', '5', '1', '/dev/ttys001', 'false', '', 'missing value', 'true', '24', '80', 'Basic'];
+  const snapshot = parseSnapshot(rows(WINDOW, idle, ['window', '6', '2', '', '0, 0, 10, 10', 'false', 'false', 'true', 'false'], DEFAULTS));
+  assert.deepEqual(snapshot.windows[0].tabs[0].processes, []);
+  assert.equal(snapshot.windows[0].tabs[0].custom_title, null);
+  assert.equal(snapshot.windows[1].name, '');
+  assert.deepEqual(snapshot.windows[1].tabs, []);
+  assert.deepEqual(parseSnapshot(''), { windows: [], settings_sets: [], default_settings: null, startup_settings: null });
+});
+
+test('adds contents and history after the fixed tab fields', () => {
+  const options = { includeContents: true, historyLines: 2 };
+  const snapshot = parseSnapshot(rows(WINDOW, [...TAB, '$ ls, -la  \n\n', 'one\ntwo']), options);
+  assert.equal(snapshot.windows[0].tabs[0].contents, '$ ls, -la');
+  assert.equal(snapshot.windows[0].tabs[0].history, 'one\ntwo');
+  assert.match(buildSnapshotScript(options), /set firstLine to n - 1/);
+  assert.doesNotMatch(buildSnapshotScript(), /history of t/);
+});
+
+test('terminal_snapshot counts the windows and tabs it read', async () => {
+  const server = startServer([{ match: 'set end of rows to "defaults"', stdout: rows(WINDOW, TAB, [...TAB.slice(0, 2), '2', ...TAB.slice(3)], DEFAULTS) }]);
+  try {
+    const { result, isError } = await server.call('terminal_snapshot', {});
+    assert.equal(isError, false);
+    assert.equal(result.window_count, 1);
+    assert.equal(result.tab_count, 2);
+  } finally {
+    await server.close();
+  }
+});
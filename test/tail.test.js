@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, anchorHash, parseTail } = require('../server/tail');
+const { startServer } = require('./helpers/server');
+
+const TAB = { target_tab_required_string: 'tab 1', target_window_required_string: 'window id 5' };
+
+// A tail script result: tty, window id, history length, skipped lines, the
+// anchors before the old offset and the new end, then the new text
+function tailOutput({ length, skipped = 0, oldAnchor = '', newAnchor, text }) {
+  return ['/dev/ttys001', '5', String(length), String(skipped), oldAnchor, newAnchor, text].join('\u001f');
+}
+
+test('cursors round-trip and anything else is rejected', () => {
+  const cursor = { tty: '/dev/ttys001', window_id: 5, offset: 11, anchor: anchorHash('hello\nworld') };
+  assert.deepEqual(decodeCursor(encodeCursor(cursor)), { v: 1, ...cursor });
+  assert.throws(() => decodeCursor('not a cursor'), /not a cursor returned by tail_history/);
+  assert.throws(() => decodeCursor(encodeCursor({ ...cursor, offset: -1 })), /not a cursor/);
+  assert.equal(parseTail(tailOutput({ length: 3, newAnchor: 'ab', text: 'x\u001fy' })).text, 'x\u001fy');
+  assert.throws(() => parseTail('short'), /Unexpected tail_history result/);
+});
+
+test('reads only what was added since the cursor', async () => {
+  const server = startServer([
+    { match: 'set startAt to 0', stdout: tailOutput({ length: 11, newAnchor: 'hello\nworld', text: 'hello\nworld' }) },
+    { match: 'set startAt to 11', stdout: tailOutput({ length: 16, oldAnchor: 'hello\nworld', newAnchor: 'hello\nworld\nmore', text: 'more' }) }
+  ]);
+  try {
+    const first = await server.call('tail_history', TAB);
+    assert.equal(first.result.text, 'hello\nworld');
+    assert.equal(first.result.lines, 2);
+    assert.equal(first.result.reset, false);
+
+    const next = await server.call('tail_history', { cursor_optional_text: first.result.cursor });
+    assert.equal(next.result.text, 'more');
+    assert.equal(next.result.reset, false);
+    assert.equal(decodeCursor(next.result.cursor).offset, 16);
+    assert.match(next.result.debug.scripts[0].script, /first tab of window id wid whose tty is "\/dev\/ttys001"/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('starts over when the history was cleared', async () => {
+  const server = startServer([
+    { match: 'set startAt to 0', responses: [
+      { stdout: tailOutput({ length: 11, newAnchor: 'hello\nworld', text: 'hello\nworld' }) },
+      { stdout: tailOutput({ length: 5, newAnchor: 'fresh', text: 'fresh' }) },
+      { stdout: tailOutput({ length: 40, newAnchor: 'other', text: 'other' }) }
+    ] },
+    { match: 'set startAt to 11', responses: [
+      // Shorter than the cursor
+      { stdout: tailOutput({ length: 5, newAnchor: 'fresh', text: '' }) },
+      // Long enough, but different text before the cursor
+      { stdout: tailOutput({ length: 40, oldAnchor: 'goodbye', newAnchor: 'other', text: 'tail' }) }
+    ] }
+  ]);
+  try {
+    const { result: first } = await server.call('tail_history', TAB);
+    const cleared = await server.call('tail_history', { cursor_optional_text: first.cursor });
+    assert.equal(cleared.result.reset, true);
+    assert.equal(cleared.result.text, 'fresh');
+    assert.equal(decodeCursor(cleared.result.cursor).offset, 5);
+
+    const replaced = await server.call('tail_history', { cursor_optional_text: first.cursor });
+    assert.equal(replaced.result.reset, true);
+    assert.equal(replaced.result.text, 'other');
+  } finally {
+    await server.close();
+  }
+});
+
+test('returns at most max_lines lines and says how many were left out', async () => {
+  const server = startServer([
+    { match: 'set startAt to 0', stdout: tailOutput({ length: 20, skipped: 3, newAnchor: 'd\ne', text: 'd\ne' }) }
+  ]);
+  try {
+    const { result } = await server.call('tail_history', { ...TAB, max_lines_optional_integer: 2 });
+    assert.equal(result.text, '[... 3 earlier line(s) not shown ...]\nd\ne');
+    assert.equal(result.lines, 2);
+    assert.equal(result.truncated, true);
+    assert.equal(result.skipped_lines, 3);
+    assert.match(result.debug.scripts[0].script, /if lineCount > 2 then/);
+
+    const invalid = await server.request('tools/call', { name: 'tail_history', arguments: { ...TAB, max_lines_optional_integer: 0 } });
+    assert.equal(invalid.error.code, -32602);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const CONNECTION_INVALID = 'execution error: Terminal got an error: Connection is invalid. (-609)';
+
+test('retries a transient failure of a read', async () => {
+  const server = startServer([
+    { match: 'return name of it', responses: [{ error: CONNECTION_INVALID }, { stdout: 'build' }] }
+  ]);
+  try {
+    const { result, isError } = await server.call('get_name_of_window', { target_window_required_string: 'window 1' });
+    assert.equal(isError, false);
+    assert.equal(result.value, 'build');
+    assert.equal(result.debug.scripts[0].attempts, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('does not retry a script that changes Terminal', async () => {
+  const server = startServer([
+    { match: 'do script', responses: [{ error: CONNECTION_INVALID }, { stdout: 'tab 1 of window id 3' }] }
+  ]);
+  try {
+    const { result, isError } = await server.call('do_script', { direct_parameter_optional_text: 'ls' });
+    assert.equal(isError, true);
+    assert.equal(result.code, -609);
+    assert.equal(result.kind, 'connection_invalid');
+    assert.equal(result.debug.scripts[0].attempts, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('stops a script at timeout_ms and does not run it again', async () => {
+  const server = startServer([{ match: 'return frontmost of it', delay_ms: 5000, stdout: 'true' }]);
+  try {
+    const { result, isError } = await server.call('get_frontmost_of_window', { target_window_required_string: 'window 1', timeout_ms: 200 });
+    assert.equal(isError, true);
+    assert.equal(result.code, -1712);
+    assert.equal(result.kind, 'timeout');
+    assert.equal(result.debug.scripts[0].attempts, 1);
+    assert.ok(result.debug.duration_ms < 2000);
+  } finally {
+    await server.close();
+  }
+});
+
+test('reports the AppleScript error code and kind in the error payload', async () => {
+  const server = startServer([
+    { match: 'return name of it', error: "execution error: Terminal got an error: Can't get window 9. (-1719)" }
+  ]);
+  try {
+    const { result, isError } = await server.call('get_name_of_window', { target_window_required_string: 'window 9' }, 'normal');
+    assert.equal(isError, true);
+    assert.equal(result.error, "Terminal got an error: Can't get window 9.");
+    assert.equal(result.code, -1719);
+    assert.equal(result.kind, 'invalid_index');
+    assert.equal(result.script, undefined);
+  } finally {
+    await server.close();
+  }
+});
+
+test('drops the response to a cancelled request', async () => {
+  const server = startServer([{ match: 'return frontmost of it', delay_ms: 600, stdout: 'true' }]);
+  try {
+    server.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id: 'slow',
+      method: 'tools/call',
+      params: { name: 'get_frontmost_of_window', arguments: { target_window_required_string: 'window 1' } }
+    }));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    server.notify('notifications/cancelled', { requestId: 'slow', reason: 'test' });
+    // Wait past the time the script would have answered
+    await new Promise(resolve => setTimeout(resolve, 800));
+    assert.deepEqual((await server.request('ping')).result, {});
+    assert.equal(server.messages.some(message => message.id === 'slow'), false);
+  } finally {
+    await server.close();
+  }
+});
+
+test('read-only mode hides and refuses the tools that change Terminal', async () => {
+  const server = startServer([{ match: 'return name of it', stdout: 'build' }], { flags: ['--read-only'] });
+  try {
+    const { tools } = (await server.request('tools/list')).result;
+    const names = tools.map(tool => tool.name);
+    assert.ok(names.includes('get_name_of_window'));
+    assert.ok(!names.includes('do_script'));
+    assert.ok(!names.includes('run_command'));
+    assert.ok(!names.includes('set_custom_title_of_tab_of_window'));
+    assert.ok(tools.every(tool => tool.annotations.readOnlyHint === true));
+
+    const refused = await server.request('tools/call', { name: 'do_script', arguments: { direct_parameter_optional_text: 'rm -rf ~' } });
+    assert.equal(refused.error.code, -32602);
+    assert.equal(refused.error.data.read_only, true);
+    assert.equal((await server.call('get_name_of_window', { target_window_required_string: 'window 1' })).result.value, 'build');
+  } finally {
+    await server.close();
+  }
+});
+
+test('annotates each tool with what it does to Terminal', async () => {
+  const server = startServer([]);
+  try {
+    const { tools } = (await server.request('tools/list')).result;
+    const annotations = name => tools.find(tool => tool.name === name).annotations;
+    assert.deepEqual(annotations('get_name_of_window'), { readOnlyHint: true, destructiveHint: false, idempotentHint: true });
+    assert.deepEqual(annotations('set_custom_title_of_tab_of_window'), { readOnlyHint: false, destructiveHint: false, idempotentHint: true });
+    assert.deepEqual(annotations('do_script'), { readOnlyHint: false, destructiveHint: false, idempotentHint: false });
+    assert.deepEqual(annotations('close_for_window'), { readOnlyHint: false, destructiveHint: true, idempotentHint: true });
+  } finally {
+    await server.close();
+  }
+});
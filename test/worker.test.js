@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { createWorkerExecutor } = require('../server/executors');
+
+// A stand-in for the osascript worker process. `answer(request, child)`
+// returns the response for each request line, or undefined to stay silent.
+function fakeWorker(answer) {
+  const child = new EventEmitter();
+  child.stdout = new PassThrough();
+  child.stderr = new PassThrough();
+  child.requests = [];
+  child.ended = false;
+  child.killed = false;
+  child.stdin = {
+    on() {},
+    write(line) {
+      const request = JSON.parse(line);
+      child.requests.push(request);
+      const response = answer(request, child);
+      if (response !== undefined) {
+        setImmediate(() => child.stdout.write(JSON.stringify({ id: request.id, ...response }) + '\n'));
+      }
+    },
+    end() {
+      child.ended = true;
+      setImmediate(() => child.emit('exit', 0, null));
+    }
+  };
+  child.kill = () => {
+    child.killed = true;
+    setImmediate(() => child.emit('exit', null, 'SIGTERM'));
+  };
+  child.crash = () => child.emit('exit', 1, null);
+  return child;
+}
+
+// A worker executor whose spawned children are kept in `children`; `start`
+// replaces the fake child for a test that needs its own
+function workerExecutor(answer, { fallback, start = () => fakeWorker(answer) } = {}) {
+  const children = [];
+  const executor = createWorkerExecutor({
+    spawn: () => {
+      const child = start();
+      children.push(child);
+      return child;
+    },
+    fallback: fallback || { run: async () => { throw new Error('fallback used'); } }
+  });
+  return { executor, children };
+}
+
+const echo = request => ({ stdout: request.script.toUpperCase() });
+
+test('sends scripts to one worker and answers them in order', async () => {
+  const { executor, children } = workerExecutor(echo);
+  const results = await Promise.all([executor.run('one'), executor.run('two'), executor.run('tŵo')]);
+  assert.deepEqual(results.map(result => result.stdout), ['ONE\n', 'TWO\n', 'TŴO\n']);
+  assert.equal(children.length, 1);
+  executor.close();
+});
+
+test('reports script errors the way osascript prints them', async () => {
+  const { executor } = workerExecutor(() => ({ error: "Terminal got an error: Can't get window 9.", number: -1728, range: [5, 20] }));
+  await assert.rejects(executor.run('get window 9'), {
+    code: 1,
+    stderr: "5:20: execution error: Terminal got an error: Can't get window 9. (-1728)"
+  });
+  executor.close();
+});
+
+test('a crash fails only the running script and a new worker takes the rest', async () => {
+  const { executor, children } = workerExecutor((request, child) => {
+    if (request.script === 'crash') {
+      setImmediate(() => child.crash());
+      return undefined;
+    }
+    // The first worker dies before answering anything
+    return children.length > 1 ? echo(request) : undefined;
+  });
+  const crashed = executor.run('crash');
+  const queued = executor.run('after');
+  await assert.rejects(crashed, /worker exited \(code 1\) while running the script/);
+  assert.equal((await queued).stdout, 'AFTER\n');
+  assert.equal(children.length, 2);
+  executor.close();
+});
+
+test('a timed-out script kills the worker and the next script gets a new one', async () => {
+  const { executor, children } = workerExecutor(request => request.script === 'hang' ? undefined : echo(request));
+  await assert.rejects(executor.run('hang', { timeout: 50 }), { killed: true });
+  assert.equal(children[0].killed, true);
+  assert.equal((await executor.run('next')).stdout, 'NEXT\n');
+  assert.equal(children.length, 2);
+  executor.close();
+});
+
+test('an aborted script is dropped from the queue', async () => {
+  const { executor, children } = workerExecutor(request => request.script === 'hang' ? undefined : echo(request));
+  const controller = new AbortController();
+  const running = executor.run('hang', { signal: controller.signal });
+  controller.abort();
+  await assert.rejects(running, { name: 'AbortError' });
+  assert.equal(children[0].killed, true);
+  executor.close();
+});
+
+test('retires a worker after 500 scripts', async () => {
+  const { executor, children } = workerExecutor(echo);
+  for (let i = 0; i < 501; i++) {
+    await executor.run(`script ${i}`);
+  }
+  assert.equal(children.length, 2);
+  assert.equal(children[0].ended, true);
+  assert.equal(children[0].requests.length, 500);
+  executor.close();
+});
+
+test('falls back to one osascript per script when the worker cannot start', async () => {
+  const fallbackScripts = [];
+  const fallback = { run: async script => { fallbackScripts.push(script); return { stdout: 'fallback\n', stderr: '' }; } };
+  const { executor, children } = workerExecutor(null, {
+    fallback,
+    start: () => {
+      const child = fakeWorker(() => undefined);
+      setImmediate(() => child.emit('error', Object.assign(new Error('spawn osascript ENOENT'), { code: 'ENOENT' })));
+      return child;
+    }
+  });
+  assert.equal((await executor.run('first')).stdout, 'fallback\n');
+  assert.equal((await executor.run('second')).stdout, 'fallback\n');
+  assert.deepEqual(fallbackScripts, ['first', 'second']);
+  assert.equal(children.length, 1);
+});
+
+test('falls back after repeated crashes', async () => {
+  const fallback = { run: async () => ({ stdout: 'fallback\n', stderr: '' }) };
+  const { executor, children } = workerExecutor((request, child) => {
+    setImmediate(() => child.crash());
+    return undefined;
+  }, { fallback });
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(executor.run('crash'), /worker exited/);
+  }
+  assert.equal((await executor.run('later')).stdout, 'fallback\n');
+  assert.equal(children.length, 3);
+});